@@ -0,0 +1,42 @@
+/**
+ * Connection lifecycle of a PhotonBot.
+ * The name server (lobby) socket lives from ConnectingNameServer through JoiningGame,
+ * the game server socket from ConnectingGameServer through Leaving.
+ */
+class BotState {
+  static Disconnected = "Disconnected";
+  static ConnectingNameServer = "ConnectingNameServer";
+  static Authenticating = "Authenticating";
+  static InLobby = "InLobby";
+  static JoiningGame = "JoiningGame";
+  static ConnectingGameServer = "ConnectingGameServer";
+  static InRoom = "InRoom";
+  static Leaving = "Leaving";
+}
+
+// state -> states it can move to, every state can drop to Disconnected
+const Transitions = {
+  [BotState.Disconnected]: [BotState.ConnectingNameServer],
+  [BotState.ConnectingNameServer]: [BotState.Authenticating, BotState.Disconnected],
+  [BotState.Authenticating]: [BotState.InLobby, BotState.Disconnected],
+  [BotState.InLobby]: [BotState.JoiningGame, BotState.Disconnected],
+  [BotState.JoiningGame]: [BotState.ConnectingGameServer, BotState.Disconnected],
+  [BotState.ConnectingGameServer]: [BotState.InRoom, BotState.Disconnected],
+  [BotState.InRoom]: [BotState.Leaving, BotState.Disconnected],
+  [BotState.Leaving]: [BotState.Disconnected],
+};
+
+/**
+ * Thrown by PhotonBot.transition for a move the lifecycle doesn't allow,
+ * e.g. joining a room while the bot is still in one.
+ */
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Can't go from ${from} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+module.exports = { BotState, Transitions, InvalidTransitionError };
@@ -0,0 +1,70 @@
+/**
+ * Round trip time, jitter and server clock offset from ping answers.
+ * Ticks are int32 milliseconds and wrap around like the server's, so all arithmetic is done with `| 0`.
+ * RTT and jitter are smoothed like TCP's (RFC 6298): new samples weigh 1/8 for the RTT and the offset,
+ * 1/4 for the jitter (mean deviation of the RTT).
+ */
+class ClockSync {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forgets every sample, e.g. when the local tick count restarts
+   */
+  reset() {
+    this.rtt = null;
+    this.jitter = 0;
+    this.offset = 0;
+    this.samples = 0;
+    this.lastSampleAt = null;
+  }
+
+  /**
+   * Adds a ping answer
+   * @param {number} sentAt - Local tick the ping was sent at, as echoed by the server
+   * @param {number} serverTime - Server tick when it answered
+   * @param {number} now - Local tick now
+   * @returns {boolean} False when the sample was dropped because it answers a ping from the future
+   */
+  addSample(sentAt, serverTime, now) {
+    const rtt = (now - sentAt) | 0;
+    if (rtt < 0) return false;
+
+    // the server answered half a round trip ago
+    const offset = (serverTime + (rtt >> 1) - now) | 0;
+    if (this.rtt === null) {
+      this.rtt = rtt;
+      this.offset = offset;
+    } else {
+      this.jitter += (Math.abs(rtt - this.rtt) - this.jitter) / 4;
+      this.rtt += (rtt - this.rtt) / 8;
+      this.offset = (this.offset + Math.round(((offset - this.offset) | 0) / 8)) | 0;
+    }
+
+    this.samples += 1;
+    this.lastSampleAt = new Date();
+    return true;
+  }
+
+  /**
+   * Server tick for a local tick, the local tick itself until the first sample
+   * @param {number} now - Local tick
+   * @returns {number} int32 server tick
+   */
+  serverTime(now) {
+    return (now + this.offset) | 0;
+  }
+
+  toJSON() {
+    return {
+      rtt: this.rtt === null ? null : Math.round(this.rtt),
+      jitter: Math.round(this.jitter),
+      offset: this.offset,
+      samples: this.samples,
+      lastSampleAt: this.lastSampleAt,
+    };
+  }
+}
+
+module.exports = ClockSync;
@@ -0,0 +1,108 @@
+const { OperationCode } = require("./protocol_reader/constants");
+const { ErrorCode, describeReturnCode, formatReturnCode } = require("./protocol_reader/returnCodes");
+const { OperationTimeoutError } = require("./OperationError");
+
+/**
+ * Rejection of PhotonBot.joinRoom.
+ * `reason` names the failure: one of the subclasses below, "OperationFailed" for other refused operations
+ * or "Disconnected". `returnCode`, its catalog `returnCodeName` and `debugMessage` are set when the server
+ * refused an operation.
+ */
+class JoinError extends Error {
+  constructor(message, { reason = "Disconnected", returnCode = null, debugMessage = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "JoinError";
+    this.reason = reason;
+    this.returnCode = returnCode;
+    this.returnCodeName = returnCode == null ? null : describeReturnCode(returnCode).name;
+    this.debugMessage = debugMessage;
+  }
+}
+
+class GameDoesNotExistError extends JoinError {
+  constructor(details) {
+    super("Game does not exist", { ...details, reason: "GameDoesNotExist" });
+    this.name = "GameDoesNotExistError";
+  }
+}
+
+class GameFullError extends JoinError {
+  constructor(details) {
+    super("Game is full", { ...details, reason: "GameFull" });
+    this.name = "GameFullError";
+  }
+}
+
+class GameClosedError extends JoinError {
+  constructor(details) {
+    super("Game is closed", { ...details, reason: "GameClosed" });
+    this.name = "GameClosedError";
+  }
+}
+
+class AuthFailedError extends JoinError {
+  constructor(details) {
+    super(`Authentication failed${details?.debugMessage ? `: ${details.debugMessage}` : ""}`, { ...details, reason: "AuthFailed" });
+    this.name = "AuthFailedError";
+  }
+}
+
+class JoinTimeoutError extends JoinError {
+  constructor(details) {
+    super("Timed out joining the room", { ...details, reason: "Timeout" });
+    this.name = "JoinTimeoutError";
+  }
+}
+
+// Photon return code -> error
+const ReturnCodeErrors = {
+  [ErrorCode.GameDoesNotExist]: GameDoesNotExistError,
+  [ErrorCode.GameFull]: GameFullError,
+  [ErrorCode.GameClosed]: GameClosedError,
+  [ErrorCode.InvalidAuthentication]: AuthFailedError,
+  [ErrorCode.CustomAuthenticationFailed]: AuthFailedError,
+  [ErrorCode.AuthenticationTicketExpired]: AuthFailedError,
+};
+
+/**
+ * Maps a refused operation to a JoinError, any refused Authenticate is an AuthFailedError
+ * @param {number} operationCode - Operation that failed
+ * @param {number} returnCode - Return code of its response
+ * @param {string} [debugMessage] - Debug message of its response
+ * @returns {JoinError}
+ */
+function joinErrorFor(operationCode, returnCode, debugMessage = null) {
+  const details = { returnCode, debugMessage };
+  const ErrorType = ReturnCodeErrors[returnCode]
+    ?? (operationCode === OperationCode.Authenticate ? AuthFailedError : null);
+  if (ErrorType) return new ErrorType(details);
+  const { description } = describeReturnCode(returnCode);
+  return new JoinError(`Operation ${operationCode} failed: ${description} (return=${formatReturnCode(returnCode)}, msg=${debugMessage})`, { ...details, reason: "OperationFailed" });
+}
+
+/**
+ * Maps a PhotonClient.request rejection to a JoinError
+ * @param {Error} error - OperationError, OperationTimeoutError or a cancellation
+ * @returns {JoinError}
+ */
+function fromRequestError(error) {
+  if (error instanceof JoinError) return error;
+  if (error instanceof OperationTimeoutError) return new JoinTimeoutError({ cause: error });
+  if (error.returnCode != null) {
+    const joinError = joinErrorFor(error.operationCode, error.returnCode, error.debugMessage);
+    joinError.cause = error;
+    return joinError;
+  }
+  return new JoinError(error.message, { cause: error });
+}
+
+module.exports = {
+  JoinError,
+  GameDoesNotExistError,
+  GameFullError,
+  GameClosedError,
+  AuthFailedError,
+  JoinTimeoutError,
+  joinErrorFor,
+  fromRequestError,
+};
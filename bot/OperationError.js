@@ -0,0 +1,32 @@
+const { formatReturnCode } = require("./protocol_reader/returnCodes");
+
+/**
+ * Rejection of PhotonClient.request when the server answers an operation with a non-zero return code.
+ * `operationCode` is the operation that failed, `returnCode` and `debugMessage` come from the
+ * OperationResponse, which is kept as `response`.
+ */
+class OperationError extends Error {
+    constructor(operationCode, returnCode, debugMessage, response = null) {
+        super(`Operation ${operationCode} failed (return=${formatReturnCode(returnCode)}, msg=${debugMessage})`);
+        this.name = "OperationError";
+        this.operationCode = operationCode;
+        this.returnCode = returnCode;
+        this.debugMessage = debugMessage;
+        this.response = response;
+    }
+}
+
+/**
+ * Rejection of PhotonClient.request when no response arrived within the timeout.
+ * There is no return code, the server may still process the operation.
+ */
+class OperationTimeoutError extends OperationError {
+    constructor(operationCode, timeout) {
+        super(operationCode, null, null);
+        this.message = `Operation ${operationCode} timed out after ${timeout}ms`;
+        this.name = "OperationTimeoutError";
+        this.timeout = timeout;
+    }
+}
+
+module.exports = { OperationError, OperationTimeoutError };
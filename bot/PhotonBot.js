@@ -1,51 +1,318 @@
+const EventEmitter = require("events");
 const WebSocket = require("ws");
-const ProtocolReader = require("./protocol_reader/ProtocolReader");
+const { Subprotocols } = require("./protocol_reader/protocols");
+const { SizedInt } = require("./protocol_reader/types/SizedInt");
 const {
-  PacketType,
   OperationCode,
   InternalOperationCode,
   EventCode,
   ParameterCode,
+  GamePropertyKey,
+  JoinMode,
 } = require("./protocol_reader/constants");
 const PhotonPacketBuilder = require("./PhotonUtils/PhotonPacketBuilder");
+const PhotonPacket = require("./PhotonUtils/PhotonPacket");
 const crypto = require("crypto");
 const PhotonClient = require("./PhotonClient");
 const Account = require("./Account");
+const ClockSync = require("./ClockSync");
+const { BotState, Transitions, InvalidTransitionError } = require("./BotState");
+const { JoinError, JoinTimeoutError, joinErrorFor, fromRequestError } = require("./JoinError");
+const { formatReturnCode } = require("./protocol_reader/returnCodes");
+const { regionsOf, pickBestRegion, authRegion } = require("./Regions");
 const fs = require('fs');
 
-class PhotonBot {
+/**
+ * Lifecycle events:
+ * - "stateChange" with (state, previousState) on every transition, see BotState
+ * - with a reconnectPolicy, when the game connection drops while in a room: "reconnecting" with
+ *   { attempt, delay, roomName } when an attempt is scheduled, "reconnectAttempt" with { attempt, rejoin, roomName }
+ *   when it starts, then "reconnected" with { attempt, rejoined, room } or "reconnectFailed" with
+ *   { attempt, rejoined, error }, and "reconnectGaveUp" with { attempts, roomName, error } after the last one
+ */
+class PhotonBot extends EventEmitter {
+  // States the lobby and game server connections live through
+  static NameServerStates = [BotState.ConnectingNameServer, BotState.Authenticating, BotState.InLobby, BotState.JoiningGame];
+  static GameServerStates = [BotState.ConnectingGameServer, BotState.InRoom, BotState.Leaving];
+
+  // Delays in ms, attempt n waits baseDelay * 2^(n-1) (at most maxDelay) minus up to jitter of that
+  static ReconnectPolicy = {
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.5,
+  };
+
+  static NameServerAddress = "wss://game-ca-1.blayzegames.com:2053";
+  static AppId = "8c2cad3e-2e3f-4941-9044-b390ff2c4956";
+  // Used when region discovery fails
+  static DefaultRegion = "eu";
+  // Pings per region and how long a region may take to answer them, in ms
+  static RegionPing = {
+    pings: 3,
+    timeout: 2000,
+  };
+
   constructor() {
+    super();
     this.botId = this.generateRandomID();
     this.players = [];
     this.photonClient = undefined;
     this.lastActorNr = 1;
     this.showJoinMessageInChat = true;
     
-    // Socket connections
+    // Socket connections, subprotocols are offered in order of preference
+    this.subprotocols = Subprotocols;
     this.lobbySocket = undefined;
-    this.authSent = false;
+    this.lobbyClient = undefined;
     this.gameSocket = undefined;
     
-    // Authentication
+    // Name server and region, a pinned region (e.g. "eu" or "eu/cluster") skips discovery.
+    // regionInfo is { region, pinned, regions, error } once chosen, later joins reuse its region
+    this.nameServerAddress = PhotonBot.NameServerAddress;
+    this.region = null;
+    this.regionInfo = null;
+
+    // Authentication, with useEncryption the game auth token is only sent once keys are exchanged
     this.authToken = "";
     this.account = null;
+    this.useEncryption = false;
+    // Photon user id, kept across connections so the server recognizes a rejoining actor
+    this.userId = this.generateUUID();
+
+    // checks every packet before it is sent, see PhotonSerializer
+    this.strictSerialization = true;
+    // rate limit of both connections, see SendQueue.Defaults
+    this.sendQueueOptions = {};
     
-    // State tracking
-    this.isInGame = false;
-    this.isInRoom = false;
+    // Lifecycle, timers and sockets are owned by states and torn down when the bot leaves them
+    this.state = BotState.Disconnected;
+    this.resources = [];
+    // set once the join has been announced in the current room
     this.alreadyJoined = false;
+    // why the last joinRoom failed, see abortJoin
+    this.joinError = null;
+
+    // Reconnecting, off unless reconnectPolicy is set (overrides for PhotonBot.ReconnectPolicy, {} for the defaults)
+    this.reconnectPolicy = null;
+    // { attempt, delay, roomName } while a reconnect is scheduled or running
+    this.reconnecting = null;
+    // actor to rejoin as on the next join, see joinRoom
+    this.rejoinActorNr = null;
     
-    // Timing
+    // Timing, clock is synchronized with the game server's ping answers
     this._startTime = new Date();
-    this._lastPing = new Date(0);
-    this._serverTickOffset = 0;
+    this.clock = new ClockSync();
     
-    // Game info
+    // Game info, PlayerTTL in ms (-1 = forever) is how long the room keeps a disconnected actor
     this.gameRoomName = "";
     this.serverAddress = "";
+    this.playerTtl = 0;
     this.previousActorList = [];
   }
 
+  // Joining, connecting or in a room
+  get isInRoom() {
+    return [BotState.JoiningGame, BotState.ConnectingGameServer, BotState.InRoom, BotState.Leaving].includes(this.state);
+  }
+
+  // In the room on the game server
+  get isInGame() {
+    return this.state === BotState.InRoom;
+  }
+
+  /**
+   * Moves the bot to another state, tears down what the old state owned and emits "stateChange"
+   * @param {string} state - BotState to move to
+   * @throws {InvalidTransitionError} When the current state can't move there
+   */
+  transition(state) {
+    const previous = this.state;
+    if (!Transitions[previous].includes(state)) {
+      throw new InvalidTransitionError(previous, state);
+    }
+
+    this.state = state;
+    const ended = this.resources.filter((resource) => !resource.states.includes(state));
+    this.resources = this.resources.filter((resource) => resource.states.includes(state));
+    for (const { teardown } of ended) teardown();
+
+    if (state === BotState.Disconnected) {
+      this.lobbySocket = this.lobbyClient = undefined;
+      this.gameSocket = this.photonClient = undefined;
+      this.alreadyJoined = false;
+      this.authToken = "";
+      this.serverAddress = "";
+      this.playerTtl = 0;
+      this.players = [];
+    }
+
+    this.botLog(`State: ${previous} -> ${state}`);
+    this.emit("stateChange", state, previous);
+  }
+
+  /**
+   * Closes every connection and stops every timer, including a scheduled or running reconnect
+   */
+  disconnect() {
+    this.reconnecting = null;
+    if (this.state !== BotState.Disconnected) {
+      this.transition(BotState.Disconnected);
+      return;
+    }
+
+    for (const { teardown } of this.resources.splice(0)) teardown();
+  }
+
+  /**
+   * Moves to Disconnected when a connection failed, unlike disconnect a reconnect goes on
+   */
+  closeConnections() {
+    if (this.state !== BotState.Disconnected) {
+      this.transition(BotState.Disconnected);
+    }
+  }
+
+  /**
+   * Schedules a reconnect to a room the bot lost its connection to, see PhotonBot.ReconnectPolicy.
+   * While the room keeps the actor (PlayerTTL) the bot rejoins as that actor, otherwise it joins again.
+   * @param {Object} room - { roomName, actorNr, playerTtl, leftAt }
+   * @param {number} [attempt] - 1 for the first attempt
+   * @param {Error} [lastError] - Why the previous attempt failed
+   */
+  scheduleReconnect(room, attempt = 1, lastError = null) {
+    const policy = { ...PhotonBot.ReconnectPolicy, ...this.reconnectPolicy };
+    if (attempt > policy.maxAttempts) {
+      this.reconnecting = null;
+      this.botLog(`Giving up reconnecting to ${room.roomName} after ${attempt - 1} attempts`);
+      this.emit("reconnectGaveUp", { attempts: attempt - 1, roomName: room.roomName, error: lastError });
+      return;
+    }
+
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    const delay = Math.round(backoff * (1 - policy.jitter * Math.random()));
+    this.reconnecting = { attempt, delay, roomName: room.roomName };
+    this.botLog(`Reconnecting to ${room.roomName} in ${delay}ms (attempt ${attempt})`);
+    this.emit("reconnecting", { ...this.reconnecting });
+
+    // owned by Disconnected, joining a room in the meantime cancels it
+    let started = false;
+    const timeout = setTimeout(() => {
+      started = true;
+      this.attemptReconnect(room, attempt);
+    }, delay);
+    this.own(() => {
+      clearTimeout(timeout);
+      if (!started) this.reconnecting = null;
+    });
+  }
+
+  /**
+   * Runs a reconnect attempt scheduled by scheduleReconnect
+   * @param {Object} room - See scheduleReconnect
+   * @param {number} attempt - Attempt number
+   */
+  async attemptReconnect(room, attempt) {
+    const rejoin = room.playerTtl < 0 || Date.now() - room.leftAt < room.playerTtl;
+    this.emit("reconnectAttempt", { attempt, rejoin, roomName: room.roomName });
+
+    try {
+      const snapshot = await this.joinRoom(room.roomName, { rejoinActorNr: rejoin ? room.actorNr : null });
+      this.reconnecting = null;
+      this.botLog(`Reconnected to ${room.roomName}${rejoin ? " as the same actor" : ""}`);
+      this.emit("reconnected", { attempt, rejoined: rejoin, room: snapshot });
+    } catch (error) {
+      this.emit("reconnectFailed", { attempt, rejoined: rejoin, error });
+
+      // the room is gone, or someone joined or disconnected the bot in the meantime
+      if (!(error instanceof JoinError) || ["GameDoesNotExist", "GameClosed"].includes(error.reason) || this.reconnecting === null) {
+        this.reconnecting = null;
+        this.emit("reconnectGaveUp", { attempts: attempt, roomName: room.roomName, error });
+        return;
+      }
+
+      // a refused rejoin (the actor timed out or was removed) falls back to joining again
+      const next = rejoin && error.returnCode != null ? { ...room, playerTtl: 0 } : room;
+      this.scheduleReconnect(next, attempt + 1, error);
+    }
+  }
+
+  /**
+   * Gives up on joining: joinRoom rejects with error and the bot disconnects
+   * @param {JoinError} error - Why joining failed
+   */
+  abortJoin(error) {
+    if (this.state === BotState.Disconnected) return;
+    this.botLog("Joining the room failed:", error.message, error.returnCode == null ? "" : `[${formatReturnCode(error.returnCode)}]`);
+    this.joinError = error;
+    this.closeConnections();
+  }
+
+  /**
+   * The room as the bot sees it
+   * @returns {Object} { roomName, actorNr, serverAddress, players }
+   */
+  roomSnapshot() {
+    return {
+      roomName: this.gameRoomName,
+      actorNr: this.lastActorNr,
+      serverAddress: this.serverAddress,
+      players: this.players,
+    };
+  }
+
+  /**
+   * Registers a teardown that runs once the bot enters a state outside of states
+   * @param {Function} teardown - Closes or clears the resource
+   * @param {string[]} [states] - States the resource lives through, defaults to the current one
+   */
+  own(teardown, states = [this.state]) {
+    this.resources.push({ teardown, states });
+  }
+
+  /**
+   * setInterval that is cleared when the bot leaves states
+   * @param {Function} callback - Called every ms milliseconds
+   * @param {number} ms - Interval
+   * @param {string[]} [states] - See own
+   */
+  setStateInterval(callback, ms, states) {
+    const interval = setInterval(callback, ms);
+    this.own(() => clearInterval(interval), states);
+  }
+
+  /**
+   * setTimeout that is cleared when the bot leaves states
+   * @param {Function} callback - Called after ms milliseconds
+   * @param {number} ms - Delay
+   * @param {string[]} [states] - See own
+   */
+  setStateTimeout(callback, ms, states) {
+    const timeout = setTimeout(callback, ms);
+    this.own(() => clearTimeout(timeout), states);
+  }
+
+  /**
+   * Opens a websocket with a PhotonClient on it, both are closed when the bot leaves states
+   * @param {string} address - Server address
+   * @param {string[]} states - States the connection lives through
+   * @returns {{ socket: WebSocket, client: PhotonClient }}
+   */
+  openSocket(address, states) {
+    const socket = new WebSocket(address, this.subprotocols);
+    const client = new PhotonClient(socket, { sendQueue: this.sendQueueOptions });
+    socket.addEventListener("error", (event) => {
+      this.botLog("Socket error:", event.message);
+    });
+
+    // a socket the bot closes itself is expected to close, its listeners go first
+    this.own(() => {
+      client.removeAllListeners();
+      socket.close();
+    }, states);
+    return { socket, client };
+  }
+
   /**
    * Generates a random hexadecimal ID with a maximum of 16 characters.
    * @returns {string} A random hex ID string.
@@ -157,13 +424,85 @@ class PhotonBot {
   }
 
   /**
-   * Gets a random region
-   * @returns {string} Region code
+   * Chooses the region to authenticate in: the pinned region, the one chosen before or the best of discoverRegions,
+   * PhotonBot.DefaultRegion when discovery fails
+   * @returns {Promise<?string>} Region code, null when the bot left ConnectingNameServer while discovering
    */
-  getRandomRegion() {
-    const regions = ['ca', 'eu', 'sa', 'as'];
-    const randomIndex = Math.floor(Math.random() * regions.length);
-    return regions[randomIndex];
+  async selectRegion() {
+    if (this.region) {
+      this.regionInfo = { region: this.region, pinned: true, regions: [], error: null };
+    } else if (!this.regionInfo || this.regionInfo.pinned || this.regionInfo.error) {
+      try {
+        const regions = await this.discoverRegions();
+        // the pings were cut short, keep no partial result
+        if (this.state !== BotState.ConnectingNameServer) return null;
+        const best = pickBestRegion(regions);
+        this.regionInfo = {
+          region: best?.region ?? PhotonBot.DefaultRegion,
+          pinned: false,
+          regions,
+          error: best ? null : "No region answered",
+        };
+      } catch (error) {
+        this.regionInfo = { region: PhotonBot.DefaultRegion, pinned: false, regions: [], error: error.message };
+      }
+
+      this.botLog("Region:", this.regionInfo.region, this.regionInfo.error ?? "");
+    }
+    return this.regionInfo.region;
+  }
+
+  /**
+   * Asks the name server for its regions (GetRegions) and pings each region's master server
+   * @returns {Promise<Object[]>} { region, address, rtt, pings } per region, see pingRegion
+   * @throws {OperationError} When the name server refuses GetRegions
+   */
+  async discoverRegions() {
+    const response = await this.lobbyClient.request(OperationCode.GetRegions, {
+      [ParameterCode.ApplicationId]: PhotonPacketBuilder.types.string(PhotonBot.AppId),
+    });
+    return Promise.all(regionsOf(response).map((region) => this.pingRegion(region)));
+  }
+
+  /**
+   * Pings a region's master server over its own connection, which closes once it is done
+   * or when the bot leaves ConnectingNameServer
+   * @param {Object} region - { region, address }
+   * @returns {Promise<Object>} { region, address, rtt, pings }, rtt is the lowest round trip in ms or null
+   * when no ping was answered within PhotonBot.RegionPing.timeout
+   */
+  pingRegion({ region, address }) {
+    const { pings, timeout } = PhotonBot.RegionPing;
+    const states = [BotState.ConnectingNameServer];
+    const { socket, client } = this.openSocket(address, states);
+    const samples = [];
+    let sentAt = 0;
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const done = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        client.removeAllListeners();
+        socket.close();
+        resolve({ region, address, rtt: samples.length ? Math.min(...samples) : null, pings: samples.length });
+      };
+      const ping = () => {
+        sentAt = Date.now();
+        this.sendPing(socket);
+      };
+
+      const timer = setTimeout(done, timeout);
+      this.own(done, states);
+      socket.addEventListener("open", ping);
+      client.on("close", done);
+      client.on(`internalResponse:${InternalOperationCode.Ping}`, () => {
+        samples.push(Date.now() - sentAt);
+        if (samples.length < pings) ping();
+        else done();
+      });
+    });
   }
 
   /**
@@ -179,73 +518,120 @@ class PhotonBot {
    * @returns {number} Tick count
    */
   _tickCount() {
-    return Date.now() - this._startTime.getTime();
+    return (Date.now() - this._startTime.getTime()) | 0;
   }
 
   /**
-   * Gets server time
-   * @returns {number} Server time
+   * Gets server time, local uptime until the game server answered a ping
+   * @returns {number} Server time (int32 ticks)
    */
   serverTime() {
-    return this._tickCount() + this._serverTickOffset;
+    return this.clock.serverTime(this._tickCount());
   }
 
   /**
-   * Sends ping packet
+   * Feeds the game server's ping answers to the clock: the Ping internal operation response
+   * (client tick echoed in param 1, server tick in 2) and 0xF0 time packets
+   * @param {PhotonClient} client - Game server client
+   */
+  trackPings(client) {
+    client.on(`internalResponse:${InternalOperationCode.Ping}`, (packet) => {
+      const sentAt = packet.params["1"];
+      const serverTime = packet.params["2"];
+      if (sentAt instanceof SizedInt && serverTime instanceof SizedInt) {
+        this.clock.addSample(sentAt.value, serverTime.value, this._tickCount());
+      }
+    });
+
+    client.on("ping", (ping) => {
+      this.clock.addSample(ping.client_time, ping.server_time, this._tickCount());
+    });
+  }
+
+  /**
+   * Serializes a packet for the socket's subprotocol and queues it on the socket's client.
+   * With strictSerialization, values that don't fit their type throw instead of being sent wrapped.
+   * @param {WebSocket} socket - Socket to send on
+   * @param {Object} packet - PhotonPacketBuilder packet or PhotonPacket
+   * @param {SendOptions} [sendOptions] - Passed to PhotonClient.sendFrame
+   */
+  sendPacket(socket, packet, sendOptions) {
+    const options = { strict: this.strictSerialization };
+    const bufferData = packet instanceof PhotonPacket
+      ? packet.serialize(socket.protocol, options)
+      : packet.toBuffer(socket.protocol, this.photonClient?.cryptoProvider, options);
+
+    const client = [this.photonClient, this.lobbyClient].find((candidate) => candidate?.socket === socket);
+    if (client) {
+      client.sendFrame(bufferData, sendOptions);
+    } else {
+      socket.send(bufferData);
+    }
+  }
+
+  // SendOptions for operations sent through photonClient
+  gameSendOptions() {
+    return { Encrypt: this.useEncryption, Strict: this.strictSerialization };
+  }
+
+  /**
+   * Sends a Ping internal operation request, the server answers with an InternalOperationResponse.
+   * Pings skip the rate limit so time spent in the SendQueue doesn't count as round trip time.
    * @param {WebSocket} socket - Socket to send ping on
    */
   sendPing(socket) {
-    const pingRequest = PhotonPacketBuilder.createRequest(1).addParam(
+    const pingRequest = PhotonPacketBuilder.createInternalRequest(InternalOperationCode.Ping).addParam(
       1,
       PhotonPacketBuilder.types.integer(this._tickCount())
     );
-    const pingBuffer = pingRequest.toBuffer();
-    socket.send(pingBuffer);
+    this.sendPacket(socket, pingRequest, { Immediate: true });
   }
 
   /**
-   * Starts ping loop
+   * Starts ping loop, it stops when the bot leaves states.
+   * Pings carry the tick count, see trackPings
    * @param {WebSocket} socket - Socket to ping on
+   * @param {string[]} [states] - See own
    */
-  pingLoop(socket) {
-    setInterval(() => {
-      const pingRequest = PhotonPacketBuilder.createRequest(
-        InternalOperationCode.Ping
-      ).addParam(1, PhotonPacketBuilder.types.integer(89));
-      const pingBuffer = pingRequest.toBuffer();
-      socket.send(pingBuffer);
-    }, 2000);
+  pingLoop(socket, states) {
+    this.setStateInterval(() => {
+      this.sendPing(socket);
+    }, 2000, states);
 
-    setInterval(() => {
+    this.setStateInterval(() => {
       this.sendCraftedPacket(socket);
-    }, 5000);
+    }, 5000, states);
   }
 
   /**
    * Sends authentication parameters
+   * @param {string} [region] - Region code, see selectRegion
    */
-  sendAuthParams() {
+  sendAuthParams(region = this.regionInfo?.region ?? PhotonBot.DefaultRegion) {
     const packet = PhotonPacketBuilder.createRequest(OperationCode.Authenticate)
       .addParam(220, PhotonPacketBuilder.types.string("1.104.5_HC_1.105"))
-      .addParam(224, PhotonPacketBuilder.types.string("8c2cad3e-2e3f-4941-9044-b390ff2c4956"))
-      .addParam(210, PhotonPacketBuilder.types.string("eu/*"))
-      .addParam(225, PhotonPacketBuilder.types.string(this.generateUUID()));
+      .addParam(224, PhotonPacketBuilder.types.string(PhotonBot.AppId))
+      .addParam(210, PhotonPacketBuilder.types.string(authRegion(region)))
+      .addParam(225, PhotonPacketBuilder.types.string(this.userId));
 
-    const bufferData = packet.toBuffer();
-    this.lobbySocket.send(bufferData);
+    this.sendPacket(this.lobbySocket, packet);
   }
 
   /**
    * Sends game authentication
    * @param {string} token - Auth token
+   * @returns {Promise<OperationResponse>} The Authenticate response, rejects with an OperationError
    */
-  sendGameAuth(token) {
+  async sendGameAuth(token) {
     this.botLog("Sending Game Auth ->", token);
-    const packet = PhotonPacketBuilder.createRequest(OperationCode.Authenticate)
-      .addParam(221, PhotonPacketBuilder.types.string(token));
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
-    this.authSent = true;
+    if (this.useEncryption) {
+      await this.photonClient.EstablishEncryption();
+    }
+
+    const response = this.photonClient.request(OperationCode.Authenticate, {
+      221: PhotonPacketBuilder.types.string(token),
+    }, { sendOptions: this.gameSendOptions() });
+    return response;
   }
 
   /**
@@ -254,8 +640,7 @@ class PhotonBot {
    */
   sendJoinLobby(socket) {
     const packet = PhotonPacketBuilder.createRequest(OperationCode.JoinLobby);
-    const bufferData = packet.toBuffer();
-    socket.send(bufferData);
+    this.sendPacket(socket, packet);
   }
 
   /**
@@ -318,10 +703,9 @@ class PhotonBot {
   /**
    * Sends join room with properties packet
    * @param {string} roomName - Room name to join
+   * @returns {Promise<OperationResponse>} The JoinGame response, rejects with an OperationError
    */
   sendJoinRoomWithProperties(roomName) {
-    const packet = PhotonPacketBuilder.createRequest(226);
-    packet.addParam(255, PhotonPacketBuilder.types.string(roomName));
 
     const perksArray = new Uint8Array(8);
     perksArray[0] = 1;
@@ -346,19 +730,22 @@ class PhotonBot {
       [PhotonPacketBuilder.types.string("current_kills_in_killstreak"), PhotonPacketBuilder.types.integer(0)],
       [PhotonPacketBuilder.types.string("kd"), PhotonPacketBuilder.types.float(8.511835098266602)],
       [PhotonPacketBuilder.types.string("perks"), PhotonPacketBuilder.types.byteArray(perksArray)],
-      [PhotonPacketBuilder.types.string("current_vehicle_view_id"), PhotonPacketBuilder.types.integer(4294967295)],
+      [PhotonPacketBuilder.types.string("current_vehicle_view_id"), PhotonPacketBuilder.types.integer(-1)], // none, this used to be written as 4294967295
       [PhotonPacketBuilder.types.string("up_to_date_version"), PhotonPacketBuilder.types.string("1.104.5_HC")],
       [PhotonPacketBuilder.types.string("throwable_type"), PhotonPacketBuilder.types.integer(12)],
       [PhotonPacketBuilder.types.string("throwable_amount"), PhotonPacketBuilder.types.integer(3)],
       [PhotonPacketBuilder.types.string("nextCreateRoomPass"), PhotonPacketBuilder.types.string("")],
       [PhotonPacketBuilder.types.byte(255), PhotonPacketBuilder.types.string(`${this.generateClanTag()} ${this.account.username}`)],
     ]);
-    
-    packet.addParam(249, hashtable249);
-    packet.addParam(250, PhotonPacketBuilder.types.boolean(true));
 
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
+    // a Map, to keep the parameter order
+    const parameters = new Map([
+      [255, PhotonPacketBuilder.types.string(roomName)],
+      [249, hashtable249],
+      [250, PhotonPacketBuilder.types.boolean(true)],
+    ]);
+    this.addRejoinParams(parameters);
+    return this.photonClient.request(OperationCode.JoinGame, parameters, { sendOptions: this.gameSendOptions() });
   }
 
   /**
@@ -370,12 +757,11 @@ class PhotonBot {
       .addParam(245, PhotonPacketBuilder.types.hashTable([
         [PhotonPacketBuilder.types.byte(250), PhotonPacketBuilder.types.boolean(true)],
         [PhotonPacketBuilder.types.byte(251), PhotonPacketBuilder.types.string(`${this.generateClanTag()} ${this.account.username}`)],
-        [PhotonPacketBuilder.types.byte(254), PhotonPacketBuilder.types.byte(292)],
+        [PhotonPacketBuilder.types.byte(254), PhotonPacketBuilder.types.byte(36)], // 292 wrapped to a byte, which is what was always sent
       ]))
       .addParam(246, PhotonPacketBuilder.types.byte(1));
 
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
+    this.sendPacket(this.gameSocket, packet);
   }
 
   // Idk why this doesn't work
@@ -390,8 +776,7 @@ class PhotonBot {
       ]))
       .addParam(246, PhotonPacketBuilder.types.byte(1));
 
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
+    this.sendPacket(this.gameSocket, packet);
   }
 
   /**
@@ -409,17 +794,16 @@ class PhotonBot {
       ]))
       .addParam(246, PhotonPacketBuilder.types.byte(1));
 
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
+    this.sendPacket(this.gameSocket, packet);
   }
 
   /**
    * Sends unknown packet (keeping original name from source)
    */
   idkWhatPacketThisIs() {
-    this.gameSocket.send(
-      this.base64toUint8Array("8wL8AAP7aAABYv9zAA5bXVBDLU5leHRUb1lvdf5pAAAAI/pvAQ==").buffer
-    );
+    // captured as GpBinaryV16, re-encoded for whatever the socket negotiated
+    const packet = PhotonPacket.fromBase64("8wL8AAP7aAABYv9zAA5bXVBDLU5leHRUb1lvdf5pAAAAI/pvAQ==");
+    this.sendPacket(this.gameSocket, packet);
   }
 
   /**
@@ -434,8 +818,7 @@ class PhotonBot {
         [PhotonPacketBuilder.types.byte(7), PhotonPacketBuilder.types.integer(parseInt(this.lastActorNr.toString() + "001"))],
       ]));
 
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
+    this.sendPacket(this.gameSocket, packet);
 
     const packet2 = PhotonPacketBuilder.createRequest(OperationCode.RaiseEvent)
       .addParam(244, PhotonPacketBuilder.types.byte(252))
@@ -443,8 +826,7 @@ class PhotonBot {
       .addParam(251, PhotonPacketBuilder.types.string("MeowEngine Bot Panel"))
       .addParam(245, PhotonPacketBuilder.types.integer(292));
 
-    const bufferData2 = packet2.toBuffer();
-    this.gameSocket.send(bufferData2);
+    this.sendPacket(this.gameSocket, packet2);
   }
 
   // Craft the packet from your JSON structure
@@ -453,12 +835,11 @@ class PhotonBot {
       .addParam(244, PhotonPacketBuilder.types.byte(200))
       .addParam(245, PhotonPacketBuilder.types.hashTable([
         [PhotonPacketBuilder.types.byte(0), PhotonPacketBuilder.types.integer(2)],
-        [PhotonPacketBuilder.types.byte(2), PhotonPacketBuilder.types.integer(2853182596)],
+        [PhotonPacketBuilder.types.byte(2), PhotonPacketBuilder.types.integer(-1441784700)], // 2853182596 as an int
         [PhotonPacketBuilder.types.byte(5), PhotonPacketBuilder.types.byte(73)],
       ]));
 
-    const bufferData = packet.toBuffer();
-    socket.send(bufferData);
+    this.sendPacket(socket, packet);
   }
 
   // Leave room packet
@@ -466,12 +847,28 @@ class PhotonBot {
     const packet = PhotonPacketBuilder.createRequest(OperationCode.Leave)
       .addParam(245, PhotonPacketBuilder.types.boolean(true)); // willComeBack parameter
 
-    const bufferData = packet.toBuffer();
-    this.gameSocket.send(bufferData);
+    this.sendPacket(this.gameSocket, packet);
   }
 
-  leaveRoom() {
+  /**
+   * Leaves the room and disconnects, a bot that isn't in a room yet just disconnects
+   * @returns {Promise<void>} Resolves once the bot is disconnected
+   */
+  async leaveRoom() {
+    if (this.state !== BotState.InRoom) {
+      this.disconnect();
+      return;
+    }
+
+    this.transition(BotState.Leaving);
+    const left = new Promise((resolve) => {
+      this.photonClient.once(`response:${OperationCode.Leave}`, resolve);
+      this.once("stateChange", resolve);
+      this.setStateTimeout(resolve, 5000);
+    });
     this.sendLeaveRoomPacket();
+    await left;
+    this.disconnect();
   }
 
   /**
@@ -483,58 +880,77 @@ class PhotonBot {
       this.sendPing(this.lobbySocket);
     };
 
-    this.lobbySocket.onmessage = (evt) => {
-      const uint8Array = new Uint8Array(evt.data);
-      let protocol = new ProtocolReader(uint8Array.buffer);
-      let packet = protocol.readPacket();
+    this.lobbyClient.on("close", () => {
+      this.botLog("Lobby connection closed");
+      this.closeConnections();
+    });
 
-      if (packet.code == PacketType.InitResponse) {
-        this.botLog("InitResponse received!");
-        this.sendAuthParams();
-      }
+    this.lobbyClient.on("decodeError", (error) => {
+      this.botLog("Dropped malformed lobby frame:", error.message);
+    });
 
-      if (packet.code == OperationCode.Authenticate) {
-        if (packet.params["222"]) {
-          const rooms = this.filterRoomsWithIdOnly(Object.keys(packet.params['222']));
-
-          if (this.isInRoom) return;
-          
-          if (this.gameRoomName) {
-            // Join specific room if set
-            this.isInRoom = true;
-            setTimeout(() => {
-              this.botLog("Joining room:", this.gameRoomName);
-              this.joinRoomFromLobby(this.gameRoomName);
-            }, 1000);
-          }
-        }
+    // There is no InitResponse on websockets, the answer to the first ping means the connection is ready
+    this.lobbyClient.once(`internalResponse:${InternalOperationCode.Ping}`, async () => {
+      this.botLog("InitResponse received!");
+      const region = await this.selectRegion();
+      if (this.state !== BotState.ConnectingNameServer) return;
 
-        if (this.authToken == "") {
-          this.botLog("AuthResponse received!");
-          this.botLog("AuthToken", packet.params["221"]);
-          this.botLog("UserId", packet.params["225"]);
-          this.authToken = packet.params["221"];
-        }
+      this.transition(BotState.Authenticating);
+      this.sendAuthParams(region);
+    });
 
-        this.sendJoinLobby(this.lobbySocket);
+    this.lobbyClient.on(`response:${OperationCode.Authenticate}`, (packet) => {
+      if (packet.returnCode !== 0) {
+        this.abortJoin(joinErrorFor(packet.code, packet.returnCode, packet.debugMessage));
+        return;
       }
 
-      if (packet.code == EventCode.AppStats) {
-        if (packet.debugMessage == "Game does not exists") {
-          this.botLog("Game does not exist, exiting...");
-          return;
-        }
+      if (this.authToken == "") {
+        this.botLog("AuthResponse received!");
+        this.botLog("AuthToken", packet.params["221"]);
+        this.botLog("UserId", packet.params["225"]);
+        this.authToken = packet.params["221"];
+      }
+
+      if (this.state === BotState.Authenticating) {
+        this.transition(BotState.InLobby);
+      }
+      this.sendJoinLobby(this.lobbySocket);
+    });
+
+    // GameList
+    this.lobbyClient.on(`event:${EventCode.GameList}`, (packet) => {
+      if (packet.params["222"]) {
+        const rooms = this.filterRoomsWithIdOnly(Array.from(packet.params['222'].keys()));
+
+        if (this.state !== BotState.InLobby) return;
         
-        if (this.serverAddress == "") {
-          if (packet.params["230"]) {
-            this.serverAddress = packet.params["230"];
-            this.botLog("Server address:", this.serverAddress);
-            this.botLog("Received join room response!");
-            this.connectToGameServer();
-          }
+        if (this.gameRoomName) {
+          // Join specific room if set
+          this.transition(BotState.JoiningGame);
+          this.setStateTimeout(() => {
+            this.botLog("Joining room:", this.gameRoomName);
+            this.joinRoomFromLobby(this.gameRoomName);
+          }, 1000);
         }
       }
-    };
+
+      this.sendJoinLobby(this.lobbySocket);
+    });
+
+    this.lobbyClient.on(`response:${OperationCode.JoinGame}`, (packet) => {
+      if (packet.returnCode !== 0) {
+        this.abortJoin(joinErrorFor(packet.code, packet.returnCode, packet.debugMessage));
+        return;
+      }
+      
+      if (this.state === BotState.JoiningGame && packet.params["230"]) {
+        this.serverAddress = packet.params["230"];
+        this.botLog("Server address:", this.serverAddress);
+        this.botLog("Received join room response!");
+        this.connectToGameServer();
+      }
+    });
   }
 
   /**
@@ -546,84 +962,113 @@ class PhotonBot {
     };
 
     this.gameSocket.onopen = () => {
-      this.lobbySocket.close();
       this._startTime = new Date();
-      this._lastPing = new Date(0);
-      this._serverTickOffset = 0;
+      this.clock.reset();
 
       this.botLog("Connected to Game Server!");
       this.botLog("Joining room", this.gameRoomName);
 
       this.sendPing(this.gameSocket);
-      this.pingLoop(this.gameSocket);
+      this.pingLoop(this.gameSocket, PhotonBot.GameServerStates);
     };
 
-    this.gameSocket.onmessage = async (evt) => {
-      const uint8Array = new Uint8Array(evt.data);
-      let protocol = new ProtocolReader(uint8Array.buffer);
-      let packet = protocol.readPacket();
-
-      if (packet.code == OperationCode.JoinGame && packet.params["249"]) {
-        if (this.isInGame) return;
-        this.isInGame = true;
+    this.photonClient.on("close", () => {
+      const room = this.state === BotState.InRoom
+        ? { roomName: this.gameRoomName, actorNr: this.lastActorNr, playerTtl: this.playerTtl, leftAt: Date.now() }
+        : null;
+      this.closeConnections();
+      if (room && this.reconnectPolicy) this.scheduleReconnect(room);
+    });
+    this.trackPings(this.photonClient);
 
-        for (const [key, value] of Object.entries(packet.params["249"])) {
-          if (!key.startsWith("int32")) continue;
+    this.photonClient.on("decodeError", (error) => {
+      this.botLog("Dropped malformed game frame:", error.message);
+    });
 
-          let actorNr = key.split(" ")[1];
-          actorNr = parseInt(actorNr);
+    // Same as in the lobby, the first ping answer means the connection is ready
+    this.photonClient.once(`internalResponse:${InternalOperationCode.Ping}`, () => {
+      this.joinGameRoom().catch((error) => {
+        this.abortJoin(fromRequestError(error));
+      });
+    });
 
-          const name = this.cleanUsername(value["int8 255"] ?? "Unknown");
-          let rank = parseInt(value.rank?.value ?? 0);
-          const kd = value.kd?.value ?? 0;
-          let team = parseInt(value.teamNumber?.value ?? 0);
-          let kills = parseInt(value.current_kills_in_killstreak?.value ?? 0);
-          const platform = value.platform ?? "Unknown";
+    // Join
+    this.photonClient.on("event:255", async (packet) => {
+      if (!packet.params['249'] || !packet.params["254"]) return;
 
-          const usrEntry = {};
-          usrEntry[actorNr] = { name, actorNr, rank, kd, team, kills, platform };
-          this.players.push(usrEntry);
-        }
+      let authCode = await this.getAuthCode();
+      if (this.state !== BotState.InRoom) return;
+      this.botLog("Using AuthCode:", authCode);
+      this.lastActorNr = packet.params["254"].value;
+      this.botLog(`Received actorNr: ${this.lastActorNr}`);
+      
+      this.sendJoinNotify();
+      this.sendAuthToken(authCode);
 
-        this.botLog("Players:", this.players);
+      if (this.alreadyJoined) return;
+      
+      if (this.showJoinMessageInChat) {
+        this.sendPlayerBodyPacket();
       }
 
-      if (packet.code == PacketType.InitResponse) {
-        this.sendGameAuth(this.authToken);
-      }
+      this.alreadyJoined = true;
+    });
+  }
 
-      if (packet.code == OperationCode.Authenticate) {
-        this.botLog("Received game auth");
-        this.sendJoinRoomWithProperties(this.gameRoomName);
-        this.idkWhatPacketThisIs();
-      }
+  /**
+   * Authenticates on the game server, then joins the room
+   * @returns {Promise<void>} Rejects with an OperationError when the server refuses either
+   */
+  async joinGameRoom() {
+    await this.sendGameAuth(this.authToken);
+    this.botLog("Received game auth");
+
+    const joined = this.sendJoinRoomWithProperties(this.gameRoomName);
+    this.idkWhatPacketThisIs();
+    const response = await joined;
+    if (response.params["254"]) {
+      this.lastActorNr = response.params["254"].value;
+      this.botLog(`Received actorNr: ${this.lastActorNr}`);
+    }
+    this.playerTtl = response.params["248"]?.get(SizedInt.byte(GamePropertyKey.PlayerTtl))?.value ?? 0;
+    this.readPlayers(response);
+    this.transition(BotState.InRoom);
+  }
 
-      if (packet.code == 255 && packet.params['249'] && packet.params["254"]) {
-        let authCode = await this.getAuthCode();
-        this.botLog("Using AuthCode:", authCode);
-        this.lastActorNr = packet.params["254"].toString().split("int32 ")[1];
-        this.botLog(`Received actorNr: ${this.lastActorNr}`);
-        
-        this.sendJoinNotify();
-        this.sendAuthToken(authCode);
+  /**
+   * Records the players of the JoinGame response
+   * @param {OperationResponse} response - JoinGame response
+   */
+  readPlayers(response) {
+    if (!response.params["249"]) return;
 
-        if (this.alreadyJoined) return;
-        
-        if (this.showJoinMessageInChat) {
-          this.sendPlayerBodyPacket();
-        }
+    // actor number (int32) -> player properties
+    for (const [key, value] of response.params["249"]) {
+      if (!(key instanceof SizedInt) || key.size !== 4) continue;
 
-        this.alreadyJoined = true;
-      }
-    };
+      const actorNr = key.value;
+
+      const name = this.cleanUsername(value.get(SizedInt.byte(255)) ?? "Unknown");
+      let rank = parseInt(value.get("rank")?.value ?? 0);
+      const kd = value.get("kd")?.value ?? 0;
+      let team = parseInt(value.get("teamNumber")?.value ?? 0);
+      let kills = parseInt(value.get("current_kills_in_killstreak")?.value ?? 0);
+      const platform = value.get("platform") ?? "Unknown";
+
+      const usrEntry = {};
+      usrEntry[actorNr] = { name, actorNr, rank, kd, team, kills, platform };
+      this.players.push(usrEntry);
+    }
+
+    this.botLog("Players:", this.players);
   }
 
   /**
    * Connects to game server
    */
   connectToGameServer() {
-    this.gameSocket = new WebSocket(this.serverAddress, "GpBinaryV16");
-    this.photonClient = new PhotonClient(this.gameSocket);
+    this.transition(BotState.ConnectingGameServer);
+    ({ socket: this.gameSocket, client: this.photonClient } = this.openSocket(this.serverAddress, PhotonBot.GameServerStates));
     this.setupGameSocket();
   }
 
@@ -634,46 +1079,70 @@ class PhotonBot {
   joinRoomFromLobby(roomName) {
     const packet = PhotonPacketBuilder.createRequest(OperationCode.JoinGame)
       .addParam(255, PhotonPacketBuilder.types.string(roomName));
-    const bufferData = packet.toBuffer();
-    this.lobbySocket.send(bufferData);
+    const rejoin = this.addRejoinParams(new Map());
+    for (const [key, value] of rejoin) packet.addParam(key, value);
+    this.sendPacket(this.lobbySocket, packet);
+  }
+
+  /**
+   * Adds JoinMode RejoinOnly and the actor number to JoinGame parameters when rejoinActorNr is set
+   * @param {Map} parameters - JoinGame parameters
+   * @returns {Map} parameters
+   */
+  addRejoinParams(parameters) {
+    if (this.rejoinActorNr != null) {
+      parameters.set(ParameterCode.JoinMode, PhotonPacketBuilder.types.byte(JoinMode.RejoinOnly));
+      parameters.set(ParameterCode.ActorNr, PhotonPacketBuilder.types.integer(this.rejoinActorNr));
+    }
+    return parameters;
   }
 
   /**
    * Main method to join a room
    * @param {string} roomName - Name of the room to join
-   * @returns {Promise<void>}
+   * @param {Object} [options]
+   * @param {number} [options.rejoinActorNr] - Rejoin as this actor (JoinMode RejoinOnly), see scheduleReconnect
+   * @returns {Promise<Object>} Resolves with the roomSnapshot once the bot is in the room and has its actor number
+   * @throws {InvalidTransitionError} When the bot isn't disconnected
+   * @throws {JoinError} GameDoesNotExistError, GameFullError, GameClosedError, AuthFailedError or JoinTimeoutError,
+   * a plain JoinError when the connection closed or the server refused for another reason
    */
-  async joinRoom(roomName) {
+  async joinRoom(roomName, { rejoinActorNr = null } = {}) {
     if (!this.account) {
       await this.generateAccount();
     }
 
+    this.transition(BotState.ConnectingNameServer);
+    this.joinError = null;
+    this.rejoinActorNr = rejoinActorNr;
     this.gameRoomName = roomName;
     this.lastActorNr += 1;
 
     // Create lobby socket connection
-    this.lobbySocket = new WebSocket(
-      `wss://game-ca-1.blayzegames.com:2053/?libversion=4.1.6.10&sid=30&app=`,
-      "GpBinaryV16"
-    );
+    ({ socket: this.lobbySocket, client: this.lobbyClient } = this.openSocket(
+      `${this.nameServerAddress}/?libversion=4.1.6.10&sid=30&app=`,
+      PhotonBot.NameServerStates
+    ));
 
     this.setupLobbySocket();
 
     return new Promise((resolve, reject) => {
+      const onStateChange = (state) => {
+        if (state !== BotState.InRoom && state !== BotState.Disconnected) return;
+        clearTimeout(timeout);
+        this.off("stateChange", onStateChange);
+        if (state === BotState.InRoom) {
+          resolve(this.roomSnapshot());
+        } else {
+          reject(this.joinError ?? new JoinError("Disconnected before joining the room"));
+        }
+      };
+
       const timeout = setTimeout(() => {
-        reject(new Error("Connection timeout"));
+        this.abortJoin(new JoinTimeoutError());
       }, 30000);
 
-      const originalOnMessage = this.gameSocket?.onmessage;
-      if (this.gameSocket) {
-        this.gameSocket.onmessage = (evt) => {
-          if (originalOnMessage) originalOnMessage(evt);
-          if (this.alreadyJoined) {
-            clearTimeout(timeout);
-            resolve();
-          }
-        };
-      }
+      this.on("stateChange", onStateChange);
     });
   }
 }
@@ -1,13 +1,32 @@
+const EventEmitter = require("events");
 const WebSocket = require("ws");
 const ProtocolReader = require("./protocol_reader/ProtocolReader");
 const {
   PacketType,
   OperationCode,
   InternalOperationCode,
+  InternalParameterCode,
   EventCode,
   ParameterCode,
 } = require("./protocol_reader/constants");
+const { getCodec } = require("./protocol_reader/protocols");
+const {
+    InitResponse,
+    OperationRequest,
+    OperationResponse,
+    Event,
+    InternalOperationRequest,
+    InternalOperationResponse,
+    DisconnectMessage,
+} = require("./protocol_reader/types/packets");
+const DecodeError = require("./protocol_reader/DecodeError");
+const { formatReturnCode } = require("./protocol_reader/returnCodes");
+const DiffieHellmanCryptoProvider = require("./protocol_reader/DiffieHellmanCryptoProvider");
 const PhotonPacketBuilder = require("./PhotonUtils/PhotonPacketBuilder");
+const PhotonPacket = require("./PhotonUtils/PhotonPacket");
+const { toPhotonType, toPhotonParameters } = require("./PhotonUtils/PhotonTypeSchema");
+const { OperationError, OperationTimeoutError } = require("./OperationError");
+const SendQueue = require("./SendQueue");
 
 const EventCaching = {
     DoNotCache: 0,
@@ -46,16 +65,272 @@ class RaiseEventOptions {
 
 class SendOptions {
     constructor() {
+        // Reliability and Channel are applied by the SendQueue
         this.Reliability = true;
         this.Channel = 0;
+        // sent right away, outside the SendQueue's rate limit
+        this.Immediate = false;
         this.Encrypt = false;
+        // check values before sending (PhotonSerializer strict mode) instead of wrapping them
+        this.Strict = true;
     }
 }
 
-class PhotonClient {
-    constructor(socket) {
+/**
+ * Photon client on top of a websocket.
+ * Every frame received on the socket is decoded and emitted as an event named after the packet:
+ * - "event:<code>" for events, e.g. "event:255" (Join)
+ * - "response:<code>" / "request:<code>" for operation responses and requests, e.g. "response:226" (JoinGame)
+ * - "internalResponse:<code>" / "internalRequest:<code>" for internal operations, e.g. "internalResponse:1" (Ping)
+ * - "init" for InitResponse, "disconnect" for DisconnectMessage and "message" for (raw) messages
+ * - "ping" for the 0xF0 time packets, as a PhotonPacket with server_time and client_time
+ * Listeners get the decoded packet. "<kind>:*" listeners get every packet of that kind and "*" listeners get
+ * every packet, both called with (name, packet) after the listeners of the name itself.
+ * "close" is emitted with { code, reason } when the socket closes and "decodeError" with (error, data) for
+ * frames that can't be decoded, those are dropped.
+ * Outgoing frames go through a SendQueue (`sendQueue`), which limits the send rate.
+ */
+class PhotonClient extends EventEmitter {
+    static RequestTimeout = 10000;
+    // how long a sent operation keeps waiting for its response after its timeout, see request()
+    static ResponseGracePeriod = 5000;
+
+    /**
+     * @param {WebSocket} socket - Connection to the server
+     * @param {Object} [options]
+     * @param {Object} [options.sendQueue] - SendQueue options, e.g. { messagesPerSecond }
+     * @param {Object} [options.reader] - ProtocolReader options for received frames, e.g. { longs: "number" }
+     */
+    constructor(socket, { sendQueue, reader = {} } = {}) {
+        super();
         this.opParameters = new Map();
         this.socket = socket;
+        this.sendQueue = new SendQueue(socket, sendQueue);
+        this.readerOptions = reader;
+        socket.addEventListener?.("message", (evt) => this.#onFrame(evt.data));
+        socket.addEventListener?.("close", (evt) => this.#onClose(evt));
+
+        // operation code -> operations sent and not answered yet, oldest first, see request()
+        this.pendingRequests = new Map();
+        this.responseGracePeriod = PhotonClient.ResponseGracePeriod;
+
+        // Encryption, set up by EstablishEncryption
+        this.cryptoProvider = null;
+        this.encryptionEstablished = null;
+        this.pendingKeyExchange = null;
+    }
+
+    /**
+     * Starts the Diffie-Hellman key exchange (InitEncryption).
+     * The server's key arrives as an InternalOperationResponse that has to be passed to ReadMessage,
+     * after that operations can be sent with SendOptions.Encrypt.
+     * @returns {Promise<void>} Resolves once the shared key is derived
+     */
+    EstablishEncryption() {
+        if (this.encryptionEstablished) return this.encryptionEstablished;
+
+        this.cryptoProvider = new DiffieHellmanCryptoProvider();
+        this.encryptionEstablished = new Promise((resolve, reject) => {
+            this.pendingKeyExchange = { resolve, reject };
+        });
+
+        const writer = new (getCodec(this.socket.protocol).Writer)();
+        writer.writePacket(new InternalOperationRequest(InternalOperationCode.InitEncryption, {
+            [InternalParameterCode.ClientKey]: this.cryptoProvider.publicKey
+        }));
+        this.sendFrame(writer.toBytes());
+
+        return this.encryptionEstablished;
+    }
+
+    /**
+     * Decodes a frame received on the socket, decrypting it first if it is encrypted, and emits the packet.
+     * InitEncryption responses are consumed here to finish the key exchange.
+     * Frames from the socket are passed here by the client itself.
+     * @param {ArrayBuffer|Buffer} data - Frame as received
+     * @returns {Object} Decoded packet
+     * @throws {DecodeError} When the frame is malformed or can't be decrypted
+     */
+    ReadMessage(data) {
+        let frame = Buffer.from(data);
+        if (DiffieHellmanCryptoProvider.isEncryptedFrame(frame)) {
+            frame = this.#decrypt(frame);
+        }
+
+        if (frame[0] === 0xF0) {
+            const ping = new PhotonPacket(frame, null, this.readerOptions);
+            this.emit("ping", ping);
+            this.emit("*", "ping", ping);
+            return ping;
+        }
+
+        const { Reader } = getCodec(this.socket.protocol);
+        const packet = new Reader(frame, this.readerOptions).readPacket();
+
+        if (packet instanceof InternalOperationResponse && packet.code === InternalOperationCode.InitEncryption) {
+            this.#onInitEncryptionResponse(packet);
+        } else if (packet instanceof OperationResponse) {
+            this.#onOperationResponse(packet);
+        }
+
+        const name = PhotonClient.eventNameOf(packet);
+        this.emit(name, packet);
+        if (name.includes(":")) this.emit(name.replace(/:\d+$/, ":*"), name, packet);
+        this.emit("*", name, packet);
+        return packet;
+    }
+
+    /**
+     * Name of the event a packet is emitted as, see the class description
+     * @param {Object} packet - Decoded packet
+     * @returns {string} e.g. "event:255"
+     */
+    static eventNameOf(packet) {
+        if (packet instanceof Event) return `event:${packet.code}`;
+        if (packet instanceof OperationResponse) return `response:${packet.code}`;
+        if (packet instanceof OperationRequest) return `request:${packet.code}`;
+        if (packet instanceof InternalOperationResponse) return `internalResponse:${packet.code}`;
+        if (packet instanceof InternalOperationRequest) return `internalRequest:${packet.code}`;
+        if (packet instanceof InitResponse) return "init";
+        if (packet instanceof DisconnectMessage) return "disconnect";
+        return "message";
+    }
+
+    // Frames from the peer that can't be decrypted are DecodeErrors like any other malformed frame
+    #decrypt(frame) {
+        const details = { offset: 0, expected: "encrypted frame", path: "<root>" };
+        if (!this.cryptoProvider?.isInitialized) {
+            throw new DecodeError("Received an encrypted packet before encryption was established", details);
+        }
+        try {
+            return this.cryptoProvider.decryptFrame(frame);
+        } catch (error) {
+            throw new DecodeError(`Decrypting failed: ${error.message}`, { ...details, cause: error });
+        }
+    }
+
+    #onFrame(data) {
+        try {
+            this.ReadMessage(data);
+        } catch (error) {
+            if (!(error instanceof DecodeError)) throw error;
+            this.emit("decodeError", error, data);
+        }
+    }
+
+    #onClose({ code, reason }) {
+        this.sendQueue.clear();
+        this.emit("close", { code, reason });
+        this.cancelRequests(new Error(`Connection closed (${code})`));
+    }
+
+    /**
+     * Queues a serialized frame on the SendQueue
+     * @param {ArrayBuffer|Uint8Array} frame - Serialized frame
+     * @param {SendOptions} [sendOptions] - Reliability, Channel and Immediate are used
+     */
+    sendFrame(frame, sendOptions) {
+        this.sendQueue.enqueue(frame, {
+            channel: sendOptions?.Channel ?? 0,
+            reliable: sendOptions?.Reliability ?? true,
+            immediate: sendOptions?.Immediate ?? false,
+        });
+    }
+
+    /**
+     * Sends an operation and waits for its response.
+     * Responses carry no request id, the server answers operations in order, so every operation sent (through
+     * SendOperation too) is queued under its code and responses are matched first in, first out. Responses to
+     * SendOperation calls and late responses to requests that timed out are dropped instead of resolving a later
+     * request. An operation gives up its place responseGracePeriod after its timeout, so one the server never
+     * answers doesn't take the responses of every later request.
+     * @param {number} operationCode - The operation code
+     * @param {Map|Object} [parameters] - Parameters, see SendOperation
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Milliseconds to wait for the response
+     * @param {SendOptions} [options.sendOptions] - Options for sending
+     * @param {Object} [options.schema] - Parameter schema, see SendOperation
+     * @returns {Promise<OperationResponse>} Resolves with a response with return code 0
+     * @throws {OperationError} When the response has a non-zero return code
+     * @throws {OperationTimeoutError} When there's no response within the timeout
+     */
+    request(operationCode, parameters = new Map(), { timeout = PhotonClient.RequestTimeout, sendOptions, schema } = {}) {
+        return new Promise((resolve, reject) => {
+            this.#sendOperation(operationCode, parameters, sendOptions, schema);
+
+            const request = { resolve, reject, timedOut: false };
+            request.timer = setTimeout(() => {
+                request.timedOut = true;
+                reject(new OperationTimeoutError(operationCode, timeout));
+            }, timeout);
+            this.#addPendingRequest(operationCode, timeout, request);
+        });
+    }
+
+    /**
+     * Rejects every request still waiting for a response, e.g. when the connection closed
+     * @param {Error} error - Rejection reason
+     */
+    cancelRequests(error) {
+        const pending = Array.from(this.pendingRequests.values()).flat();
+        this.pendingRequests.clear();
+        for (const { request } of pending) {
+            if (!request) continue;
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+    }
+
+    #onOperationResponse(response) {
+        const queue = this.#pendingRequestsOf(response.code);
+        const pending = queue.shift();
+        if (queue.length === 0) this.pendingRequests.delete(response.code);
+
+        // a SendOperation nobody waits on, or a request that timed out
+        const request = pending?.request;
+        if (!request || request.timedOut) return;
+
+        clearTimeout(request.timer);
+        if (response.returnCode !== 0) {
+            request.reject(new OperationError(response.code, response.returnCode, response.debugMessage, response));
+        } else {
+            request.resolve(response);
+        }
+    }
+
+    // `request` is null for operations nobody waits on
+    #addPendingRequest(operationCode, timeout, request) {
+        const queue = this.#pendingRequestsOf(operationCode);
+        queue.push({ expires: Date.now() + timeout + this.responseGracePeriod, request });
+        this.pendingRequests.set(operationCode, queue);
+    }
+
+    // the queue of an operation code without the operations that waited too long for their response
+    #pendingRequestsOf(operationCode) {
+        const now = Date.now();
+        const queue = (this.pendingRequests.get(operationCode) ?? []).filter(({ expires }) => expires > now);
+        if (queue.length) {
+            this.pendingRequests.set(operationCode, queue);
+        } else {
+            this.pendingRequests.delete(operationCode);
+        }
+        return queue;
+    }
+
+    #onInitEncryptionResponse(response) {
+        const pending = this.pendingKeyExchange;
+        this.pendingKeyExchange = null;
+        if (!pending) return;
+
+        const serverKey = response.params[InternalParameterCode.ServerKey];
+        if (response.returnCode !== 0 || !serverKey) {
+            this.encryptionEstablished = null;
+            pending.reject(new Error(`Encryption key exchange failed (return=${formatReturnCode(response.returnCode)}, msg=${response.debugMessage})`));
+            return;
+        }
+
+        this.cryptoProvider.deriveSharedKey(serverKey);
+        pending.resolve();
     }
 
     /**
@@ -64,9 +339,11 @@ class PhotonClient {
      * @param {Object} customEventContent - The custom content/data to be sent with the event
      * @param {RaiseEventOptions} raiseEventOptions - Options that control the behavior of the event
      * @param {SendOptions} sendOptions - Options for the send operation
+     * @param {string|Object|Array} [contentSchema] - Types of customEventContent, see PhotonTypeSchema
      * @returns {boolean} True if operation was sent successfully
+     * @throws {PhotonTypeError} When customEventContent doesn't match contentSchema
      */
-    OpRaiseEvent(eventCode, customEventContent, raiseEventOptions, sendOptions) {
+    OpRaiseEvent(eventCode, customEventContent, raiseEventOptions, sendOptions, contentSchema) {
         // Clear the parameters map for reuse
         this.opParameters.clear();
 
@@ -92,14 +369,14 @@ class PhotonClient {
                 case EventCaching.RemoveFromRoomCache:
                     if (raiseEventOptions.TargetActors) {
                         this.opParameters.set(ParameterCode.ActorList,
-                            PhotonPacketBuilder.types.integerArray(raiseEventOptions.TargetActors));
+                            this.convertToPhotonType(raiseEventOptions.TargetActors, "intArray"));
                     }
                     break;
 
                 default:
                     if (raiseEventOptions.TargetActors) {
                         this.opParameters.set(ParameterCode.ActorList,
-                            PhotonPacketBuilder.types.integerArray(raiseEventOptions.TargetActors));
+                            this.convertToPhotonType(raiseEventOptions.TargetActors, "intArray"));
                     }
                     else if (raiseEventOptions.InterestGroup !== 0) {
                         this.opParameters.set(ParameterCode.Group,
@@ -123,9 +400,7 @@ class PhotonClient {
 
         // Add custom event content if provided
         if (customEventContent !== null && customEventContent !== undefined) {
-            // Here we would need to determine the proper type based on the customEventContent
-            // For simplicity, we'll use a generic approach
-            this.opParameters.set(ParameterCode.Data, this.convertToPhotonType(customEventContent));
+            this.opParameters.set(ParameterCode.Data, this.convertToPhotonType(customEventContent, contentSchema));
         }
 
         // Send the operation
@@ -133,82 +408,48 @@ class PhotonClient {
     }
 
     /**
- * Converts JavaScript values to proper Photon types
- * @param {*} value - Value to convert
- * @returns {Object} - Photon type object
- */
-convertToPhotonType(value) {
-    if (value === null || value === undefined) {
-        return PhotonPacketBuilder.types.null();
-    }
-
-    switch (typeof value) {
-        case 'string':
-            return PhotonPacketBuilder.types.string(value);
-        case 'boolean':
-            return PhotonPacketBuilder.types.boolean(value);
-        case 'number':
-            // Check if it's an integer or float
-            if (Number.isInteger(value)) {
-                return PhotonPacketBuilder.types.integer(value);
-            } else {
-                return PhotonPacketBuilder.types.float(value);
-            }
-        case 'object':
-            if (Array.isArray(value)) {
-                // Special case for integer arrays which need special handling
-                // This is critical for compatibility with C# int[] expectation
-                if (value.every(item => typeof item === 'number' && Number.isInteger(item))) {
-                    return PhotonPacketBuilder.types.intArray(value); // Use intArray explicitly
-                }
-
-                // Determine array type (this is a simplified approach)
-                if (value.length === 0) {
-                    return PhotonPacketBuilder.types.objectArray([]);
-                }
-
-                const firstItemType = typeof value[0];
-                if (firstItemType === 'string') {
-                    return PhotonPacketBuilder.types.stringArray(value);
-                } else {
-                    // Convert each item in the array and return objectArray
-                    const convertedItems = value.map(item => this.convertToPhotonType(item));
-                    return PhotonPacketBuilder.types.objectArray(convertedItems);
-                }
-            } else {
-                // For objects, create a hashtable
-                const entries = Object.entries(value).map(([key, val]) => [
-                    PhotonPacketBuilder.types.string(key),
-                    this.convertToPhotonType(val)
-                ]);
-                return PhotonPacketBuilder.types.hashTable(entries);
-            }
-        default:
-            // Default to string for any other types
-            return PhotonPacketBuilder.types.string(String(value));
+     * Converts JavaScript values to proper Photon types.
+     * Without a schema integers become int and other numbers float, use a schema or inline hints
+     * (`{ teamNumber: PhotonPacketBuilder.types.byte(1) }`) for anything else.
+     * @param {*} value - Value to convert
+     * @param {string|Object|Array} [schema] - Expected type, see PhotonTypeSchema
+     * @returns {Object} - Photon type object
+     * @throws {PhotonTypeError} When the value doesn't match the schema
+     */
+    convertToPhotonType(value, schema) {
+        return toPhotonType(value, schema);
     }
-}
 
     /**
      * Sends an operation to the server
      * @param {number} operationCode - The operation code
-     * @param {Map} parameters - Map of parameters
+     * @param {Map|Object} parameters - Parameters, Photon type objects or plain values
      * @param {SendOptions} sendOptions - Options for sending
+     * @param {Object} [schema] - Parameter code -> type of its plain value, see PhotonTypeSchema
      * @returns {boolean} True if the operation was sent successfully
+     * @throws {PhotonTypeError} When a parameter doesn't match its schema
      */
-    SendOperation(operationCode, parameters, sendOptions) {
+    SendOperation(operationCode, parameters, sendOptions, schema) {
+        this.#sendOperation(operationCode, parameters, sendOptions, schema);
+        // nobody waits for the response, but it takes its turn, see request()
+        this.#addPendingRequest(operationCode, PhotonClient.RequestTimeout, null);
+
+        // Return true to indicate success (in real implementation, would check if send was successful)
+        return true;
+    }
+
+    #sendOperation(operationCode, parameters, sendOptions, schema) {
         // Create a new request packet
         const packet = PhotonPacketBuilder.createRequest(operationCode);
 
-        // Add all parameters from the map
-        for (const [key, value] of parameters.entries()) {
+        // Add all parameters, converted (and checked) against the schema
+        for (const [key, value] of toPhotonParameters(parameters, schema)) {
             packet.addParam(key, value);
         }
 
-        this.socket.send(packet.toBuffer());
-
-        // Return true to indicate success (in real implementation, would check if send was successful)
-        return true;
+        // encrypted with the key from EstablishEncryption, throws if the exchange hasn't finished
+        packet.encrypted = !!sendOptions?.Encrypt;
+        this.sendFrame(packet.toBuffer(this.socket.protocol, this.cryptoProvider, { strict: sendOptions?.Strict ?? true }), sendOptions);
     }
 
     TransferOwnership(viewID, playerID) {
@@ -218,12 +459,8 @@ convertToPhotonType(value) {
         // Set event code
         this.opParameters.set(ParameterCode.Code, PhotonPacketBuilder.types.byte(210));
 
-        // Set the data as a SPECIFIC integer array type
-        // Use the direct type assignment rather than auto-conversion
-        this.opParameters.set(ParameterCode.Data, {
-            type: 110, // Integer array type
-            data: [viewID, playerID]
-        });
+        // Set the data as a SPECIFIC integer array type rather than auto-conversion
+        this.opParameters.set(ParameterCode.Data, PhotonPacketBuilder.types.intArray([viewID, playerID]));
 
         // Set caching and receivers
         this.opParameters.set(ParameterCode.Cache, PhotonPacketBuilder.types.byte(EventCaching.AddToRoomCache));
@@ -246,6 +483,8 @@ convertToPhotonType(value) {
     // Clear parameters
     this.opParameters = new Map();
     let sendOptions = new SendOptions();
+    // these are malformed on purpose
+    sendOptions.Strict = false;
     
     switch (testType) {
       case 1: 
@@ -0,0 +1,357 @@
+const { DataType } = require("../protocol_reader/constants");
+const { SizedInt } = require("../protocol_reader/types/SizedInt");
+const { SizedFloat } = require("../protocol_reader/types/SizedFloat");
+const { ProtocolArray } = require("../protocol_reader/types/Array");
+const { ProtocolDictionary } = require("../protocol_reader/types/Dictionary");
+const { ProtocolHashtable } = require("../protocol_reader/types/Hashtable");
+const { ObjectArray } = require("../protocol_reader/types/ObjectArray");
+const { CustomData } = require("../protocol_reader/types/CustomData");
+const { Vector2 } = require("../protocol_reader/types/Vector2");
+const { Vector3 } = require("../protocol_reader/types/Vector3");
+const { Quaternion } = require("../protocol_reader/types/Quaternion");
+const { PhotonPlayer } = require("../protocol_reader/types/PhotonPlayer");
+const {
+    ParameterOrder,
+    InitPacket,
+    InitResponse,
+    OperationRequest,
+    OperationResponse,
+    Event,
+    InternalOperationRequest,
+    InternalOperationResponse,
+    DisconnectMessage,
+    Message,
+    RawMessage,
+} = require("../protocol_reader/types/packets");
+
+/*
+ * The PhotonUtils stack (PhotonPacketBuilder, PhotonParser, PhotonSerializer, PhotonPacket) describes
+ * values as `{ type, data }` objects and packets as `{ magic, type, op_code, sections, ... }`.
+ * Encoding and decoding is done by the protocol_reader codec; this module converts between the two
+ * value models so anything built or parsed by one side can be handed to the other.
+ */
+
+// adds the Photon lookup helpers to a Map of `{ type, data }` keys
+function extendMap(map) {
+    map.rawGet = map.get;
+    map.rawSet = map.set;
+
+    // workaround for object equality not working in JS
+    map.get = function (key) {
+        return map.rawGet(Array.from(map.keys()).find(x => x.type === key.type && x.data === key.data));
+    };
+    map.set = function (key, value) {
+        const existing = Array.from(map.keys()).find(x => x.type === key.type && x.data === key.data);
+        return map.rawSet(existing ?? key, value);
+    };
+    map.byIndex = function (idx) {
+        let i = 0;
+        for (const value of map.values()) {
+            if (i === idx) return value;
+            i++;
+        }
+        return undefined;
+    };
+
+    return map;
+}
+
+function isTypedValue(value) {
+    return value !== null
+        && typeof value === "object"
+        && Object.getPrototypeOf(value) === Object.prototype
+        && typeof value.type === "number"
+        && "data" in value;
+}
+
+/* Legacy -> canonical */
+
+function fromTypedCustomData({ variant, data }) {
+    switch (variant) {
+        case "W": return new Vector2(data.x, data.y);
+        case "V": return new Vector3(data.x, data.y, data.z);
+        case "Q": return new Quaternion(data.w, data.x, data.y, data.z);
+        case "P": return new PhotonPlayer(data.player_id);
+        default: return CustomData.fromBytes(variant.charCodeAt(0), Buffer.from(data.data));
+    }
+}
+
+function fromTypedParameters(params) {
+    // a Map, PhotonPacket style [key, value] sections, or a plain object
+    const entries = params instanceof Map || params instanceof Array ? Array.from(params) : Object.entries(params);
+    const value = {};
+    for (const [key, val] of entries) {
+        value[key] = fromTypedValue(val);
+    }
+    Object.defineProperty(value, ParameterOrder, { value: entries.map(([key]) => String(key)) });
+    return value;
+}
+
+/**
+ * Converts a `{ type, data }` value into the protocol_reader value model.
+ * Integers wrap to their wire size the same way the old DataView based serializer did.
+ * Values that are already canonical are passed through untouched.
+ * @param {Object} object - `{ type, data }` value
+ * @returns {*} Canonical value
+ */
+function fromTypedValue(object) {
+    if (!isTypedValue(object)) return object;
+
+    const { type, data } = object;
+    switch (type) {
+        case DataType.NullValue:
+            return null;
+        case DataType.Dictionary: {
+            const map = new Map();
+            for (const [key, val] of data.map.entries()) {
+                map.set(fromTypedValue(key), fromTypedValue(val));
+            }
+            return new ProtocolDictionary(data.keyType, data.valType, map);
+        }
+        case DataType.StringArray:
+            return Array.from(data);
+        case DataType.Byte:
+            return SizedInt.byte(data & 0xFF);
+        case DataType.Custom:
+            return fromTypedCustomData(data);
+        case DataType.Double:
+            return SizedFloat.double(data);
+        case DataType.EventData:
+            return new Event(data.code, fromTypedParameters(data.params));
+        case DataType.Float:
+            return SizedFloat.float(data);
+        case DataType.Hashtable: {
+            // a Map, or the [key, value] pairs PhotonPacketBuilder.types.hashTable() accepts
+            const table = new ProtocolHashtable();
+            for (const [key, val] of data) {
+                table.set(fromTypedValue(key), fromTypedValue(val));
+            }
+            return table;
+        }
+        case DataType.Integer:
+            return SizedInt.int(data | 0);
+        case DataType.Short:
+            return SizedInt.short((data << 16) >> 16);
+        case DataType.Long:
+            return SizedInt.long(BigInt.asIntN(64, BigInt(data)));
+        case DataType.IntegerArray:
+            return Int32Array.from(data);
+        case DataType.Bool:
+            return !!data;
+        case DataType.OperationResponse:
+            return new OperationResponse(data.code, fromTypedValue(data.debugMessage), data.returnCode, fromTypedParameters(data.params));
+        case DataType.OperationRequest:
+            return new OperationRequest(data.code, fromTypedParameters(data.params));
+        case DataType.String:
+            return data;
+        case DataType.ByteArray:
+            return Buffer.from(data);
+        case DataType.Array:
+            return new ProtocolArray(data.type, data.arr.map(item => fromTypedValue({ type: data.type, data: item.data })));
+        case DataType.ObjectArray:
+            return ObjectArray.from(data, fromTypedValue);
+        default:
+            throw new Error(`Unknown Photon type ${type}`);
+    }
+}
+
+/* Canonical -> legacy */
+
+function toTypedCustomData(value) {
+    if (value instanceof Vector2) return { variant: "W", data: { x: value.x, y: value.y } };
+    if (value instanceof Vector3) return { variant: "V", data: { x: value.f1, y: value.f2, z: value.f3 } };
+    if (value instanceof Quaternion) return { variant: "Q", data: { w: value.w, x: value.x, y: value.y, z: value.z } };
+    if (value instanceof PhotonPlayer) return { variant: "P", data: { player_id: value.actorNr } };
+    return { variant: String.fromCharCode(CustomData.typeCodeOf(value)), data: { data: new Uint8Array(CustomData.toBytes(value)) } };
+}
+
+function toTypedParameters(params) {
+    const order = (params[ParameterOrder] ?? []).filter(key => key in params);
+    const map = new Map();
+    for (const key of new Set([...order, ...Object.keys(params)])) {
+        map.set(Number(key), toTypedValue(params[key]));
+    }
+    return map;
+}
+
+/**
+ * Converts a protocol_reader value into a `{ type, data }` value.
+ * Hashtables built as plain objects only know their keys as strings, so those come back as string keys.
+ * @param {*} value - Canonical value
+ * @returns {Object} `{ type, data }` value
+ */
+function toTypedValue(value) {
+    if (value === null || value === undefined) {
+        return { type: DataType.NullValue, data: null };
+    }
+    if (isTypedValue(value)) return value;
+
+    if (value instanceof SizedInt) {
+        switch (value.size) {
+            case 1: return { type: DataType.Byte, data: value.value };
+            case 2: return { type: DataType.Short, data: value.value };
+            case 4: return { type: DataType.Integer, data: value.value };
+            // BigInt, or a Number when read with { longs: "number" }
+            case 8: return { type: DataType.Long, data: value.value };
+        }
+    }
+    if (value instanceof SizedFloat) {
+        return { type: value.size === 4 ? DataType.Float : DataType.Double, data: value.value };
+    }
+    if (CustomData.isCustom(value)) {
+        return { type: DataType.Custom, data: toTypedCustomData(value) };
+    }
+    if (value instanceof ProtocolArray) {
+        return { type: DataType.Array, data: { type: value.innerDataType, arr: value.data.map(toTypedValue) } };
+    }
+    if (value instanceof ProtocolDictionary) {
+        const map = new Map();
+        for (const [key, val] of value.data) {
+            map.set(toTypedValue(key), toTypedValue(val));
+        }
+        return { type: DataType.Dictionary, data: { keyType: value.keyType, valType: value.valueType, map: extendMap(map) } };
+    }
+    if (value instanceof Event) {
+        return { type: DataType.EventData, data: new Event(value.code, toTypedParameters(value.params)) };
+    }
+    if (value instanceof OperationResponse) {
+        const data = new OperationResponse(value.code, toTypedValue(value.debugMessage), value.returnCode, toTypedParameters(value.params));
+        return { type: DataType.OperationResponse, data };
+    }
+    if (value instanceof OperationRequest) {
+        return { type: DataType.OperationRequest, data: new OperationRequest(value.code, toTypedParameters(value.params)) };
+    }
+    if (value instanceof ObjectArray) {
+        return { type: DataType.ObjectArray, data: Array.from(value, toTypedValue) };
+    }
+    if (value instanceof Array && value.every(item => typeof item === "string")) {
+        return { type: DataType.StringArray, data: value };
+    }
+    if (value instanceof Array) {
+        return { type: DataType.ObjectArray, data: value.map(toTypedValue) };
+    }
+    if (value instanceof Int32Array) {
+        return { type: DataType.IntegerArray, data: Array.from(value) };
+    }
+    if (value instanceof Uint8Array) {
+        return { type: DataType.ByteArray, data: new Uint8Array(value) };
+    }
+    if (value instanceof Map || value instanceof ProtocolHashtable) {
+        const map = new Map();
+        for (const [key, val] of value) {
+            map.set(toTypedValue(key), toTypedValue(val));
+        }
+        return { type: DataType.Hashtable, data: extendMap(map) };
+    }
+    switch (typeof value) {
+        case "boolean": return { type: DataType.Bool, data: value };
+        case "string": return { type: DataType.String, data: value };
+        case "object": {
+            const map = new Map();
+            for (const [key, val] of Object.entries(value)) {
+                map.set(toTypedValue(key), toTypedValue(val));
+            }
+            return { type: DataType.Hashtable, data: extendMap(map) };
+        }
+    }
+
+    throw new Error(`Cannot convert '${value}' (type: ${typeof value}) to a Photon type`);
+}
+
+/**
+ * Converts a legacy `{ magic: 0xF3, type, sections, ... }` packet into a protocol_reader packet
+ * @param {Object} packet - Legacy packet object (as built by PhotonPacketBuilder or read by PhotonPacket)
+ * @returns {PacketWithPayload} Canonical packet
+ */
+function toCanonicalPacket(packet) {
+    const params = fromTypedParameters(packet.sections ?? []);
+
+    switch (packet.type) {
+        case 0:
+            return new InitPacket(packet.app_id, {
+                isIpv6: packet.is_ipv6,
+                protocolVersion: packet.protocol_version,
+                clientVersion: packet.client_version,
+                clientSdkId: packet.client_sdk_id,
+            });
+        case 1:
+            return new InitResponse();
+        case 2:
+            return new OperationRequest(packet.op_code, params);
+        case 3:
+            return new OperationResponse(packet.op_code ?? 0, fromTypedValue(packet.debug_message), packet.return_code, params);
+        case 4:
+            return new Event(packet.event_id, params);
+        case 5:
+            return new DisconnectMessage(packet.code, fromTypedValue(packet.debug_message), params);
+        case 6:
+            return new InternalOperationRequest(packet.op_code, params);
+        case 7:
+            return new InternalOperationResponse(packet.op_code, fromTypedValue(packet.debug_message), packet.return_code, params);
+        case 8:
+            return new Message(fromTypedValue(packet.message));
+        case 9:
+            return new RawMessage(packet.data);
+        default:
+            throw new Error(`Cannot convert packet type ${packet.type}`);
+    }
+}
+
+/**
+ * Converts a protocol_reader packet into the legacy packet fields used by PhotonPacket
+ * @param {PacketWithPayload} packet - Canonical packet
+ * @returns {Object} Legacy packet fields
+ */
+function toLegacyPacket(packet) {
+    if (packet instanceof InitPacket) {
+        return {
+            magic: 0xF3,
+            type: 0,
+            protocol_version: packet.protocolVersion,
+            client_sdk_id: packet.clientSdkId,
+            client_version: packet.clientVersion,
+            is_ipv6: packet.isIpv6,
+            app_id: packet.appID.toString("utf8"),
+        };
+    }
+    if (packet instanceof InitResponse) {
+        return { magic: 0xF3, type: 1 };
+    }
+    if (packet instanceof Message) {
+        return { magic: 0xF3, type: 8, message: toTypedValue(packet.value) };
+    }
+    if (packet instanceof RawMessage) {
+        return { magic: 0xF3, type: 9, data: new Uint8Array(packet.data) };
+    }
+
+    const sections = Array.from(toTypedParameters(packet.params).entries());
+
+    if (packet instanceof DisconnectMessage) {
+        return { magic: 0xF3, type: 5, code: packet.code, debug_message: toTypedValue(packet.debugMessage), sections };
+    }
+    if (packet instanceof InternalOperationRequest) {
+        return { magic: 0xF3, type: 6, op_code: packet.code, sections };
+    }
+    if (packet instanceof InternalOperationResponse) {
+        return { magic: 0xF3, type: 7, op_code: packet.code, return_code: packet.returnCode, debug_message: toTypedValue(packet.debugMessage), sections };
+    }
+    if (packet instanceof OperationResponse) {
+        return { magic: 0xF3, type: 3, op_code: packet.code, return_code: packet.returnCode, debug_message: toTypedValue(packet.debugMessage), sections };
+    }
+    if (packet instanceof Event) {
+        return { magic: 0xF3, type: 4, event_id: packet.code, sections };
+    }
+    if (packet instanceof OperationRequest) {
+        return { magic: 0xF3, type: 2, op_code: packet.code, sections };
+    }
+    throw new Error(`Cannot convert ${packet?.constructor?.name ?? packet}`);
+}
+
+module.exports = {
+    extendMap,
+    isTypedValue,
+    fromTypedValue,
+    toTypedValue,
+    toCanonicalPacket,
+    toLegacyPacket,
+};
@@ -0,0 +1,138 @@
+const { WebSocketServer } = require("ws");
+const { Subprotocols, getCodec } = require("../protocol_reader/protocols");
+const { InternalOperationCode, InternalParameterCode } = require("../protocol_reader/constants");
+const { SizedInt } = require("../protocol_reader/types/SizedInt");
+const DiffieHellmanCryptoProvider = require("../protocol_reader/DiffieHellmanCryptoProvider");
+const {
+    InitPacket,
+    InitResponse,
+    OperationRequest,
+    OperationResponse,
+    InternalOperationRequest,
+    InternalOperationResponse,
+} = require("../protocol_reader/types/packets");
+
+/*
+ * A minimal Photon server to run clients against locally.
+ * It answers Init, pings (Ping internal operation requests, as PhotonBot.sendPing sends them) and the
+ * InitEncryption key exchange itself. Operations go to the handlers
+ * registered with `handle()`, anything without a handler gets an empty OperationResponse with return code 0.
+ * Responses to encrypted operations are encrypted too.
+ * Every packet received is recorded in `received` as `{ packet, encrypted }`.
+ */
+class LocalPhotonServer {
+    constructor() {
+        this.handlers = new Map();
+        this.received = [];
+        this.errors = [];
+        this.connections = new Set();
+        this.server = null;
+    }
+
+    /**
+     * Registers a handler for an operation code
+     * @param {number} opCode - Operation code
+     * @param {Function} handler - `(request, connection) => OperationResponse`, return nothing to not respond
+     * @returns {LocalPhotonServer} this
+     */
+    handle(opCode, handler) {
+        this.handlers.set(opCode, handler);
+        return this;
+    }
+
+    /**
+     * Starts listening on localhost
+     * @param {number} port - Port, a free one is picked by default
+     * @returns {Promise<string>} ws:// URL to connect to
+     */
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocketServer({
+                host: "127.0.0.1",
+                port,
+                handleProtocols: (protocols) => Subprotocols.find(protocol => protocols.has(protocol)) ?? false,
+            });
+            this.server.once("listening", () => resolve(`ws://127.0.0.1:${this.server.address().port}`));
+            this.server.once("error", reject);
+            this.server.on("connection", (socket) => this.#accept(socket));
+        });
+    }
+
+    close() {
+        for (const connection of this.connections) {
+            connection.socket.terminate();
+        }
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+
+    #accept(socket) {
+        const connection = {
+            socket,
+            cryptoProvider: null,
+            send(packet, { encrypt = false } = {}) {
+                const writer = new (getCodec(socket.protocol).Writer)();
+                writer.writePacket(packet);
+                let frame = writer.toBytes();
+                if (encrypt) frame = this.cryptoProvider.encryptFrame(frame);
+                socket.send(frame);
+            },
+        };
+
+        this.connections.add(connection);
+        socket.on("close", () => this.connections.delete(connection));
+        socket.on("message", (data) => {
+            try {
+                this.#receive(connection, Buffer.from(data));
+            } catch (error) {
+                this.errors.push(error);
+            }
+        });
+    }
+
+    #receive(connection, frame) {
+        const encrypted = DiffieHellmanCryptoProvider.isEncryptedFrame(frame);
+        if (encrypted) {
+            if (!connection.cryptoProvider) throw new Error("Encrypted packet received before the key exchange");
+            frame = connection.cryptoProvider.decryptFrame(frame);
+        }
+
+        const packet = new (getCodec(connection.socket.protocol).Reader)(frame).readPacket();
+        this.received.push({ packet, encrypted });
+
+        if (packet instanceof InitPacket) {
+            connection.send(new InitResponse());
+        } else if (packet instanceof InternalOperationRequest) {
+            this.#internalOperation(connection, packet);
+        } else if (packet instanceof OperationRequest) {
+            const handler = this.handlers.get(packet.code);
+            const response = handler ? handler(packet, connection) : new OperationResponse(packet.code, null, 0, {});
+            if (response) connection.send(response, { encrypt: encrypted });
+        }
+    }
+
+    #internalOperation(connection, request) {
+        switch (request.code) {
+            case InternalOperationCode.InitEncryption: {
+                const cryptoProvider = new DiffieHellmanCryptoProvider();
+                cryptoProvider.deriveSharedKey(request.params[InternalParameterCode.ClientKey]);
+                connection.send(new InternalOperationResponse(request.code, null, 0, {
+                    [InternalParameterCode.ServerKey]: cryptoProvider.publicKey,
+                }));
+                connection.cryptoProvider = cryptoProvider;
+                break;
+            }
+            case InternalOperationCode.Ping:
+                // 1: the client's timestamp echoed back, 2: server time
+                connection.send(new InternalOperationResponse(request.code, null, 0, {
+                    1: request.params[1] ?? null,
+                    2: SizedInt.int(Date.now() | 0),
+                }));
+                break;
+            default:
+                connection.send(new InternalOperationResponse(request.code, "Unknown internal operation", -2, {}));
+                break;
+        }
+    }
+}
+
+module.exports = LocalPhotonServer;
@@ -1,27 +1,58 @@
 const PhotonSerializer = require("./PhotonSerializer");
 const PhotonParser = require("./PhotonParser");
+const { toLegacyPacket, toCanonicalPacket } = require("./LegacyAdapter");
+const { toTypedJSON, fromTypedJSON } = require("../protocol_reader/TypedJSON");
+const ProtocolWriter = require("../protocol_reader/ProtocolWriter");
+const DiffieHellmanCryptoProvider = require("../protocol_reader/DiffieHellmanCryptoProvider");
+const DecodeError = require("../protocol_reader/DecodeError");
 
 class PhotonPacket {
-    constructor(buffer) {
-        this.parser = new PhotonParser(buffer);
+    #frame;
+    #cryptoProvider;
+
+    /**
+     * @param {ArrayBuffer} buffer - Frame as received
+     * @param {DiffieHellmanCryptoProvider} cryptoProvider - Decrypts (and re-encrypts) encrypted frames (optional)
+     * @param {Object} [readerOptions] - ProtocolReader options, e.g. { longs: "number" }
+     * @throws {DecodeError} When the frame is malformed or can't be decrypted
+     */
+    constructor(buffer, cryptoProvider = null, readerOptions = {}) {
+        this.#frame = buffer;
+        this.#cryptoProvider = cryptoProvider;
+
+        let decrypted = false;
+        if (cryptoProvider?.isInitialized && DiffieHellmanCryptoProvider.isEncryptedFrame(new Uint8Array(buffer))) {
+            try {
+                buffer = cryptoProvider.decryptFrame(new Uint8Array(buffer));
+            } catch (error) {
+                throw new DecodeError(`Decrypting failed: ${error.message}`, {
+                    offset: 0, expected: "encrypted frame", path: "<root>", cause: error
+                });
+            }
+            decrypted = true;
+        }
+
+        this.parser = new PhotonParser(buffer, readerOptions);
         this.magic = this.parser.readUint8();
 
         switch (this.magic) {
             case 0xF3:
                 this.type = this.parser.readUint8();
-                this.encrypted = this.type & 0x80 > 0;
+                // still encrypted when there was no key to decrypt it with, pass it through untouched
+                const opaque = (this.type & 0x80) > 0;
+                this.encrypted = decrypted || opaque;
                 this.type &= 0x7F;
 
                 switch (this.type) {
                     case 2:
                     case 3:
                     case 4:
-                        this.relay = false;
-                        this.#parsePacketInfo(this.type)
+                        this.relay = opaque;
+                        if (!this.relay) this.#parsePacketInfo(this.type);
                         break;
                     default:
-                        // we don't care about these packets, don't bother parsing or serializing them
-                        this.relay = true;
+                        this.relay = opaque || this.type > 9;
+                        if (!this.relay) this.#parsePacket();
                         break;
                 }
 
@@ -31,23 +62,72 @@ class PhotonPacket {
                 this.client_time = this.parser.readUint32();
                 break;
             default:
-                throw "Buffer does not contain a Photon packet";
+                throw this.parser.decodeError("Buffer does not contain a Photon packet", "packet");
+        }
+
+        // throws a DecodeError if anything is left over
+        if (!this.relay) this.parser.expectEnd();
+    }
+
+    static fromBase64(str, cryptoProvider = null, readerOptions = {}) {
+        return new PhotonPacket(Uint8Array.from(atob(str).split("").map(x => x.charCodeAt(0))).buffer, cryptoProvider, readerOptions);
+    }
+
+    /**
+     * Typed JSON for this packet, see protocol_reader/TypedJSON.
+     * On top of that format, pings are `{ packet: "ping", serverTime, clientTime }`, frames we can't decode
+     * are `{ packet: "opaque", data }` (the whole frame as hex) and `encrypted: true` marks packets to send encrypted.
+     * @returns {object} JSON-safe object
+     */
+    toTypedJSON() {
+        if (this.magic === 0xF0) {
+            return { packet: "ping", serverTime: this.server_time, clientTime: this.client_time };
+        }
+        if (this.relay) {
+            return { packet: "opaque", data: Buffer.from(this.#bytes()).toString("hex") };
         }
 
-        if(this.parser.offset !== this.parser.view.byteLength - 1 && !this.relay) console.warn("Photon packet was not read to end...", this);
+        const json = toTypedJSON(toCanonicalPacket(this));
+        if (this.encrypted) json.encrypted = true;
+        return json;
     }
 
-    static fromBase64(str) {
-        return new PhotonPacket(Uint8Array.from(atob(str).split("").map(x => x.charCodeAt(0))).buffer);
+    /**
+     * @param {object|string} json - Typed JSON, as returned by toTypedJSON()
+     * @param {DiffieHellmanCryptoProvider} cryptoProvider - Encrypts packets marked `encrypted` on serialize (optional)
+     * @returns {PhotonPacket}
+     */
+    static fromTypedJSON(json, cryptoProvider = null) {
+        if (typeof json === "string") json = JSON.parse(json);
+
+        let bytes;
+        if (json.packet === "opaque") {
+            bytes = Buffer.from(json.data, "hex");
+        } else {
+            const writer = new ProtocolWriter();
+            if (json.packet === "ping") {
+                writer.writeUint8(0xF0);
+                writer.writeUint32(json.serverTime);
+                writer.writeUint32(json.clientTime);
+            } else {
+                writer.writePacket(fromTypedJSON(json));
+            }
+            bytes = writer.toBytes();
+        }
+
+        const packet = new PhotonPacket(new Uint8Array(bytes).buffer, cryptoProvider);
+        if (json.encrypted) packet.encrypted = true;
+        return packet;
     }
 
     #parsePacketInfo(type) {
         switch (type) {
             case 2:
                 this.op_code = this.parser.readUint8();
-                if(type === 2) break; // fall-through if 3
+                break;
             case 3:
-                this.return_code = this.parser.readUint16();
+                this.op_code = this.parser.readUint8();
+                this.return_code = this.parser.readInt16();
                 this.debug_message = this.parser.parsePhotonType();
                 break;
             case 4:
@@ -57,32 +137,48 @@ class PhotonPacket {
         this.sections = this.#parseSections();
     }
 
+    // Init, InitResponse, Disconnect, internal operations and messages go through the protocol_reader packet classes
+    #parsePacket() {
+        this.parser.offset = 0;
+        Object.assign(this, toLegacyPacket(this.parser.readPacket()));
+    }
+
     #parseSections() {
-        let len = this.parser.readUint16();
+        let len = this.parser.checkCollectionSize(this.parser.readUint16(), 2);
         let sections = [];
         for (let i = 0; i < len; i++) {
-            sections.push([this.parser.readUint8(), this.parser.parsePhotonType()]);
+            const key = this.parser.readUint8();
+            this.parser.pushParam(key);
+            sections.push([key, this.parser.parsePhotonType()]);
+            this.parser.popPath();
         }
 
         return sections;
     }
 
-    serialize() {
+    // subprotocol picks the codec to re-encode with, packets are always parsed as GpBinaryV16.
+    // options go to PhotonSerializer
+    serialize(subprotocol, options) {
         if(this.relay) {
             console.warn("Tried to serialize a packet we don't support, ignored");
-            return this.parser.view.buffer;
+            return this.#bytes();
         }
 
-        let serializer = new PhotonSerializer(this);
+        let serializer = new PhotonSerializer(this, subprotocol, this.#cryptoProvider, options);
         return serializer.serialize();
     }
 
     verify() {
-        let input_b64 = btoa(String.fromCharCode(...new Uint8Array(this.parser.view.buffer)));
+        let input_b64 = btoa(String.fromCharCode(...new Uint8Array(this.#bytes())));
         let serialized_b64 = btoa(String.fromCharCode(...new Uint8Array(this.serialize())));
 
         return input_b64 === serialized_b64;
     }
+
+    #bytes() {
+        const buffer = Buffer.from(this.#frame);
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    }
 }
 
-module.exports = PhotonPacket;
\ No newline at end of file
+module.exports = PhotonPacket;
@@ -1,4 +1,5 @@
 const PhotonSerializer = require("./PhotonSerializer");
+const { extendMap } = require("./LegacyAdapter");
 
 class PhotonPacketBuilder {
     /**
@@ -22,8 +23,9 @@ class PhotonPacketBuilder {
             },
 
             // Serializes the packet to an ArrayBuffer, this is used most of the time, this serializes the data and allows it to be sent back
-            toBuffer() {
-                const serializer = new PhotonSerializer(this);
+            // options (`{ strict }`) are passed on to PhotonSerializer
+            toBuffer(subprotocol, cryptoProvider, options) {
+                const serializer = new PhotonSerializer(this, subprotocol, cryptoProvider, options);
                 return serializer.serialize();
             },
 
@@ -45,6 +47,15 @@ class PhotonPacketBuilder {
         };
     }
 
+    /**
+     * Creates a new internal operation request packet (type 6), e.g. a Ping
+     * @param {number} opCode - The internal operation code, see InternalOperationCode
+     * @returns {Object} A new Photon packet object
+     */
+    static createInternalRequest(opCode) {
+        return Object.assign(PhotonPacketBuilder.createRequest(opCode), { type: 6 });
+    }
+
     /**
      * Creates a new event packet (type 4)
      * @param {number} eventId - The event ID
@@ -66,8 +77,8 @@ class PhotonPacketBuilder {
             },
 
             // Serializes the packet to an ArrayBuffer
-            toBuffer() {
-                const serializer = new PhotonSerializer(this);
+            toBuffer(subprotocol, cryptoProvider, options) {
+                const serializer = new PhotonSerializer(this, subprotocol, cryptoProvider, options);
                 return serializer.serialize();
             },
 
@@ -93,12 +104,14 @@ class PhotonPacketBuilder {
      * Creates a new response packet (type 3)
      * @param {number} returnCode - The return code for the response
      * @param {string} debugMessage - Debug message (optional)
+     * @param {number} opCode - The operation code being answered (optional)
      * @returns {Object} A new Photon packet object
      */
-    static createResponse(returnCode, debugMessage = "") {
+    static createResponse(returnCode, debugMessage = "", opCode = 0) {
         return {
             magic: 0xF3,
             type: 3,
+            op_code: opCode,
             return_code: returnCode,
             debug_message: { type: 0x73, data: debugMessage },
             encrypted: false,
@@ -112,8 +125,8 @@ class PhotonPacketBuilder {
             },
 
             // Serializes the packet to an ArrayBuffer
-            toBuffer() {
-                const serializer = new PhotonSerializer(this);
+            toBuffer(subprotocol, cryptoProvider, options) {
+                const serializer = new PhotonSerializer(this, subprotocol, cryptoProvider, options);
                 return serializer.serialize();
             },
 
@@ -148,8 +161,8 @@ class PhotonPacketBuilder {
             client_time: clientTime,
 
             // Serializes the packet to an ArrayBuffer
-            toBuffer() {
-                const serializer = new PhotonSerializer(this);
+            toBuffer(subprotocol, cryptoProvider, options) {
+                const serializer = new PhotonSerializer(this, subprotocol, cryptoProvider, options);
                 return serializer.serialize();
             },
 
@@ -238,28 +251,6 @@ class PhotonPacketBuilder {
             }
 
             // Add helper methods
-            const extendMap = (map) => {
-                map.rawGet = map.get;
-                map.rawSet = map.set;
-
-                map.get = function (key) {
-                    return map.rawGet(Array.from(map.keys()).find(x => x.type === key.type && x.data === key.data));
-                };
-
-                map.set = function (key, value) {
-                    return map.rawSet(Array.from(map.keys()).find(x => x.type === key.type && x.data === key.data), value);
-                };
-
-                map.byIndex = function (idx) {
-                    let i = 0;
-                    for (const value of map.values()) {
-                        if (i === idx) return value;
-                        i++;
-                    }
-                    return undefined;
-                };
-            };
-
             extendMap(map);
 
             return {
@@ -280,28 +271,6 @@ class PhotonPacketBuilder {
             }
 
             // Add helper methods
-            const extendMap = (map) => {
-                map.rawGet = map.get;
-                map.rawSet = map.set;
-
-                map.get = function (key) {
-                    return map.rawGet(Array.from(map.keys()).find(x => x.type === key.type && x.data === key.data));
-                };
-
-                map.set = function (key, value) {
-                    return map.rawSet(Array.from(map.keys()).find(x => x.type === key.type && x.data === key.data), value);
-                };
-
-                map.byIndex = function (idx) {
-                    let i = 0;
-                    for (const value of map.values()) {
-                        if (i === idx) return value;
-                        i++;
-                    }
-                    return undefined;
-                };
-            };
-
             extendMap(map);
 
             return { type: 0x68, data: map };
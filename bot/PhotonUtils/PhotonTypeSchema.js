@@ -0,0 +1,384 @@
+const { DataType } = require("../protocol_reader/constants");
+const ProtocolReader = require("../protocol_reader/ProtocolReader");
+const ProtocolWriter = require("../protocol_reader/ProtocolWriter");
+const { isTypedValue } = require("./LegacyAdapter");
+const PhotonPacketBuilder = require("./PhotonPacketBuilder");
+
+const { types } = PhotonPacketBuilder;
+
+/*
+ * Converts plain JS values into PhotonPacketBuilder `{ type, data }` values, guided by a type schema.
+ *
+ * A schema is one of
+ *   - a PhotonPacketBuilder.types name: "byte", "short", "integer", "long", "float", "double", "boolean",
+ *     "string", "null", "byteArray", "intArray", "stringArray", "vector2", "vector3", "quaternion", "player",
+ *     "hashTable" or "objectArray"
+ *   - a plain object, for a string keyed hashtable: `{ teamNumber: "byte", perks: "byteArray" }`
+ *   - a one element array, for an object array whose items all follow that schema: `["short"]`
+ *   - undefined or "any", to infer the type (integers become int, other numbers float)
+ * Values can also carry their own type as an inline hint, e.g. `{ teamNumber: types.byte(1) }`.
+ * A hint is checked against the schema and its range, but never converted.
+ * Anything that doesn't match throws a PhotonTypeError naming the path of the value; nothing is coerced.
+ *
+ * validatePhotonType/validateParameters check `{ type, data }` values that are about to be serialized, for
+ * PhotonSerializer's strict mode.
+ */
+
+class PhotonTypeError extends Error {
+    constructor(reason, { expected, path }) {
+        super(`${reason} (expected ${expected}, at ${path})`);
+        this.name = "PhotonTypeError";
+        this.reason = reason;
+        this.expected = expected;
+        this.path = path;
+    }
+}
+
+const isIntegerIn = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const isByte = isIntegerIn(0, 0xFF);
+const isInt = isIntegerIn(-0x80000000, 0x7FFFFFFF);
+const isNumber = (value) => typeof value === "number";
+// NaN and the infinities are floats too, finite values must not overflow to Infinity
+const isFloat = (value) => isNumber(value) && (!Number.isFinite(value) || Math.abs(Math.fround(value)) !== Infinity);
+const isLong = (value) => typeof value === "bigint"
+    ? BigInt.asIntN(64, value) === value
+    : Number.isSafeInteger(value);
+const isPlainObject = (value) => value !== null
+    && typeof value === "object"
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+// schema names of the values that are built straight from one JS value
+const ValueTypes = {
+    null: { type: DataType.NullValue, expected: "null", accepts: (value) => value === null || value === undefined },
+    boolean: { type: DataType.Bool, expected: "a boolean", accepts: (value) => typeof value === "boolean" },
+    byte: { type: DataType.Byte, expected: "an integer from 0 to 255", accepts: isByte },
+    short: { type: DataType.Short, expected: "an integer from -32768 to 32767", accepts: isIntegerIn(-0x8000, 0x7FFF) },
+    integer: { type: DataType.Integer, expected: "a 32 bit integer", accepts: isInt },
+    long: { type: DataType.Long, expected: "a 64 bit integer (BigInt beyond 2^53)", accepts: isLong },
+    float: { type: DataType.Float, expected: "a number in the float range", accepts: isFloat },
+    double: { type: DataType.Double, expected: "a number", accepts: isNumber },
+    string: { type: DataType.String, expected: "a string", accepts: (value) => typeof value === "string" },
+    byteArray: {
+        type: DataType.ByteArray,
+        expected: "a Uint8Array or an array of bytes",
+        accepts: (value) => value instanceof Uint8Array || Array.isArray(value) && value.every(isByte),
+    },
+    intArray: {
+        type: DataType.IntegerArray,
+        expected: "an Int32Array or an array of 32 bit integers",
+        accepts: (value) => value instanceof Int32Array || Array.isArray(value) && value.every(isInt),
+    },
+    stringArray: {
+        type: DataType.StringArray,
+        expected: "an array of strings",
+        accepts: (value) => Array.isArray(value) && value.every(item => typeof item === "string"),
+    },
+};
+
+const hasNumbers = (value, fields) => isPlainObject(value) && fields.every(field => isNumber(value[field]));
+
+// schema names of the custom types, with the variant PhotonPacketBuilder.types gives them
+const CustomTypes = {
+    vector2: { variant: "W", expected: "{ x, y }", accepts: (value) => hasNumbers(value, ["x", "y"]), build: ({ x, y }) => types.vector2(x, y) },
+    vector3: { variant: "V", expected: "{ x, y, z }", accepts: (value) => hasNumbers(value, ["x", "y", "z"]), build: ({ x, y, z }) => types.vector3(x, y, z) },
+    quaternion: {
+        variant: "Q",
+        expected: "{ w, x, y, z }",
+        accepts: (value) => hasNumbers(value, ["w", "x", "y", "z"]),
+        build: ({ w, x, y, z }) => types.quaternion(w, x, y, z),
+    },
+    player: { variant: "P", expected: "an actor number", accepts: isInt, build: (actorNr) => types.player(actorNr) },
+};
+
+const ContainerTypes = {
+    hashTable: { expected: "a plain object or a Map" },
+    objectArray: { expected: "an array" },
+};
+
+const DataTypes = new Set(Object.values(DataType));
+const ValueTypesByCode = new Map(Object.entries(ValueTypes).map(([name, entry]) => [entry.type, { name, ...entry }]));
+
+// paths are written like DecodeError paths
+const { formatKey } = ProtocolReader;
+
+// the type name a schema stands for, for comparing it with a hint
+function schemaTypeName(schema) {
+    if (Array.isArray(schema)) return "objectArray";
+    if (isPlainObject(schema)) return "hashTable";
+    return schema;
+}
+
+function assertSchema(schema, path) {
+    if (schema === undefined || schema === "any") return;
+    if (typeof schema === "string") {
+        if (schema in ValueTypes || schema in CustomTypes || schema in ContainerTypes) return;
+        throw new PhotonTypeError(`Unknown schema type "${schema}"`, { expected: "a PhotonPacketBuilder.types name", path });
+    }
+    if (Array.isArray(schema) ? schema.length === 1 : isPlainObject(schema)) return;
+    throw new PhotonTypeError(`Invalid schema ${String(schema)}`, { expected: "a type name, an object or a one element array", path });
+}
+
+// the schema name a `{ type, data }` hint corresponds to, for comparing it with the expected one
+function hintTypeName({ type, data }) {
+    if (ValueTypesByCode.has(type)) return ValueTypesByCode.get(type).name;
+    if (type === DataType.Custom) {
+        return Object.keys(CustomTypes).find(name => CustomTypes[name].variant === data?.variant) ?? "custom";
+    }
+    if (type === DataType.Hashtable) return "hashTable";
+    if (type === DataType.ObjectArray) return "objectArray";
+    return `type ${type}`;
+}
+
+function checkHint(hint, schema, path) {
+    const name = hintTypeName(hint);
+    const expected = schemaTypeName(schema);
+    if (expected !== undefined && expected !== "any" && expected !== name) {
+        throw new PhotonTypeError(`Got a ${name} hint`, { expected, path });
+    }
+    validatePhotonType(hint, path);
+    return hint;
+}
+
+function inferType(value, path) {
+    if (value === null || value === undefined) return "null";
+    switch (typeof value) {
+        case "string": return "string";
+        case "boolean": return "boolean";
+        case "bigint": return "long";
+        case "number":
+            if (!Number.isInteger(value)) return "float";
+            if (isInt(value)) return "integer";
+            throw new PhotonTypeError(`${value} does not fit in an int`, { expected: "a 32 bit integer, or a long() hint", path });
+        case "object":
+            if (value instanceof Uint8Array) return "byteArray";
+            if (value instanceof Int32Array) return "intArray";
+            if (Array.isArray(value)) {
+                if (value.length > 0 && value.every(isInt)) return "intArray";
+                if (value.length > 0 && value.every(item => typeof item === "string")) return "stringArray";
+                return "objectArray";
+            }
+            if (value instanceof Map || isPlainObject(value)) return "hashTable";
+    }
+    throw new PhotonTypeError(`Cannot infer a Photon type for ${value?.constructor?.name ?? typeof value}`, { expected: "a schema or a type hint", path });
+}
+
+function toHashTable(value, schema, path) {
+    if (!(value instanceof Map || isPlainObject(value))) {
+        throw new PhotonTypeError(`Got ${typeof value}`, { expected: ContainerTypes.hashTable.expected, path });
+    }
+    const keySchemas = isPlainObject(schema) ? schema : {};
+    // Map keys may be hints themselves (e.g. types.byte(255)), plain object keys are strings
+    const entries = value instanceof Map ? Array.from(value) : Object.entries(value);
+    return types.hashTable(entries.map(([key, val]) => {
+        const keyName = isTypedValue(key) ? key.data : key;
+        const valuePath = path + formatKey(keyName);
+        return [
+            toPhotonType(key, undefined, valuePath),
+            toPhotonType(val, keySchemas[String(keyName)], valuePath),
+        ];
+    }));
+}
+
+function toObjectArray(value, schema, path) {
+    if (!Array.isArray(value)) {
+        throw new PhotonTypeError(`Got ${typeof value}`, { expected: ContainerTypes.objectArray.expected, path });
+    }
+    const itemSchema = Array.isArray(schema) ? schema[0] : undefined;
+    return types.objectArray(value.map((item, i) => toPhotonType(item, itemSchema, `${path}[${i}]`)));
+}
+
+/**
+ * Converts a JS value into a PhotonPacketBuilder `{ type, data }` value
+ * @param {*} value - Plain value, or a `{ type, data }` hint
+ * @param {string|Object|Array} [schema] - Expected type, see the top of this file
+ * @param {string} [path] - Where the value sits, for error messages
+ * @returns {Object} `{ type, data }` value
+ * @throws {PhotonTypeError} When the value doesn't match the schema or no type can be inferred
+ */
+function toPhotonType(value, schema, path = "<root>") {
+    assertSchema(schema, path);
+    if (isTypedValue(value)) return checkHint(value, schema, path);
+
+    if (schema === undefined || schema === "any") {
+        const name = inferType(value, path);
+        return name in ContainerTypes ? toPhotonType(value, name, path) : types[name](value);
+    }
+    if (Array.isArray(schema) || schema === "objectArray") return toObjectArray(value, schema, path);
+    if (isPlainObject(schema) || schema === "hashTable") return toHashTable(value, schema, path);
+
+    const valueType = ValueTypes[schema];
+    if (valueType) {
+        if (!valueType.accepts(value)) {
+            throw new PhotonTypeError(`${String(value)} is not a valid ${schema}`, { expected: valueType.expected, path });
+        }
+        return types[schema](value);
+    }
+
+    const customType = CustomTypes[schema];
+    if (!customType.accepts(value)) {
+        throw new PhotonTypeError(`Invalid ${schema}`, { expected: customType.expected, path });
+    }
+    return customType.build(value);
+}
+
+function describe(value) {
+    if (typeof value === "string") return JSON.stringify(value.length > 32 ? `${value.slice(0, 32)}...` : value);
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) return `${value.constructor.name}(${value.length})`;
+    return String(value);
+}
+
+/**
+ * Checks a `{ type, data }` value before it is serialized: integer and float ranges, string and collection
+ * sizes against the codec's limits, element types of typed arrays and dictionaries, and the type codes.
+ * Values already in the protocol_reader model are left alone, they are checked when they are built.
+ * @param {*} value - Value to check
+ * @param {string} [path] - Where the value sits, for error messages
+ * @param {Object} [limits] - Limits of the codec writing it, see ProtocolWriter.Limits
+ * @throws {PhotonTypeError} On the first value that can't be serialized as it is
+ */
+function validatePhotonType(value, path = "<root>", limits = ProtocolWriter.Limits) {
+    if (!isTypedValue(value)) return;
+
+    const { type, data } = value;
+    const fail = (reason, expected) => {
+        throw new PhotonTypeError(reason, { expected, path });
+    };
+    const checkSize = (size) => {
+        if (size > limits.maxCollectionSize) fail(`${size} items`, `at most ${limits.maxCollectionSize}`);
+    };
+    const checkString = (str, at = path) => {
+        const bytes = Buffer.byteLength(str, "utf8");
+        if (bytes > limits.maxStringBytes) {
+            throw new PhotonTypeError(`String of ${bytes} bytes`, { expected: `at most ${limits.maxStringBytes} UTF-8 bytes`, path: at });
+        }
+    };
+
+    const valueType = ValueTypesByCode.get(type);
+    if (valueType) {
+        if (!valueType.accepts(data)) {
+            // point at the element of a byte/int/string array
+            const index = Array.isArray(data) && valueType.name.endsWith("Array") ? data.findIndex(item => !valueType.accepts([item])) : -1;
+            if (index >= 0) {
+                throw new PhotonTypeError(`${describe(data[index])} is not a valid ${valueType.name} element`, { expected: valueType.expected, path: `${path}[${index}]` });
+            }
+            fail(`${describe(data)} is not a valid ${valueType.name}`, valueType.expected);
+        }
+        if (type === DataType.String) checkString(data);
+        if (type === DataType.StringArray) {
+            checkSize(data.length);
+            data.forEach((str, i) => checkString(str, `${path}[${i}]`));
+        }
+        return;
+    }
+
+    switch (type) {
+        case DataType.Custom: {
+            const name = hintTypeName(value);
+            const customType = CustomTypes[name];
+            if (customType && !customType.accepts(name === "player" ? data.data?.player_id : data.data)) {
+                fail(`Invalid ${name}`, customType.expected);
+            }
+            // any other custom type is sent as its serialized bytes
+            const bytes = data?.data?.data;
+            if (!customType && (data?.variant?.length !== 1 || !(ArrayBuffer.isView(bytes) || Array.isArray(bytes)))) {
+                fail("Invalid custom type", "{ variant, data: { data: bytes } }");
+            }
+            return;
+        }
+        case DataType.Hashtable: {
+            const entries = Array.from(data);
+            checkSize(entries.length);
+            for (const [key, val] of entries) {
+                const valuePath = path + formatKey(isTypedValue(key) ? key.data : key);
+                validatePhotonType(key, valuePath, limits);
+                validatePhotonType(val, valuePath, limits);
+            }
+            return;
+        }
+        case DataType.Dictionary: {
+            const { keyType, valType, map } = data;
+            for (const code of [keyType, valType]) {
+                if (code !== 0 && !DataTypes.has(code)) fail(`Unknown dictionary type ${code}`, "a DataType code or 0");
+            }
+            checkSize(map.size);
+            for (const [key, val] of map) {
+                const valuePath = path + formatKey(isTypedValue(key) ? key.data : key);
+                if (keyType !== 0 && key?.type !== keyType) {
+                    throw new PhotonTypeError(`Key of type ${key?.type}`, { expected: `keys of type ${keyType}`, path: valuePath });
+                }
+                if (valType !== 0 && val?.type !== valType) {
+                    throw new PhotonTypeError(`Value of type ${val?.type}`, { expected: `values of type ${valType}`, path: valuePath });
+                }
+                validatePhotonType(key, valuePath, limits);
+                validatePhotonType(val, valuePath, limits);
+            }
+            return;
+        }
+        case DataType.ObjectArray:
+            if (!Array.isArray(data)) fail(`Got ${describe(data)}`, "an array");
+            checkSize(data.length);
+            data.forEach((item, i) => validatePhotonType(item, `${path}[${i}]`, limits));
+            return;
+        case DataType.Array: {
+            const { type: elementType, arr } = data;
+            if (!DataTypes.has(elementType)) fail(`Unknown array element type ${elementType}`, "a DataType code");
+            checkSize(arr.length);
+            arr.forEach((item, i) => {
+                if (item?.type !== undefined && item.type !== elementType) {
+                    throw new PhotonTypeError(`Element of type ${item.type}`, { expected: `elements of type ${elementType}`, path: `${path}[${i}]` });
+                }
+                validatePhotonType({ type: elementType, data: item?.data }, `${path}[${i}]`, limits);
+            });
+            return;
+        }
+        case DataType.EventData:
+        case DataType.OperationRequest:
+        case DataType.OperationResponse:
+            validateParameters(data.params, path, limits);
+            return;
+        default:
+            fail(`Unknown Photon type ${type}`, "a DataType code");
+    }
+}
+
+/**
+ * Checks a parameter table (a Map, `[key, value]` sections or a plain object) with validatePhotonType
+ * @param {Map|Array|Object} params - Parameter code -> `{ type, data }` value
+ * @param {string} [path] - Where the table sits, for error messages
+ * @param {Object} [limits] - Limits of the codec writing it, see ProtocolWriter.Limits
+ * @throws {PhotonTypeError} On a parameter code that isn't a byte or the first invalid value
+ */
+function validateParameters(params, path = "", limits = ProtocolWriter.Limits) {
+    const entries = params instanceof Map || Array.isArray(params) ? Array.from(params) : Object.entries(params ?? {});
+    if (entries.length > limits.maxParameters) {
+        throw new PhotonTypeError(`${entries.length} parameters`, { expected: `at most ${limits.maxParameters}`, path: `${path}params` });
+    }
+    for (const [key, value] of entries) {
+        const keyPath = `${path}params[${key}]`;
+        if (!isByte(Number(key))) throw new PhotonTypeError(`Parameter code ${key}`, { expected: "a byte", path: keyPath });
+        validatePhotonType(value, keyPath, limits);
+    }
+}
+
+/**
+ * Converts operation parameters with per parameter schemas.
+ * `{ type, data }` values of parameters without a schema are taken as they were built.
+ * @param {Map|Object} parameters - Parameter code -> plain value or `{ type, data }` hint
+ * @param {Object} [schema] - Parameter code -> schema
+ * @returns {Map} Parameter code -> `{ type, data }` value
+ */
+function toPhotonParameters(parameters, schema = {}) {
+    const entries = parameters instanceof Map ? Array.from(parameters) : Object.entries(parameters);
+    return new Map(entries.map(([key, value]) => [
+        Number(key),
+        schema[key] === undefined && isTypedValue(value) ? value : toPhotonType(value, schema[key], `params[${key}]`),
+    ]));
+}
+
+module.exports = {
+    PhotonTypeError,
+    toPhotonType,
+    toPhotonParameters,
+    validatePhotonType,
+    validateParameters,
+};
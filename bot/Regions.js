@@ -0,0 +1,38 @@
+const { ParameterCode } = require("./protocol_reader/constants");
+
+/**
+ * Regions of a GetRegions response: region codes (param 210) and the master server address
+ * of each (param 230), in the same order
+ * @param {OperationResponse} response - GetRegions response
+ * @returns {{ region: string, address: string }[]}
+ */
+function regionsOf(response) {
+  const codes = response.params[ParameterCode.Region] ?? [];
+  const addresses = response.params[ParameterCode.Address] ?? [];
+  return codes
+    .map((region, index) => ({ region, address: addresses[index] }))
+    .filter(({ region, address }) => typeof region === "string" && typeof address === "string");
+}
+
+/**
+ * The region with the lowest round trip time, the first listed on a tie
+ * @param {{ region: string, rtt: ?number }[]} results - Ping results, rtt is null for a region that didn't answer
+ * @returns {?Object} null when no region answered
+ */
+function pickBestRegion(results) {
+  return results.reduce((best, result) => {
+    if (result.rtt === null) return best;
+    return best === null || result.rtt < best.rtt ? result : best;
+  }, null);
+}
+
+/**
+ * Authenticate's region parameter, a region code without a cluster gets any cluster, e.g. "eu" -> "eu/*"
+ * @param {string} region - Region code, optionally with a cluster
+ * @returns {string}
+ */
+function authRegion(region) {
+  return region.includes("/") ? region : `${region}/*`;
+}
+
+module.exports = { regionsOf, pickBestRegion, authRegion };
@@ -0,0 +1,162 @@
+// WebSocket.CONNECTING
+const CONNECTING = 0;
+
+/**
+ * Outgoing frames of a PhotonClient.
+ * Frames are queued per channel and sent in order within a channel, channels take turns. Sending is limited
+ * to `messagesPerSecond` (a token bucket holding up to `burst` messages) and pauses while the socket's
+ * `bufferedAmount` is above `maxBufferedAmount`. A flush sends as many queued frames as the budget allows, each as
+ * its own WebSocket message: Photon reads one packet per message, so frames are never merged.
+ * Unreliable frames that waited longer than `unreliableTimeout` are dropped instead of sent late.
+ * With budget left and nothing queued, a frame is sent right away. Immediate frames (pings, whose round trip
+ * is measured) skip the queue and the budget once the socket is open.
+ */
+class SendQueue {
+    static Defaults = {
+        messagesPerSecond: 50,
+        burst: 50,
+        maxBufferedAmount: 256 * 1024,
+        unreliableTimeout: 1000,
+        // how long to wait before checking bufferedAmount (or whether the socket opened) again
+        backpressureDelay: 20,
+    };
+
+    /**
+     * @param {WebSocket} socket - Socket to send on
+     * @param {Object} [options] - See SendQueue.Defaults
+     */
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.options = { ...SendQueue.Defaults, ...options };
+        // a bucket that can't hold a whole message would never send
+        this.options.burst = Math.max(1, this.options.burst);
+
+        // channel -> frames waiting to be sent, oldest first
+        this.channels = new Map();
+        this.nextChannel = 0;
+        this.tokens = this.options.burst;
+        this.refilledAt = Date.now();
+        this.timer = null;
+
+        this.metrics = {
+            sent: 0,
+            bytesSent: 0,
+            // frames that couldn't be sent right away
+            queued: 0,
+            dropped: 0,
+            // times sending waited for the rate limit / for the socket buffer to drain
+            throttled: 0,
+            backpressured: 0,
+            maxPending: 0,
+        };
+    }
+
+    // Frames waiting to be sent
+    get pending() {
+        let count = 0;
+        for (const queue of this.channels.values()) count += queue.length;
+        return count;
+    }
+
+    /**
+     * Queues a frame and sends what the budget allows
+     * @param {ArrayBuffer|Uint8Array} frame - Serialized frame
+     * @param {Object} [options]
+     * @param {number} [options.channel] - Frames of a channel are sent in order
+     * @param {boolean} [options.reliable] - Unreliable frames may be dropped when they wait too long
+     * @param {boolean} [options.immediate] - Send right away without using the budget, queued while connecting
+     */
+    enqueue(frame, { channel = 0, reliable = true, immediate = false } = {}) {
+        if (immediate && this.socket.readyState !== CONNECTING) {
+            this.#send(frame);
+            return;
+        }
+
+        const entry = { frame, reliable, queuedAt: Date.now() };
+        if (!this.channels.has(channel)) this.channels.set(channel, []);
+        this.channels.get(channel).push(entry);
+        this.flush();
+
+        if (this.channels.get(channel)?.includes(entry)) {
+            this.metrics.queued += 1;
+            this.metrics.maxPending = Math.max(this.metrics.maxPending, this.pending);
+        }
+    }
+
+    /**
+     * Sends queued frames until the queue is empty, the budget is spent or the socket buffer is full,
+     * then waits for whichever it ran out of
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.#refill();
+
+        while (this.pending > 0) {
+            // frames queued while connecting wait for the socket to open
+            if (this.socket.readyState === CONNECTING || this.socket.bufferedAmount > this.options.maxBufferedAmount) {
+                this.metrics.backpressured += 1;
+                this.#schedule(this.options.backpressureDelay);
+                return;
+            }
+
+            if (this.tokens < 1) {
+                this.metrics.throttled += 1;
+                this.#schedule(Math.ceil((1 - this.tokens) * 1000 / this.options.messagesPerSecond));
+                return;
+            }
+
+            const entry = this.#next();
+            if (!entry.reliable && Date.now() - entry.queuedAt > this.options.unreliableTimeout) {
+                this.metrics.dropped += 1;
+                continue;
+            }
+
+            this.tokens -= 1;
+            this.#send(entry.frame);
+        }
+    }
+
+    /**
+     * Drops every queued frame, e.g. when the socket closed
+     */
+    clear() {
+        this.metrics.dropped += this.pending;
+        this.channels.clear();
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    toJSON() {
+        return { ...this.metrics, pending: this.pending, tokens: Math.floor(this.tokens) };
+    }
+
+    #send(frame) {
+        this.socket.send(frame);
+        this.metrics.sent += 1;
+        this.metrics.bytesSent += frame.byteLength;
+    }
+
+    #refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.options.burst, this.tokens + (now - this.refilledAt) * this.options.messagesPerSecond / 1000);
+        this.refilledAt = now;
+    }
+
+    // Oldest frame of the next channel in turn
+    #next() {
+        const channels = Array.from(this.channels.keys()).sort((a, b) => a - b);
+        const channel = channels.find((key) => key >= this.nextChannel) ?? channels[0];
+        const queue = this.channels.get(channel);
+        const entry = queue.shift();
+        if (queue.length === 0) this.channels.delete(channel);
+        this.nextChannel = channel + 1;
+        return entry;
+    }
+
+    #schedule(delay) {
+        this.timer = setTimeout(() => this.flush(), delay);
+    }
+}
+
+module.exports = SendQueue;
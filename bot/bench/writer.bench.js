@@ -0,0 +1,183 @@
+const { PerformanceObserver } = require('perf_hooks');
+const ProtocolWriter = require('../protocol_reader/ProtocolWriter');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { SizedFloat } = require('../protocol_reader/types/SizedFloat');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { Vector3 } = require('../protocol_reader/types/Vector3');
+const { Quaternion } = require('../protocol_reader/types/Quaternion');
+const { InternalOperationRequest, OperationRequest } = require('../protocol_reader/types/packets');
+const PhotonPacketBuilder = require('../PhotonUtils/PhotonPacketBuilder');
+
+/*
+ * Compares the single-buffer ProtocolWriter against the previous design, one small Buffer per primitive
+ * concatenated in toBytes(), on the packets bots send all the time.
+ * Reports CPU time, Buffer allocations and garbage collections per packet.
+ * BENCH_ITERATIONS sets the packets per case.
+ */
+
+const Iterations = Number(process.env.BENCH_ITERATIONS ?? 50000);
+
+// the writer as it was: a Buffer.alloc per primitive, Buffer.concat at the end
+class ChunkedWriter extends ProtocolWriter {
+  constructor() {
+    super(0);
+    this.buffers = [];
+  }
+
+  reserve() {}
+
+  push(size, write) {
+    const buf = Buffer.alloc(size);
+    write(buf);
+    this.buffers.push(buf);
+    this.length += size;
+  }
+
+  writeUint8(value) { this.push(1, buf => buf.writeUInt8(value)); }
+  writeInt8(value) { this.push(1, buf => buf.writeInt8(value)); }
+  writeUint16(value) { this.push(2, buf => buf.writeUInt16BE(value)); }
+  writeInt16(value) { this.push(2, buf => buf.writeInt16BE(value)); }
+  writeUint32(value) { this.push(4, buf => buf.writeUInt32BE(value)); }
+  writeInt32(value) { this.push(4, buf => buf.writeInt32BE(value)); }
+  writeInt64(value) { this.push(8, buf => buf.writeBigInt64BE(BigInt(value))); }
+  writeFloat32(value) { this.push(4, buf => buf.writeFloatBE(value)); }
+  writeFloat64(value) { this.push(8, buf => buf.writeDoubleBE(value)); }
+
+  writeUtf8(str) {
+    this.write(Buffer.from(str, 'utf8'));
+  }
+
+  write(bytes) {
+    this.buffers.push(Buffer.from(bytes));
+    this.length += bytes.length;
+  }
+
+  // the patched uint16 was written by writeUint16, so it sits in a chunk of its own
+  patchUint16(offset, value) {
+    let at = 0;
+    for (const buf of this.buffers) {
+      if (offset < at + buf.length) return buf.writeUInt16BE(value, offset - at);
+      at += buf.length;
+    }
+  }
+
+  toBytes() {
+    return Buffer.concat(this.buffers, this.length);
+  }
+}
+
+const Packets = {
+  // PhotonPeer's ping, every couple of seconds per bot
+  'ping (internal operation)': new InternalOperationRequest(1, { 1: SizedInt.int(123456) }),
+  // a RaiseEvent with a PUN RPC, every tick
+  'RaiseEvent (RPC)': new OperationRequest(253, {
+    244: SizedInt.byte(200),
+    245: new ProtocolHashtable([
+      [SizedInt.byte(0), SizedInt.int(4001)],
+      [SizedInt.byte(2), SizedInt.int(-1843274912)],
+      [SizedInt.byte(5), SizedInt.byte(12)],
+      [SizedInt.byte(4), [new Vector3(12.5, 1.25, -40), new Quaternion(1, 0, 0, 0), SizedFloat.float(0.25), 'ak47']],
+    ]),
+  }),
+  // the player properties sent when joining a room
+  'JoinGame (player properties)': new OperationRequest(226, {
+    255: '[]PC-NextToYou (#48213)',
+    249: new ProtocolHashtable([
+      [SizedInt.byte(255), 'Player'],
+      ['rank', SizedInt.byte(87)],
+      ['teamNumber', SizedInt.byte(10)],
+      ['killstreak', SizedInt.byte(0)],
+      ['perks', Buffer.alloc(8)],
+      ['model', SizedInt.byte(1)],
+      ['characterCamo', SizedInt.byte(0)],
+      ['unlockedweapons', Int32Array.from([0x14200, 0])],
+    ]),
+    250: true,
+  }),
+};
+
+const Writers = {
+  'chunked (before)': () => new ChunkedWriter(),
+  'single buffer': () => new ProtocolWriter(),
+  'single buffer, shared': () => ProtocolWriter.shared(),
+};
+
+function encode(createWriter, packet) {
+  const writer = createWriter();
+  writer.writePacket(packet);
+  return writer.toBytes();
+}
+
+// counts Buffer allocations by wrapping the allocating Buffer statics for one pass
+function countAllocations(run) {
+  const names = ['alloc', 'allocUnsafe', 'allocUnsafeSlow', 'from', 'concat'];
+  const originals = names.map(name => Buffer[name]);
+  let count = 0;
+  names.forEach((name, i) => {
+    Buffer[name] = function (...args) {
+      count++;
+      return originals[i].apply(this, args);
+    };
+  });
+  try {
+    run();
+  } finally {
+    names.forEach((name, i) => { Buffer[name] = originals[i]; });
+  }
+  return count;
+}
+
+async function measure(run) {
+  const gcs = [];
+  const observer = new PerformanceObserver(list => gcs.push(...list.getEntries()));
+  observer.observe({ entryTypes: ['gc'] });
+
+  const cpu = process.cpuUsage();
+  run();
+  const { user, system } = process.cpuUsage(cpu);
+
+  // gc entries are delivered asynchronously
+  await new Promise(resolve => setTimeout(resolve, 10));
+  observer.disconnect();
+  return { cpuMicros: user + system, gcCount: gcs.length };
+}
+
+async function main() {
+  const rows = [];
+  for (const [packetName, packet] of Object.entries(Packets)) {
+    for (const [writerName, createWriter] of Object.entries(Writers)) {
+      const repeat = (count) => () => {
+        for (let i = 0; i < count; i++) encode(createWriter, packet);
+      };
+      repeat(1000)(); // warm up
+
+      const allocations = countAllocations(repeat(1000)) / 1000;
+      const { cpuMicros, gcCount } = await measure(repeat(Iterations));
+      rows.push({
+        packet: packetName,
+        writer: writerName,
+        'ns/packet': Math.round(cpuMicros * 1000 / Iterations),
+        'Buffer allocations/packet': allocations,
+        'GCs/100k packets': Math.round(gcCount * 100000 / Iterations),
+      });
+    }
+  }
+
+  // the legacy builder path bots actually use, for absolute numbers
+  const ping = () => PhotonPacketBuilder.createPing(Date.now() | 0, 0).toBuffer();
+  for (let i = 0; i < 1000; i++) ping();
+  const pingAllocations = countAllocations(() => { for (let i = 0; i < 1000; i++) ping(); }) / 1000;
+  const pingRun = await measure(() => { for (let i = 0; i < Iterations; i++) ping(); });
+  rows.push({
+    packet: '0xF0 ping (PhotonPacketBuilder)',
+    writer: 'single buffer, shared',
+    'ns/packet': Math.round(pingRun.cpuMicros * 1000 / Iterations),
+    'Buffer allocations/packet': pingAllocations,
+    'GCs/100k packets': Math.round(pingRun.gcCount * 100000 / Iterations),
+  });
+
+  console.log(`${Iterations} packets per case`);
+  console.table(rows);
+}
+
+main();
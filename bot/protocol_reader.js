@@ -3,12 +3,23 @@ const { Quaternion } = require('./protocol_reader/types/Quaternion');
 module.exports = {
     ProtocolReader: require('./protocol_reader/ProtocolReader'),
     ProtocolWriter: require('./protocol_reader/ProtocolWriter'),
+    Protocol18Reader: require('./protocol_reader/Protocol18Reader'),
+    Protocol18Writer: require('./protocol_reader/Protocol18Writer'),
+    protocols: require('./protocol_reader/protocols'),
+    DecodeError: require('./protocol_reader/DecodeError'),
+    TypedJSON: require('./protocol_reader/TypedJSON'),
     constants: require('./protocol_reader/constants'),
+    returnCodes: require('./protocol_reader/returnCodes'),
     ProtocolArray: require('./protocol_reader/types/Array').ProtocolArray,
+    ProtocolDictionary: require('./protocol_reader/types/Dictionary').ProtocolDictionary,
+    ProtocolHashtable: require('./protocol_reader/types/Hashtable').ProtocolHashtable,
+    ObjectArray: require('./protocol_reader/types/ObjectArray').ObjectArray,
     CustomData: require('./protocol_reader/types/CustomData').CustomData,
     SizedFloat: require('./protocol_reader/types/SizedFloat').SizedFloat,
     SizedInt: require('./protocol_reader/types/SizedInt').SizedInt,
     Vector3: require('./protocol_reader/types/Vector3').Vector3,
+    Vector2: require('./protocol_reader/types/Vector2').Vector2,
     Quaternion: require('./protocol_reader/types/Quaternion').Quaternion,
+    PhotonPlayer: require('./protocol_reader/types/PhotonPlayer').PhotonPlayer,
     packets: require('./protocol_reader/types/packets'),
   };
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Thrown by ProtocolReader (and the readers built on it) for truncated or malformed data.
+ * `offset` is where decoding failed, `expected` the type that was being decoded there and `path`
+ * where that value sits in the packet, e.g. `params[249]["int32 3"].rank`.
+ */
+class DecodeError extends Error {
+  constructor(reason, { offset, expected, path, cause } = {}) {
+    super(`${reason} (offset ${offset}, expected ${expected}, at ${path})`, cause ? { cause } : undefined);
+    this.name = 'DecodeError';
+    this.reason = reason;
+    this.offset = offset;
+    this.expected = expected;
+    this.path = path;
+  }
+}
+
+module.exports = DecodeError;
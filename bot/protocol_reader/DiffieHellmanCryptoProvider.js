@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// RFC 2409 Oakley group 1 (768 bit) with generator 22, the parameters Photon's key exchange uses
+const OakleyPrime768 = Buffer.from(
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD1' +
+  '29024E088A67CC74020BBEA63B139B22514A08798E3404DD' +
+  'EF9519B3CD3A431B302B0A6DF25F14374FE1356D6D51C245' +
+  'E485B576625E7EC6F44C42E9A63A3620FFFFFFFFFFFFFFFF',
+  'hex'
+);
+const Generator = Buffer.from([22]);
+const SecretLength = 20;
+
+// Photon hashes and sends big integers without leading zero bytes
+function stripLeadingZeros(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) {
+    start++;
+  }
+  return bytes.subarray(start);
+}
+
+/**
+ * Payload encryption for a Photon connection.
+ * Both sides exchange public keys (InitEncryption), the shared secret is hashed with SHA-256
+ * into an AES-256 key. Payloads are AES-CBC with PKCS7 padding and a zero IV, like Photon's
+ * DiffieHellmanCryptoProvider.
+ */
+class DiffieHellmanCryptoProvider {
+  constructor() {
+    this.dh = crypto.createDiffieHellman(OakleyPrime768, Generator);
+    this.dh.setPrivateKey(crypto.randomBytes(SecretLength));
+    this.dh.generateKeys();
+    this.publicKey = stripLeadingZeros(this.dh.getPublicKey());
+    this.key = null;
+  }
+
+  get isInitialized() {
+    return this.key !== null;
+  }
+
+  deriveSharedKey(otherPartyPublicKey) {
+    const secret = stripLeadingZeros(this.dh.computeSecret(Buffer.from(otherPartyPublicKey)));
+    this.key = crypto.createHash('sha256').update(secret).digest();
+  }
+
+  encrypt(data) {
+    const cipher = crypto.createCipheriv('aes-256-cbc', this.#requireKey(), Buffer.alloc(16));
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+  }
+
+  decrypt(data) {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', this.#requireKey(), Buffer.alloc(16));
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+  }
+
+  // the 0xF3 + type header stays in the clear, the 0x80 bit of the type marks the rest as encrypted
+  encryptFrame(frame) {
+    frame = Buffer.from(frame);
+    const header = Buffer.from([frame[0], frame[1] | 0x80]);
+    return Buffer.concat([header, this.encrypt(frame.subarray(2))]);
+  }
+
+  decryptFrame(frame) {
+    frame = Buffer.from(frame);
+    const header = Buffer.from([frame[0], frame[1] & 0x7F]);
+    return Buffer.concat([header, this.decrypt(frame.subarray(2))]);
+  }
+
+  static isEncryptedFrame(frame) {
+    return frame.length > 1 && frame[0] === 0xF3 && (frame[1] & 0x80) !== 0;
+  }
+
+  #requireKey() {
+    if (!this.key) {
+      throw new Error('Encryption is not established, no shared key has been derived');
+    }
+    return this.key;
+  }
+}
+
+module.exports = DiffieHellmanCryptoProvider;
@@ -0,0 +1,372 @@
+const { DataType, DataTypeV18 } = require('./constants');
+const ProtocolReader = require('./ProtocolReader');
+const { ProtocolArray } = require('./types/Array');
+const { CustomData } = require('./types/CustomData');
+const { ProtocolDictionary } = require('./types/Dictionary');
+const { ProtocolHashtable } = require('./types/Hashtable');
+const { ObjectArray } = require('./types/ObjectArray');
+const { SizedFloat } = require('./types/SizedFloat');
+const { SizedInt } = require('./types/SizedInt');
+const {
+  ParameterOrder,
+  OperationRequest,
+  OperationResponse,
+  Event
+} = require('./types/packets');
+
+// Dictionary headers and typed arrays are kept in Protocol16 DataType terms in the value model
+const V18_TO_V16 = new Map([
+  [DataTypeV18.Unknown, 0],
+  [DataTypeV18.Boolean, DataType.Bool],
+  [DataTypeV18.Byte, DataType.Byte],
+  [DataTypeV18.Short, DataType.Short],
+  [DataTypeV18.Float, DataType.Float],
+  [DataTypeV18.Double, DataType.Double],
+  [DataTypeV18.String, DataType.String],
+  [DataTypeV18.CompressedInt, DataType.Integer],
+  [DataTypeV18.CompressedLong, DataType.Long],
+  [DataTypeV18.Custom, DataType.Custom],
+  [DataTypeV18.Dictionary, DataType.Dictionary],
+  [DataTypeV18.Hashtable, DataType.Hashtable],
+  [DataTypeV18.ObjectArray, DataType.ObjectArray],
+  [DataTypeV18.OperationRequest, DataType.OperationRequest],
+  [DataTypeV18.OperationResponse, DataType.OperationResponse],
+  [DataTypeV18.EventData, DataType.EventData],
+  [DataTypeV18.ByteArray, DataType.ByteArray],
+  [DataTypeV18.StringArray, DataType.StringArray],
+  [DataTypeV18.CompressedIntArray, DataType.IntegerArray],
+]);
+
+const DataTypeV18Names = new Map(Object.entries(DataTypeV18).map(([name, type]) => [type, name]));
+
+/**
+ * Reader for Protocol18 (GpBinaryV18) frames.
+ * Packet framing is shared with Protocol16, values decode into the same model as ProtocolReader
+ * (SizedInt, SizedFloat, ProtocolArray, ...) so callers don't need to know which protocol was negotiated.
+ * Fixed size numbers are little endian, lengths and ints are varints.
+ */
+class Protocol18Reader extends ProtocolReader {
+  static V18_TO_V16 = V18_TO_V16;
+
+  readValueOfType(type) {
+    if (type >= DataTypeV18.CustomTypeSlim) {
+      return this.readCustomData(type - DataTypeV18.CustomTypeSlim);
+    }
+
+    switch (type) {
+      case DataTypeV18.Unknown:
+      case DataTypeV18.Null:
+        return null;
+      case DataTypeV18.Boolean:
+        return this.readUint8() !== 0;
+      case DataTypeV18.BooleanFalse:
+        return false;
+      case DataTypeV18.BooleanTrue:
+        return true;
+      case DataTypeV18.Byte:
+        return SizedInt.byte(this.readUint8());
+      case DataTypeV18.ByteZero:
+        return SizedInt.byte(0);
+      case DataTypeV18.Short:
+        return SizedInt.short(this.readInt16());
+      case DataTypeV18.ShortZero:
+        return SizedInt.short(0);
+      case DataTypeV18.Float:
+        return SizedFloat.float(this.readFloat32());
+      case DataTypeV18.FloatZero:
+        return SizedFloat.float(0);
+      case DataTypeV18.Double:
+        return SizedFloat.double(this.readFloat64());
+      case DataTypeV18.DoubleZero:
+        return SizedFloat.double(0);
+      case DataTypeV18.String:
+        return this.readString();
+      case DataTypeV18.CompressedInt:
+        return SizedInt.int(this.readCompressedInt32());
+      case DataTypeV18.Int1:
+        return SizedInt.int(this.readUint8());
+      case DataTypeV18.Int1_:
+        return SizedInt.int(-this.readUint8());
+      case DataTypeV18.Int2:
+        return SizedInt.int(this.readUint16());
+      case DataTypeV18.Int2_:
+        return SizedInt.int(-this.readUint16());
+      case DataTypeV18.IntZero:
+        return SizedInt.int(0);
+      case DataTypeV18.CompressedLong:
+        return SizedInt.long(this.toLong(this.readCompressedInt64()));
+      case DataTypeV18.L1:
+        return SizedInt.long(this.toLong(BigInt(this.readUint8())));
+      case DataTypeV18.L1_:
+        return SizedInt.long(this.toLong(-BigInt(this.readUint8())));
+      case DataTypeV18.L2:
+        return SizedInt.long(this.toLong(BigInt(this.readUint16())));
+      case DataTypeV18.L2_:
+        return SizedInt.long(this.toLong(-BigInt(this.readUint16())));
+      case DataTypeV18.LongZero:
+        return SizedInt.long(this.toLong(0n));
+      case DataTypeV18.Custom:
+        return this.readCustomData(this.readUint8());
+      case DataTypeV18.Dictionary:
+        return this.readDictionary();
+      case DataTypeV18.Hashtable:
+        return this.readHashTable();
+      case DataTypeV18.ObjectArray:
+        return this.readObjectArray();
+      case DataTypeV18.OperationRequest:
+        return OperationRequest.read(this);
+      case DataTypeV18.OperationResponse:
+        return OperationResponse.read(this);
+      case DataTypeV18.EventData:
+        return Event.read(this);
+      case DataTypeV18.Array:
+        return this.readArrayInArray();
+      case DataTypeV18.BooleanArray:
+        return this.readBooleanArray();
+      case DataTypeV18.ByteArray:
+        return this.read(this.checkCollectionSize(this.readCompressedUInt32()));
+      case DataTypeV18.ShortArray:
+        return this.readTypedArray(DataType.Short, () => SizedInt.short(this.readInt16()));
+      case DataTypeV18.FloatArray:
+        return this.readTypedArray(DataType.Float, () => SizedFloat.float(this.readFloat32()));
+      case DataTypeV18.DoubleArray:
+        return this.readTypedArray(DataType.Double, () => SizedFloat.double(this.readFloat64()));
+      case DataTypeV18.StringArray:
+        return this.readStringArray();
+      case DataTypeV18.CompressedIntArray:
+        return this.readIntArray();
+      case DataTypeV18.CompressedLongArray:
+        return this.readTypedArray(DataType.Long, () => SizedInt.long(this.toLong(this.readCompressedInt64())));
+      case DataTypeV18.CustomTypeArray: {
+        const len = this.checkCollectionSize(this.readCompressedUInt32());
+        const typeCode = this.readUint8();
+        const data = new Array(len);
+        for (let i = 0; i < len; i++) {
+          this.pushIndex(i);
+          data[i] = CustomData.fromBytes(typeCode, this.read(this.readCompressedUInt32()));
+          this.popPath();
+        }
+        return new ProtocolArray(DataType.Custom, data);
+      }
+      case DataTypeV18.DictionaryArray: {
+        const len = this.checkCollectionSize(this.readCompressedUInt32());
+        const keyType = this.readUint8();
+        const valueType = this.readUint8();
+        const data = new Array(len);
+        for (let i = 0; i < len; i++) {
+          this.pushIndex(i);
+          data[i] = this.readDictionaryEntries(keyType, valueType);
+          this.popPath();
+        }
+        return new ProtocolArray(DataType.Dictionary, data);
+      }
+      case DataTypeV18.HashtableArray:
+        return this.readTypedArray(DataType.Hashtable, () => this.readHashTable());
+      default:
+        throw this.decodeError(`Unknown Protocol18 data type ${type}`);
+    }
+  }
+
+  typeName(type) {
+    if (type >= DataTypeV18.CustomTypeSlim) {
+      return `CustomTypeSlim ${type - DataTypeV18.CustomTypeSlim}`;
+    }
+    return DataTypeV18Names.get(type) ?? `type ${type}`;
+  }
+
+  readCustomData(typeCode) {
+    const len = this.checkCollectionSize(this.readCompressedUInt32());
+    return CustomData.fromBytes(typeCode, this.read(len));
+  }
+
+  readDictionary() {
+    const keyType = this.readUint8();
+    const valueType = this.readUint8();
+    return this.readDictionaryEntries(keyType, valueType);
+  }
+
+  readDictionaryEntries(keyType, valueType) {
+    const len = this.checkCollectionSize(this.readCompressedUInt32());
+    const data = new Map();
+    for (let i = 0; i < len; i++) {
+      const key = this.readValue(keyType === DataTypeV18.Unknown ? null : keyType);
+      this.pushKey(key);
+      data.set(key, this.readValue(valueType === DataTypeV18.Unknown ? null : valueType));
+      this.popPath();
+    }
+    return new ProtocolDictionary(this.toDataType(keyType), this.toDataType(valueType), data);
+  }
+
+  // typed array codes have no Protocol16 equivalent, they come back as ProtocolArray (0x79)
+  toDataType(type) {
+    if (V18_TO_V16.has(type)) {
+      return V18_TO_V16.get(type);
+    }
+    if (type >= DataTypeV18.CustomTypeSlim) {
+      return DataType.Custom;
+    }
+    if (type & DataTypeV18.Array) {
+      return DataType.Array;
+    }
+    throw this.decodeError(`Unknown Protocol18 data type ${type}`);
+  }
+
+  readTypedArray(innerDataType, readItem) {
+    const len = this.checkCollectionSize(this.readCompressedUInt32());
+    const data = new Array(len);
+    for (let i = 0; i < len; i++) {
+      this.pushIndex(i);
+      data[i] = readItem();
+      this.popPath();
+    }
+    return new ProtocolArray(innerDataType, data);
+  }
+
+  readArrayInArray() {
+    return this.readTypedArray(DataType.Array, () => this.readValue());
+  }
+
+  readBooleanArray() {
+    const len = this.checkCollectionSize(this.readCompressedUInt32(), 1 / 8);
+    const data = new Array(len);
+    for (let i = 0; i < len; i += 8) {
+      const bits = this.readUint8();
+      for (let bit = 0; bit < 8 && i + bit < len; bit++) {
+        data[i + bit] = (bits & (1 << bit)) !== 0;
+      }
+    }
+    return new ProtocolArray(DataType.Bool, data);
+  }
+
+  readString() {
+    const len = this.readCompressedUInt32();
+    if (len === 0) return '';
+    this.ensure(len);
+    const str = this.buffer.toString('utf8', this.offset, this.offset + len);
+    this.offset += len;
+    return str;
+  }
+
+  readIntArray() {
+    const len = this.checkCollectionSize(this.readCompressedUInt32());
+    const list = new Int32Array(len);
+    for (let i = 0; i < len; i++) {
+      list[i] = this.readCompressedInt32();
+    }
+    return list;
+  }
+
+  readStringArray() {
+    const len = this.checkCollectionSize(this.readCompressedUInt32());
+    const list = new Array(len);
+    for (let i = 0; i < len; i++) {
+      this.pushIndex(i);
+      list[i] = this.readString();
+      this.popPath();
+    }
+    return list;
+  }
+
+  readObjectArray() {
+    const len = this.checkCollectionSize(this.readCompressedUInt32());
+    const list = new ObjectArray();
+    for (let i = 0; i < len; i++) {
+      this.pushIndex(i);
+      list.push(this.readValue());
+      this.popPath();
+    }
+    return list;
+  }
+
+  readHashTable() {
+    const value = new ProtocolHashtable();
+    const len = this.checkCollectionSize(this.readCompressedUInt32(), 2);
+    for (let i = 0; i < len; i++) {
+      const key = this.readValue();
+      this.pushKey(key);
+      value.set(key, this.readValue());
+      this.popPath();
+    }
+    return value;
+  }
+
+  readParameterTable() {
+    const value = {};
+    const order = [];
+    const len = this.checkCollectionSize(this.readUint8(), 2);
+    for (let i = 0; i < len; i++) {
+      const key = this.readUint8();
+      this.pushParam(key);
+      value[key] = this.readValue();
+      this.popPath();
+      order.push(String(key));
+    }
+    Object.defineProperty(value, ParameterOrder, { value: order });
+    return value;
+  }
+
+  readCompressedUInt32() {
+    let value = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      const byte = this.readUint8();
+      value += (byte & 0x7F) * 2 ** shift;
+      if ((byte & 0x80) === 0) {
+        return value >>> 0;
+      }
+    }
+    throw this.decodeError('Malformed compressed uint32', 'varint');
+  }
+
+  readCompressedUInt64() {
+    let value = 0n;
+    for (let shift = 0n; shift < 70n; shift += 7n) {
+      const byte = this.readUint8();
+      value |= BigInt(byte & 0x7F) << shift;
+      if ((byte & 0x80) === 0) {
+        return BigInt.asUintN(64, value);
+      }
+    }
+    throw this.decodeError('Malformed compressed uint64', 'varint');
+  }
+
+  // zig-zag decoded
+  readCompressedInt32() {
+    const value = this.readCompressedUInt32();
+    return (value >>> 1) ^ -(value & 1);
+  }
+
+  readCompressedInt64() {
+    const value = this.readCompressedUInt64();
+    return BigInt.asIntN(64, (value >> 1n) ^ -(value & 1n));
+  }
+
+  readUint16() {
+    this.ensure(2, 'uint16');
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  readInt16() {
+    this.ensure(2, 'int16');
+    const value = this.buffer.readInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  readFloat32() {
+    this.ensure(4, 'float32');
+    const value = this.buffer.readFloatLE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readFloat64() {
+    this.ensure(8, 'float64');
+    const value = this.buffer.readDoubleLE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+}
+
+module.exports = Protocol18Reader;
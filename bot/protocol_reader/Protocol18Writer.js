@@ -0,0 +1,354 @@
+const { DataType, DataTypeV18 } = require('./constants');
+const ProtocolWriter = require('./ProtocolWriter');
+const Protocol18Reader = require('./Protocol18Reader');
+const { ProtocolArray } = require('./types/Array');
+const { CustomData } = require('./types/CustomData');
+const { ProtocolDictionary } = require('./types/Dictionary');
+const { ProtocolHashtable } = require('./types/Hashtable');
+const { ObjectArray } = require('./types/ObjectArray');
+const { SizedFloat } = require('./types/SizedFloat');
+const { SizedInt } = require('./types/SizedInt');
+const {
+  ParameterOrder,
+  OperationRequest,
+  OperationResponse,
+  Event
+} = require('./types/packets');
+
+const V16_TO_V18 = new Map(Array.from(Protocol18Reader.V18_TO_V16, ([v18, v16]) => [v16, v18]));
+V16_TO_V18.set(DataType.NullValue, DataTypeV18.Unknown);
+
+// element type of a ProtocolArray -> Protocol18 typed array code
+const ARRAY_TYPES = new Map([
+  [DataType.Bool, DataTypeV18.BooleanArray],
+  [DataType.Byte, DataTypeV18.ByteArray],
+  [DataType.Short, DataTypeV18.ShortArray],
+  [DataType.Float, DataTypeV18.FloatArray],
+  [DataType.Double, DataTypeV18.DoubleArray],
+  [DataType.String, DataTypeV18.StringArray],
+  [DataType.Integer, DataTypeV18.CompressedIntArray],
+  [DataType.Long, DataTypeV18.CompressedLongArray],
+  [DataType.Custom, DataTypeV18.CustomTypeArray],
+  [DataType.Dictionary, DataTypeV18.DictionaryArray],
+  [DataType.Hashtable, DataTypeV18.HashtableArray],
+]);
+
+/**
+ * Writer for Protocol18 (GpBinaryV18) frames. Takes the same values as ProtocolWriter.
+ * Values are dispatched on their class here instead of through Serializable.writeType/writeValue,
+ * since those emit Protocol16 type codes.
+ */
+class Protocol18Writer extends ProtocolWriter {
+  // sizes are varints, parameter tables are counted in a byte
+  static Limits = { maxStringBytes: 0x7FFFFFFF, maxCollectionSize: 0x7FFFFFFF, maxParameters: 0xFF };
+
+  writeValue(value, writeType = true) {
+    if (value === null || value === undefined) {
+      if (writeType) {
+        this.writeUint8(DataTypeV18.Null);
+      }
+    } else if (value instanceof SizedInt) {
+      this.writeSizedInt(value, writeType);
+    } else if (value instanceof SizedFloat) {
+      this.writeSizedFloat(value, writeType);
+    } else if (typeof value === 'boolean') {
+      if (writeType) {
+        this.writeUint8(value ? DataTypeV18.BooleanTrue : DataTypeV18.BooleanFalse);
+      } else {
+        this.writeUint8(value ? 1 : 0);
+      }
+    } else if (typeof value === 'string') {
+      this.writeTypeCode(DataTypeV18.String, writeType);
+      this.writeString(value);
+    } else if (CustomData.isCustom(value)) {
+      this.writeCustomData(value, writeType);
+    } else if (value instanceof Event) {
+      this.writeTypeCode(DataTypeV18.EventData, writeType);
+      value.writeValue(this);
+    } else if (value instanceof OperationResponse) {
+      this.writeTypeCode(DataTypeV18.OperationResponse, writeType);
+      value.writeValue(this);
+    } else if (value instanceof OperationRequest) {
+      this.writeTypeCode(DataTypeV18.OperationRequest, writeType);
+      value.writeValue(this);
+    } else if (value instanceof ProtocolDictionary) {
+      this.writeTypeCode(DataTypeV18.Dictionary, writeType);
+      this.writeDictionaryHeader(value);
+      this.writeDictionaryEntries(value);
+    } else if (value instanceof ProtocolArray) {
+      this.writeArray(value, writeType);
+    } else if (value instanceof ObjectArray) {
+      this.writeTypeCode(DataTypeV18.ObjectArray, writeType);
+      this.writeObjectArray(value);
+    } else if (value instanceof Array && value.every(item => typeof item === 'string')) {
+      this.writeTypeCode(DataTypeV18.StringArray, writeType);
+      this.writeStringArray(value);
+    } else if (value instanceof Int32Array) {
+      this.writeTypeCode(DataTypeV18.CompressedIntArray, writeType);
+      this.writeCompressedUInt32(value.length);
+      for (const num of value) {
+        this.writeCompressedInt32(num);
+      }
+    } else if (value instanceof Uint8Array) { // Buffer
+      this.writeTypeCode(DataTypeV18.ByteArray, writeType);
+      this.writeCompressedUInt32(value.length);
+      this.write(value);
+    } else if (value instanceof Array) {
+      this.writeTypeCode(DataTypeV18.ObjectArray, writeType);
+      this.writeObjectArray(value);
+    } else if (value instanceof ProtocolHashtable) {
+      this.writeTypeCode(DataTypeV18.Hashtable, writeType);
+      this.writeHashTable(value.entries());
+    } else if (value instanceof Map) { // Hashtable with typed keys
+      this.writeTypeCode(DataTypeV18.Hashtable, writeType);
+      this.writeHashTable(value);
+    } else if (value instanceof Object) { // Hashtable with string keys
+      this.writeTypeCode(DataTypeV18.Hashtable, writeType);
+      this.writeHashTable(Object.entries(value));
+    } else {
+      throw new Error(`Cannot serialize '${value}' (type: ${typeof value})`);
+    }
+  }
+
+  writeTypeCode(type, writeType) {
+    if (writeType) {
+      this.writeUint8(type);
+    }
+  }
+
+  // ints and longs pick the smallest of the Int1/Int2/CompressedInt (L1/L2/CompressedLong) forms when typed
+  writeSizedInt({ value, size }, writeType) {
+    switch (size) {
+      case 1:
+        if (writeType && value === 0) return this.writeUint8(DataTypeV18.ByteZero);
+        this.writeTypeCode(DataTypeV18.Byte, writeType);
+        return this.writeUint8(value);
+      case 2:
+        if (writeType && value === 0) return this.writeUint8(DataTypeV18.ShortZero);
+        this.writeTypeCode(DataTypeV18.Short, writeType);
+        return this.writeInt16(value);
+      case 4:
+        if (writeType && this.writeSmallInteger(value, DataTypeV18.IntZero, DataTypeV18.Int1, DataTypeV18.Int1_, DataTypeV18.Int2, DataTypeV18.Int2_)) return;
+        this.writeTypeCode(DataTypeV18.CompressedInt, writeType);
+        return this.writeCompressedInt32(value);
+      case 8:
+        if (writeType && this.writeSmallInteger(Number(value), DataTypeV18.LongZero, DataTypeV18.L1, DataTypeV18.L1_, DataTypeV18.L2, DataTypeV18.L2_)) return;
+        this.writeTypeCode(DataTypeV18.CompressedLong, writeType);
+        return this.writeCompressedInt64(value);
+      default:
+        throw new Error(`Invalid SizedInt size ${size}`);
+    }
+  }
+
+  writeSmallInteger(value, zero, positive1, negative1, positive2, negative2) {
+    const magnitude = Math.abs(value);
+    if (value === 0) {
+      this.writeUint8(zero);
+    } else if (magnitude <= 0xFF) {
+      this.writeUint8(value > 0 ? positive1 : negative1);
+      this.writeUint8(magnitude);
+    } else if (magnitude <= 0xFFFF) {
+      this.writeUint8(value > 0 ? positive2 : negative2);
+      this.writeUint16(magnitude);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // -0 is written in full, the zero type codes read back as +0
+  writeSizedFloat({ value, size }, writeType) {
+    if (size === 4) {
+      if (writeType && Object.is(value, 0)) return this.writeUint8(DataTypeV18.FloatZero);
+      this.writeTypeCode(DataTypeV18.Float, writeType);
+      return this.writeFloat32(value);
+    }
+    if (writeType && Object.is(value, 0)) return this.writeUint8(DataTypeV18.DoubleZero);
+    this.writeTypeCode(DataTypeV18.Double, writeType);
+    return this.writeFloat64(value);
+  }
+
+  writeCustomData(value, writeType) {
+    const typeCode = CustomData.typeCodeOf(value);
+    if (writeType && typeCode < 100) {
+      this.writeUint8(DataTypeV18.CustomTypeSlim + typeCode);
+    } else {
+      this.writeTypeCode(DataTypeV18.Custom, writeType);
+      this.writeUint8(typeCode);
+    }
+    const data = CustomData.payloadView(value);
+    this.writeCompressedUInt32(data.length);
+    this.write(data);
+  }
+
+  writeDictionaryHeader(dict) {
+    this.writeUint8(this.toDataTypeV18(dict.keyType, dict.data.keys()));
+    this.writeUint8(this.toDataTypeV18(dict.valueType, dict.data.values()));
+  }
+
+  writeDictionaryEntries(dict) {
+    const writeKeyType = V16_TO_V18.get(dict.keyType) === DataTypeV18.Unknown;
+    const writeValueType = V16_TO_V18.get(dict.valueType) === DataTypeV18.Unknown;
+    this.writeCompressedUInt32(this.checkLength(dict.data.size, 'Dictionary'));
+    for (const [key, val] of dict.data) {
+      this.writeValue(key, writeKeyType);
+      this.writeValue(val, writeValueType);
+    }
+  }
+
+  // a ProtocolArray declared in a Dictionary header is described by its element type
+  toDataTypeV18(type, values) {
+    if (type === DataType.Array) {
+      const first = values.next().value;
+      return first ? this.arrayTypeOf(first) : DataTypeV18.ObjectArray;
+    }
+    if (!V16_TO_V18.has(type)) {
+      throw new Error(`Data type ${type} has no Protocol18 equivalent`);
+    }
+    return V16_TO_V18.get(type);
+  }
+
+  arrayTypeOf(array) {
+    return ARRAY_TYPES.get(array.innerDataType) ?? DataTypeV18.Array;
+  }
+
+  writeArray(array, writeType) {
+    const type = this.arrayTypeOf(array);
+    this.writeTypeCode(type, writeType);
+    this.writeCompressedUInt32(this.checkLength(array.data.length, 'Array'));
+
+    switch (type) {
+      case DataTypeV18.BooleanArray:
+        for (let i = 0; i < array.data.length; i += 8) {
+          let bits = 0;
+          for (let bit = 0; bit < 8 && i + bit < array.data.length; bit++) {
+            if (array.data[i + bit]) bits |= 1 << bit;
+          }
+          this.writeUint8(bits);
+        }
+        break;
+      case DataTypeV18.CustomTypeArray:
+        this.writeUint8(array.data.length > 0 ? CustomData.typeCodeOf(array.data[0]) : 0);
+        for (const item of array.data) {
+          const data = CustomData.payloadView(item);
+          this.writeCompressedUInt32(data.length);
+          this.write(data);
+        }
+        break;
+      case DataTypeV18.DictionaryArray:
+        if (array.data.length === 0) {
+          this.writeUint8(DataTypeV18.Unknown);
+          this.writeUint8(DataTypeV18.Unknown);
+          break;
+        }
+        this.writeDictionaryHeader(array.data[0]);
+        for (const dict of array.data) {
+          this.writeDictionaryEntries(dict);
+        }
+        break;
+      case DataTypeV18.Array:
+        for (const item of array.data) {
+          this.writeValue(item);
+        }
+        break;
+      default:
+        for (const item of array.data) {
+          this.writeValue(item, false);
+        }
+        break;
+    }
+  }
+
+  writeObjectArray(list) {
+    this.writeCompressedUInt32(this.checkLength(list.length, 'ObjectArray'));
+    for (const item of list) {
+      this.writeValue(item);
+    }
+  }
+
+  writeHashTable(entries) {
+    const list = Array.from(entries);
+    this.writeCompressedUInt32(this.checkLength(list.length, 'Hashtable'));
+    for (const [key, val] of list) {
+      this.writeValue(key);
+      this.writeValue(val);
+    }
+  }
+
+  writeStringArray(strings) {
+    this.writeCompressedUInt32(this.checkLength(strings.length, 'StringArray'));
+    for (const str of strings) {
+      this.writeString(str);
+    }
+  }
+
+  writeString(str) {
+    const length = this.checkLength(Buffer.byteLength(str, 'utf8'), 'String', 'maxStringBytes', 'bytes');
+    this.writeCompressedUInt32(length);
+    this.writeUtf8(str, length);
+  }
+
+  writeParameterTable(params) {
+    const order = (params[ParameterOrder] ?? []).filter(key => key in params);
+    const keys = new Set([...order, ...Object.keys(params)]);
+    this.writeUint8(this.checkLength(keys.size, 'parameter table', 'maxParameters', 'parameters'));
+    for (const key of keys) {
+      this.writeUint8(Number(key));
+      this.writeValue(params[key]);
+    }
+  }
+
+  writeCompressedUInt32(value) {
+    value >>>= 0;
+    while (value >= 0x80) {
+      this.writeUint8((value & 0x7F) | 0x80);
+      value >>>= 7;
+    }
+    this.writeUint8(value);
+  }
+
+  writeCompressedUInt64(value) {
+    value = BigInt.asUintN(64, BigInt(value));
+    while (value >= 0x80n) {
+      this.writeUint8(Number(value & 0x7Fn) | 0x80);
+      value >>= 7n;
+    }
+    this.writeUint8(Number(value));
+  }
+
+  // zig-zag encoded
+  writeCompressedInt32(value) {
+    this.writeCompressedUInt32((value << 1) ^ (value >> 31));
+  }
+
+  writeCompressedInt64(value) {
+    value = BigInt.asIntN(64, BigInt(value));
+    this.writeCompressedUInt64((value << 1n) ^ (value >> 63n));
+  }
+
+  writeUint16(value) {
+    this.reserve(2);
+    this.buffer.writeUInt16LE(value, this.length);
+    this.length += 2;
+  }
+
+  writeInt16(value) {
+    this.reserve(2);
+    this.buffer.writeInt16LE(value, this.length);
+    this.length += 2;
+  }
+
+  writeFloat32(value) {
+    this.reserve(4);
+    this.buffer.writeFloatLE(value, this.length);
+    this.length += 4;
+  }
+
+  writeFloat64(value) {
+    this.reserve(8);
+    this.buffer.writeDoubleLE(value, this.length);
+    this.length += 8;
+  }
+}
+
+module.exports = Protocol18Writer;
@@ -1,31 +1,72 @@
 const { DataType, PacketType } = require('./constants');
+const DecodeError = require('./DecodeError');
 const { ProtocolArray } = require('./types/Array');
 const { CustomData } = require('./types/CustomData');
+const { ProtocolDictionary } = require('./types/Dictionary');
+const { ProtocolHashtable } = require('./types/Hashtable');
+const { ObjectArray } = require('./types/ObjectArray');
 const { SizedFloat } = require('./types/SizedFloat');
 const { SizedInt } = require('./types/SizedInt');
 const {
+  ParameterOrder,
+  InitPacket,
   InitResponse,
   OperationRequest,
   OperationResponse,
   Event,
   InternalOperationRequest,
-  InternalOperationResponse
+  InternalOperationResponse,
+  DisconnectMessage,
+  Message,
+  RawMessage
 } = require('./types/packets');
 
+const DataTypeNames = new Map(Object.entries(DataType).map(([name, type]) => [type, name]));
+
 class ProtocolReader {
-  constructor(buffer) {
+  // maxDepth: how deep values may nest, maxCollectionSize: most items a single array/table/string may declare
+  static DefaultLimits = { maxDepth: 64, maxCollectionSize: 1 << 20 };
+  // how int64 values are returned: 'bigint', or 'number', which fails on values a Number can't hold exactly
+  static LongModes = ['bigint', 'number'];
+
+  constructor(buffer, { longs = 'bigint', ...limits } = {}) {
+    if (!ProtocolReader.LongModes.includes(longs)) {
+      throw new Error(`Unknown long mode '${longs}', expected one of ${ProtocolReader.LongModes.join(', ')}`);
+    }
+
     this.buffer = Buffer.from(buffer);
     this.offset = 0;
+    this.limits = { ...ProtocolReader.DefaultLimits, ...limits };
+    this.longs = longs;
+
+    // where in the packet we are, for DecodeError
+    this.path = [];
+    this.types = [];
   }
 
   readValue(type = null) {
     type = type ?? this.readUint8();
 
+    if (this.types.length >= this.limits.maxDepth) {
+      throw this.decodeError(`Values nested deeper than ${this.limits.maxDepth} levels`, this.typeName(type));
+    }
+
+    this.types.push(type);
+    try {
+      return this.readValueOfType(type);
+    } catch (error) {
+      throw error instanceof DecodeError ? error : this.decodeError(error.message, undefined, error);
+    } finally {
+      this.types.pop();
+    }
+  }
+
+  readValueOfType(type) {
     switch (type) {
       case DataType.NullValue:
         return null;
       case DataType.Dictionary:
-        throw new Error('Unimplemented data type Dictionary');
+        return ProtocolDictionary.read(this);
       case DataType.StringArray:
         return this.readStringArray();
       case DataType.Byte:
@@ -35,7 +76,7 @@ class ProtocolReader {
       case DataType.Double:
         return SizedFloat.read(this, 8);
       case DataType.EventData:
-        throw new Error('Unimplemented data type EventData');
+        return Event.read(this);
       case DataType.Float:
         return SizedFloat.read(this, 4);
       case DataType.Hashtable:
@@ -51,9 +92,9 @@ class ProtocolReader {
       case DataType.Bool:
         return this.readUint8() !== 0;
       case DataType.OperationResponse:
-        throw new Error('Unimplemented data type OperationResponse');
+        return OperationResponse.read(this);
       case DataType.OperationRequest:
-        throw new Error('Unimplemented data type OperationRequest');
+        return OperationRequest.read(this);
       case DataType.String:
         return this.readString();
       case DataType.ByteArray:
@@ -63,21 +104,24 @@ class ProtocolReader {
       case DataType.ObjectArray:
         return this.readObjectArray();
       default:
-        throw new Error(`Unknown data type ${type}`);
+        throw this.decodeError(`Unknown data type ${type}`);
     }
   }
 
   readPacket() {
     const magic = this.readUint8();
     if (magic !== 0xF3) {
-      throw new Error(`Invalid magic byte: ${magic}`);
+      throw this.decodeError(`Invalid magic byte: ${magic}`, 'packet');
     }
 
     const type = this.readUint8();
+    if (type & 0x80) {
+      throw this.decodeError('Packet is encrypted, decrypt the frame (DiffieHellmanCryptoProvider.decryptFrame) before reading it', 'packet');
+    }
 
     switch (type) {
       case PacketType.Init:
-        throw new Error('Init packet parsing not implemented');
+        return InitPacket.read(this);
       case PacketType.InitResponse:
         return InitResponse.read(this);
       case PacketType.Operation:
@@ -90,36 +134,104 @@ class ProtocolReader {
         return InternalOperationRequest.read(this);
       case PacketType.InternalOperationResponse:
         return InternalOperationResponse.read(this);
-        case PacketType.Disconnect: // Not sure why but this works for ignoring disconnect messages
-        console.log('Received Disconnect packet');
-        return { type: 'Disconnect' };
-        case PacketType.InitResponse: // 7 (no code?) not sure why
-        return new InitResponse();
+      case PacketType.Disconnect:
+        return DisconnectMessage.read(this);
       case PacketType.Message:
+        return Message.read(this);
       case PacketType.RawMessage:
-        throw new Error(`Unimplemented packet type ${type}`);
+        return RawMessage.read(this);
       default:
-        throw new Error(`Unknown packet type ${type}`);
+        throw this.decodeError(`Unknown packet type ${type}`, 'packet');
     }
   }
 
+  // throws unless the whole buffer was consumed
+  expectEnd() {
+    if (this.offset !== this.buffer.length) {
+      throw this.decodeError(`${this.buffer.length - this.offset} trailing bytes`, 'end of packet');
+    }
+  }
+
+  get remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  // throws unless `length` more bytes can be read
+  ensure(length, expected) {
+    if (length > this.remaining) {
+      // inside a value, report the value's type rather than the primitive
+      throw this.decodeError(`Unexpected end of data, needed ${length} bytes but ${this.remaining} are left`, this.types.length ? undefined : expected);
+    }
+  }
+
+  // validates a declared item count against the limits and the bytes left, returns it
+  checkCollectionSize(count, minItemSize = 1) {
+    if (count < 0) {
+      throw this.decodeError(`Negative length ${count}`);
+    }
+    if (count > this.limits.maxCollectionSize) {
+      throw this.decodeError(`Length ${count} exceeds the limit of ${this.limits.maxCollectionSize}`);
+    }
+    this.ensure(count * minItemSize);
+    return count;
+  }
+
+  // path segment for a key: plain identifiers read as `.rank`, anything else as `["int32 3"]`
+  static formatKey(key) {
+    return typeof key === 'string' && /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `.${key}`
+      : `[${JSON.stringify(String(key))}]`;
+  }
+
+  pushIndex(index) {
+    this.path.push(`[${index}]`);
+  }
+
+  pushKey(key) {
+    this.path.push(ProtocolReader.formatKey(key));
+  }
+
+  pushParam(key) {
+    this.path.push(`${this.path.length ? '.' : ''}params[${key}]`);
+  }
+
+  popPath() {
+    this.path.pop();
+  }
+
+  typeName(type) {
+    return DataTypeNames.get(type) ?? `type ${type}`;
+  }
+
+  // `expected` defaults to the value currently being decoded
+  decodeError(reason, expected, cause) {
+    const type = this.types[this.types.length - 1];
+    return new DecodeError(reason, {
+      offset: this.offset,
+      expected: expected ?? (type === undefined ? 'value' : this.typeName(type)),
+      path: this.path.join('') || '<root>',
+      cause
+    });
+  }
+
   readString() {
     const len = this.readUint16();
     if (len === 0) return '';
+    this.ensure(len);
     const str = this.buffer.toString('utf8', this.offset, this.offset + len);
     this.offset += len;
     return str;
   }
 
   readByteArray() {
-    const len = this.readInt32();
+    const len = this.checkCollectionSize(this.readInt32());
     const data = this.buffer.slice(this.offset, this.offset + len);
     this.offset += len;
     return data;
   }
 
   readIntArray() {
-    const len = this.readInt32();
+    const len = this.checkCollectionSize(this.readInt32(), 4);
     const list = new Int32Array(len);
     for (let i = 0; i < len; i++) {
       list[i] = this.readInt32();
@@ -128,94 +240,121 @@ class ProtocolReader {
   }
 
   readStringArray() {
-    const len = this.readInt16();
+    const len = this.checkCollectionSize(this.readInt16(), 2);
     const list = new Array(len);
     for (let i = 0; i < len; i++) {
+      this.pushIndex(i);
       list[i] = this.readString();
+      this.popPath();
     }
     return list;
   }
 
   readObjectArray() {
-    const len = this.readUint16();
-    const list = new Array(len);
-    for (let i = 0; i < len; i++) {
-      list[i] = this.readValue();
-    }
-    return list;
+    return ObjectArray.read(this);
   }
 
   readHashTable() {
-    const value = {};
-    const len = this.readInt16();
+    const value = new ProtocolHashtable();
+    const len = this.checkCollectionSize(this.readInt16(), 2);
     for (let i = 0; i < len; i++) {
       const key = this.readValue();
-      const val = this.readValue();
-      value[key] = val;
+      this.pushKey(key);
+      value.set(key, this.readValue());
+      this.popPath();
     }
     return value;
   }
 
   readParameterTable() {
     const value = {};
-    const len = this.readInt16();
+    const order = [];
+    const len = this.checkCollectionSize(this.readInt16(), 2);
     for (let i = 0; i < len; i++) {
       const key = this.readUint8();
-      const val = this.readValue();
-      value[key] = val;
+      this.pushParam(key);
+      value[key] = this.readValue();
+      this.popPath();
+      order.push(String(key));
     }
+    Object.defineProperty(value, ParameterOrder, { value: order });
     return value;
   }
 
   readUint8() {
+    this.ensure(1, 'uint8');
     const value = this.buffer.readUInt8(this.offset);
     this.offset += 1;
     return value;
   }
 
   readInt8() {
+    this.ensure(1, 'int8');
     const value = this.buffer.readInt8(this.offset);
     this.offset += 1;
     return value;
   }
 
   readUint16() {
+    this.ensure(2, 'uint16');
     const value = this.buffer.readUInt16BE(this.offset);
     this.offset += 2;
     return value;
   }
 
   readInt16() {
+    this.ensure(2, 'int16');
     const value = this.buffer.readInt16BE(this.offset);
     this.offset += 2;
     return value;
   }
 
+  readUint32() {
+    this.ensure(4, 'uint32');
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
   readInt32() {
+    this.ensure(4, 'int32');
     const value = this.buffer.readInt32BE(this.offset);
     this.offset += 4;
     return value;
   }
 
   readInt64() {
-    const value = this.buffer.readBigInt64BE(this.offset);
+    this.ensure(8, 'int64');
+    const value = this.toLong(this.buffer.readBigInt64BE(this.offset));
     this.offset += 8;
+    return value;
+  }
+
+  // a decoded int64 (BigInt) in the representation the `longs` option asks for
+  toLong(value) {
+    if (this.longs === 'bigint') return value;
+    if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)) {
+      throw this.decodeError(`Long ${value} does not fit in a Number without losing precision`, 'Long');
+    }
     return Number(value);
   }
 
   readFloat32() {
+    this.ensure(4, 'float32');
     const value = this.buffer.readFloatBE(this.offset);
     this.offset += 4;
     return value;
   }
 
   readFloat64() {
+    this.ensure(8, 'float64');
     const value = this.buffer.readDoubleBE(this.offset);
     this.offset += 8;
     return value;
   }
 
   read(length) {
+    this.ensure(length, 'bytes');
     const data = this.buffer.slice(this.offset, this.offset + length);
     this.offset += length;
     return data;
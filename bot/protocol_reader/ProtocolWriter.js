@@ -1,14 +1,61 @@
 const { DataType } = require('./constants');
-
+const { ParameterOrder } = require('./types/packets');
+const { CustomData } = require('./types/CustomData');
+
+/**
+ * Writes into a single buffer that grows by doubling, so a packet costs no allocations once the buffer
+ * is big enough. Callers that know the size up front can `reserve()` it to allocate exactly once.
+ * A writer can be `reset()` and reused; `shared()` hands out one reusable instance per writer class.
+ */
 class ProtocolWriter {
-  constructor() {
-    this.buffers = [];
+  static DefaultCapacity = 256;
+  // largest strings (UTF-8 bytes), collections and parameter tables the wire format can carry, Photon counts them in shorts
+  static Limits = { maxStringBytes: 0x7FFF, maxCollectionSize: 0x7FFF, maxParameters: 0x7FFF };
+  static #shared = new Map();
+
+  constructor(capacity = ProtocolWriter.DefaultCapacity) {
+    this.buffer = Buffer.allocUnsafe(capacity);
+    this.length = 0;
+  }
+
+  // reset instance of this writer class, only for callers that are done with its bytes before the next shared() call
+  static shared() {
+    let writer = ProtocolWriter.#shared.get(this);
+    if (!writer) {
+      writer = new this();
+      ProtocolWriter.#shared.set(this, writer);
+    }
+    return writer.reset();
+  }
+
+  reset() {
     this.length = 0;
+    return this;
+  }
+
+  // `length` if it fits in `limit` (a key of Limits), `what` and `unit` name it in the error otherwise
+  checkLength(length, what, limit = 'maxCollectionSize', unit = 'entries') {
+    const max = this.constructor.Limits[limit];
+    if (length > max) {
+      throw new Error(`Cannot serialize a ${what} of ${length} ${unit}, at most ${max} fit`);
+    }
+    return length;
+  }
+
+  // makes room for `size` more bytes
+  reserve(size) {
+    const required = this.length + size;
+    if (required <= this.buffer.length) return;
+
+    const grown = Buffer.allocUnsafe(Math.max(required, this.buffer.length * 2));
+    this.buffer.copy(grown, 0, 0, this.length);
+    this.buffer = grown;
   }
 
   writePacket(packet) {
     this.writeUint8(0xF3);
-    this.writeValue(packet);
+    packet.writeType(this);
+    packet.writeValue(this);
   }
 
   writeValue(value, writeType = true) {
@@ -19,26 +66,26 @@ class ProtocolWriter {
       return;
     }
 
-    if (value instanceof Array && value.every(item => typeof item === 'string')) {
+    if (value.writeDataType && value.writeValue) { // Event/OperationRequest/OperationResponse nested as a value
       if (writeType) {
-        this.writeUint8(DataType.StringArray);
+        value.writeDataType(this);
       }
-      this.writeStringArray(value);
+      value.writeValue(this);
     } else if (value.writeType && value.writeValue) { // Serializable
       if (writeType) {
         value.writeType(this);
       }
       value.writeValue(this);
-    } else if (value instanceof Object && !(value instanceof Array)) {
+    } else if (CustomData.isCustom(value)) { // registered custom type that isn't a CustomData subclass
       if (writeType) {
-        this.writeUint8(DataType.Hashtable);
+        this.writeUint8(DataType.Custom);
       }
-      const entries = Object.entries(value);
-      this.writeUint16(entries.length);
-      for (const [key, val] of entries) {
-        this.writeValue(key);
-        this.writeValue(val);
+      CustomData.writeCustom(this, value);
+    } else if (value instanceof Array && value.every(item => typeof item === 'string')) {
+      if (writeType) {
+        this.writeUint8(DataType.StringArray);
       }
+      this.writeStringArray(value);
     } else if (value instanceof Int32Array) {
       if (writeType) {
         this.writeUint8(DataType.IntegerArray);
@@ -47,6 +94,21 @@ class ProtocolWriter {
       for (const num of value) {
         this.writeInt32(num);
       }
+    } else if (value instanceof Uint8Array) { // Buffer
+      if (writeType) {
+        this.writeUint8(DataType.ByteArray);
+      }
+      this.writeInt32(value.length);
+      this.write(value);
+    } else if (value instanceof Map) { // Hashtable with typed keys
+      if (writeType) {
+        this.writeUint8(DataType.Hashtable);
+      }
+      this.writeInt16(this.checkLength(value.size, 'Hashtable'));
+      for (const [key, val] of value) {
+        this.writeValue(key);
+        this.writeValue(val);
+      }
     } else if (typeof value === 'boolean') {
       if (writeType) {
         this.writeUint8(DataType.Bool);
@@ -57,110 +119,133 @@ class ProtocolWriter {
         this.writeUint8(DataType.String);
       }
       this.writeString(value);
-    } else if (value instanceof Buffer) {
-      if (writeType) {
-        this.writeUint8(DataType.ByteArray);
-      }
-      this.writeInt32(value.length);
-      this.write(value);
     } else if (value instanceof Array) {
       if (writeType) {
         this.writeUint8(DataType.ObjectArray);
       }
-      this.writeInt16(value.length);
+      this.writeInt16(this.checkLength(value.length, 'ObjectArray'));
       for (const item of value) {
         this.writeValue(item);
       }
+    } else if (value instanceof Object) { // Hashtable with string keys
+      if (writeType) {
+        this.writeUint8(DataType.Hashtable);
+      }
+      const entries = Object.entries(value);
+      this.writeInt16(this.checkLength(entries.length, 'Hashtable'));
+      for (const [key, val] of entries) {
+        this.writeValue(key);
+        this.writeValue(val);
+      }
     } else {
       throw new Error(`Cannot serialize '${value}' (type: ${typeof value})`);
     }
   }
 
   writeStringArray(strings) {
-    this.writeInt16(strings.length);
+    this.writeInt16(this.checkLength(strings.length, 'StringArray'));
     for (const str of strings) {
       this.writeString(str);
     }
   }
 
   writeString(str) {
-    const bytes = Buffer.from(str, 'utf8');
-    this.writeUint16(bytes.length);
-    this.write(bytes);
+    const length = this.checkLength(Buffer.byteLength(str, 'utf8'), 'String', 'maxStringBytes', 'bytes');
+    this.writeUint16(length);
+    this.writeUtf8(str, length);
+  }
+
+  // `length` is the string's UTF-8 byte length, it is encoded straight into the buffer
+  writeUtf8(str, length) {
+    this.reserve(length);
+    this.buffer.write(str, this.length, length, 'utf8');
+    this.length += length;
   }
 
   writeParameterTable(params) {
-    const entries = Object.entries(params);
-    this.writeUint16(entries.length);
-    for (const [key, value] of entries) {
+    // keep the wire order of a decoded table, then append anything added since
+    const order = (params[ParameterOrder] ?? []).filter(key => key in params);
+    const keys = new Set([...order, ...Object.keys(params)]);
+    this.writeInt16(this.checkLength(keys.size, 'parameter table', 'maxParameters', 'parameters'));
+    for (const key of keys) {
       this.writeUint8(Number(key));
-      this.writeValue(value);
+      this.writeValue(params[key]);
     }
   }
 
   writeUint8(value) {
-    const buf = Buffer.alloc(1);
-    buf.writeUInt8(value);
-    this.buffers.push(buf);
+    this.reserve(1);
+    this.buffer.writeUInt8(value, this.length);
     this.length += 1;
   }
 
   writeInt8(value) {
-    const buf = Buffer.alloc(1);
-    buf.writeInt8(value);
-    this.buffers.push(buf);
+    this.reserve(1);
+    this.buffer.writeInt8(value, this.length);
     this.length += 1;
   }
 
   writeUint16(value) {
-    const buf = Buffer.alloc(2);
-    buf.writeUInt16BE(value);
-    this.buffers.push(buf);
+    this.reserve(2);
+    this.buffer.writeUInt16BE(value, this.length);
     this.length += 2;
   }
 
   writeInt16(value) {
-    const buf = Buffer.alloc(2);
-    buf.writeInt16BE(value);
-    this.buffers.push(buf);
+    this.reserve(2);
+    this.buffer.writeInt16BE(value, this.length);
     this.length += 2;
   }
 
+  writeUint32(value) {
+    this.reserve(4);
+    this.buffer.writeUInt32BE(value, this.length);
+    this.length += 4;
+  }
+
   writeInt32(value) {
-    const buf = Buffer.alloc(4);
-    buf.writeInt32BE(value);
-    this.buffers.push(buf);
+    this.reserve(4);
+    this.buffer.writeInt32BE(value, this.length);
     this.length += 4;
   }
 
   writeInt64(value) {
-    const buf = Buffer.alloc(8);
-    buf.writeBigInt64BE(BigInt(value));
-    this.buffers.push(buf);
+    this.reserve(8);
+    this.buffer.writeBigInt64BE(BigInt(value), this.length);
     this.length += 8;
   }
 
   writeFloat32(value) {
-    const buf = Buffer.alloc(4);
-    buf.writeFloatBE(value);
-    this.buffers.push(buf);
+    this.reserve(4);
+    this.buffer.writeFloatBE(value, this.length);
     this.length += 4;
   }
 
   writeFloat64(value) {
-    const buf = Buffer.alloc(8);
-    buf.writeDoubleBE(value);
-    this.buffers.push(buf);
+    this.reserve(8);
+    this.buffer.writeDoubleBE(value, this.length);
     this.length += 8;
   }
 
+  // overwrites two bytes written before, e.g. a length that is only known after what it measures
+  patchUint16(offset, value) {
+    this.buffer.writeUInt16BE(value, offset);
+  }
+
   write(bytes) {
-    this.buffers.push(Buffer.from(bytes));
+    this.reserve(bytes.length);
+    this.buffer.set(bytes, this.length);
     this.length += bytes.length;
   }
 
+  // a copy of the bytes written so far, safe to keep after the writer is reset
   toBytes() {
-    return Buffer.concat(this.buffers, this.length);
+    return Buffer.from(this.toView());
+  }
+
+  // the bytes written so far without copying, only valid until the writer is written to or reset
+  toView() {
+    return this.buffer.subarray(0, this.length);
   }
 }
 
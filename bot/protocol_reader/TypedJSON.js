@@ -0,0 +1,352 @@
+const { DataType } = require('./constants');
+const { SizedInt } = require('./types/SizedInt');
+const { SizedFloat } = require('./types/SizedFloat');
+const { ProtocolArray } = require('./types/Array');
+const { ProtocolDictionary } = require('./types/Dictionary');
+const { ProtocolHashtable } = require('./types/Hashtable');
+const { ObjectArray } = require('./types/ObjectArray');
+const { CustomData } = require('./types/CustomData');
+const { Vector2 } = require('./types/Vector2');
+const { Vector3 } = require('./types/Vector3');
+const { Quaternion } = require('./types/Quaternion');
+const { PhotonPlayer } = require('./types/PhotonPlayer');
+const {
+  ParameterOrder,
+  PacketWithPayload,
+  InitPacket,
+  InitResponse,
+  OperationRequest,
+  OperationResponse,
+  Event,
+  InternalOperationRequest,
+  InternalOperationResponse,
+  DisconnectMessage,
+  Message,
+  RawMessage
+} = require('./types/packets');
+
+/*
+ * Typed JSON: a lossless, diffable JSON form of protocol_reader values and packets.
+ *
+ * Every value is `{ "type": <tag>, "value": ... }`:
+ *   null                                  { "type": "null" }
+ *   bool, string                          { "type": "bool", "value": true }
+ *   byte, short, int                      { "type": "short", "value": -3 }
+ *   long                                  { "type": "long", "value": "-9007199254740993" }  (decimal string, read as a BigInt)
+ *   float, double                         { "type": "float", "value": 0.5 }  ("NaN", "Infinity", "-Infinity", "-0" as strings)
+ *   byteArray                             { "type": "byteArray", "value": "00ff" }  (hex)
+ *   intArray, stringArray                 { "type": "intArray", "value": [1, 2] }
+ *   objectArray                           { "type": "objectArray", "value": [<value>, ...] }
+ *   array                                 { "type": "array", "elementType": "int", "value": [<value>, ...] }
+ *   hashtable                             { "type": "hashtable", "value": [[<key>, <value>], ...] }
+ *   dictionary                            { "type": "dictionary", "keyType": "string", "valueType": "object", "value": [[<key>, <value>], ...] }
+ *   vector2, vector3, quaternion          { "type": "vector3", "value": { "x": 0, "y": 1, "z": 0 } }
+ *   photonPlayer                          { "type": "photonPlayer", "value": 3 }
+ *   custom (any other custom type)        { "type": "custom", "code": 42, "value": "0a0b" }  (payload hex, read back with the registered type)
+ *   operationRequest, operationResponse,
+ *   event (nested as values)              { "type": "event", "value": { "code": 200, "params": [...] } }
+ *
+ * elementType/keyType/valueType use the same tags, "object" being the per-entry typed wildcard (type code 0).
+ * Unknown type codes are kept as numbers.
+ *
+ * Packets are `{ "packet": <kind>, ... }` with parameter tables as `[[code, <value>], ...]` in wire order:
+ *   init                 appId, isIpv6, protocolVersion, clientVersion, clientSdkId
+ *   initResponse
+ *   operationRequest, event, internalOperationRequest             code, params
+ *   operationResponse, internalOperationResponse                  code, returnCode, debugMessage (a value), params
+ *   disconnect           code, debugMessage (a value), params
+ *   message              value
+ *   rawMessage           data (hex)
+ */
+
+const TypeTags = new Map([
+  [0, 'object'],
+  [DataType.NullValue, 'null'],
+  [DataType.Bool, 'bool'],
+  [DataType.Byte, 'byte'],
+  [DataType.Short, 'short'],
+  [DataType.Integer, 'int'],
+  [DataType.Long, 'long'],
+  [DataType.Float, 'float'],
+  [DataType.Double, 'double'],
+  [DataType.String, 'string'],
+  [DataType.ByteArray, 'byteArray'],
+  [DataType.IntegerArray, 'intArray'],
+  [DataType.StringArray, 'stringArray'],
+  [DataType.ObjectArray, 'objectArray'],
+  [DataType.Array, 'array'],
+  [DataType.Hashtable, 'hashtable'],
+  [DataType.Dictionary, 'dictionary'],
+  [DataType.Custom, 'custom'],
+  [DataType.OperationRequest, 'operationRequest'],
+  [DataType.OperationResponse, 'operationResponse'],
+  [DataType.EventData, 'event'],
+]);
+const TypeCodes = new Map(Array.from(TypeTags, ([code, tag]) => [tag, code]));
+
+const IntTags = { 1: 'byte', 2: 'short', 4: 'int', 8: 'long' };
+const IntSizes = { byte: 1, short: 2, int: 4, long: 8 };
+
+// built-in custom types with a readable form, anything else is kept as its payload bytes
+const CustomTypes = [
+  { tag: 'vector2', Type: Vector2, toJSON: v => ({ x: v.x, y: v.y }), fromJSON: v => new Vector2(v.x, v.y) },
+  { tag: 'vector3', Type: Vector3, toJSON: v => ({ x: v.f1, y: v.f2, z: v.f3 }), fromJSON: v => new Vector3(v.x, v.y, v.z) },
+  { tag: 'quaternion', Type: Quaternion, toJSON: v => ({ w: v.w, x: v.x, y: v.y, z: v.z }), fromJSON: v => new Quaternion(v.w, v.x, v.y, v.z) },
+  { tag: 'photonPlayer', Type: PhotonPlayer, toJSON: v => v.actorNr, fromJSON: v => new PhotonPlayer(v) },
+];
+
+const typeTag = (code) => TypeTags.get(code) ?? code;
+
+function typeCode(tag) {
+  if (typeof tag === 'number') return tag;
+  if (!TypeCodes.has(tag)) throw new Error(`Unknown typed-JSON type '${tag}'`);
+  return TypeCodes.get(tag);
+}
+
+// JSON has no NaN, Infinity or negative zero
+function floatToJSON(value) {
+  if (Object.is(value, -0)) return '-0';
+  return Number.isFinite(value) ? value : String(value);
+}
+
+const floatFromJSON = (value) => typeof value === 'string' ? Number(value) : value;
+
+// a string whether the long is a BigInt or a Number, JSON numbers can't hold every int64
+const longToJSON = (value) => String(value);
+
+const longFromJSON = (value) => BigInt(value);
+
+function entriesToJSON(entries) {
+  return Array.from(entries, ([key, value]) => [valueToJSON(key), valueToJSON(value)]);
+}
+
+function parametersToJSON(params) {
+  // same order ProtocolWriter.writeParameterTable writes them in
+  const order = (params[ParameterOrder] ?? []).filter(key => key in params);
+  const keys = new Set([...order, ...Object.keys(params)]);
+  return Array.from(keys, key => [Number(key), valueToJSON(params[key])]);
+}
+
+function parametersFromJSON(json = []) {
+  const params = {};
+  const order = [];
+  for (const [key, value] of json) {
+    params[key] = valueFromJSON(value);
+    order.push(String(key));
+  }
+  Object.defineProperty(params, ParameterOrder, { value: order });
+  return params;
+}
+
+function valueToJSON(value) {
+  if (value === null || value === undefined) {
+    return { type: 'null' };
+  }
+  if (value instanceof SizedInt) {
+    const type = IntTags[value.size];
+    return { type, value: type === 'long' ? longToJSON(value.value) : value.value };
+  }
+  if (value instanceof SizedFloat) {
+    return { type: value.size === 4 ? 'float' : 'double', value: floatToJSON(value.value) };
+  }
+  if (value instanceof ProtocolHashtable || value instanceof Map) {
+    return { type: 'hashtable', value: entriesToJSON(value.entries()) };
+  }
+  if (value instanceof ProtocolDictionary) {
+    return {
+      type: 'dictionary',
+      keyType: typeTag(value.keyType),
+      valueType: typeTag(value.valueType),
+      value: entriesToJSON(value.data)
+    };
+  }
+  if (value instanceof ProtocolArray) {
+    return { type: 'array', elementType: typeTag(value.innerDataType), value: value.data.map(valueToJSON) };
+  }
+  if (CustomData.isCustom(value)) {
+    const custom = CustomTypes.find(({ Type }) => value instanceof Type);
+    if (custom) return { type: custom.tag, value: custom.toJSON(value) };
+    return { type: 'custom', code: CustomData.typeCodeOf(value), value: CustomData.toBytes(value).toString('hex') };
+  }
+  if (value instanceof OperationRequest || value instanceof OperationResponse || value instanceof Event) {
+    const { packet, ...fields } = packetToJSON(value);
+    return { type: packet, value: fields };
+  }
+  if (value instanceof ObjectArray) {
+    return { type: 'objectArray', value: Array.from(value, valueToJSON) };
+  }
+  if (value instanceof Array && value.every(item => typeof item === 'string')) {
+    return { type: 'stringArray', value: [...value] };
+  }
+  if (value instanceof Int32Array) {
+    return { type: 'intArray', value: Array.from(value) };
+  }
+  if (value instanceof Uint8Array) {
+    return { type: 'byteArray', value: Buffer.from(value).toString('hex') };
+  }
+  if (typeof value === 'boolean') {
+    return { type: 'bool', value };
+  }
+  if (typeof value === 'string') {
+    return { type: 'string', value };
+  }
+  if (value instanceof Array) {
+    return { type: 'objectArray', value: value.map(valueToJSON) };
+  }
+  if (value instanceof Object) { // hashtable with string keys
+    return { type: 'hashtable', value: entriesToJSON(Object.entries(value)) };
+  }
+  throw new Error(`Cannot convert '${value}' (type: ${typeof value}) to typed JSON`);
+}
+
+function valueFromJSON(json) {
+  const { type, value } = json;
+  switch (type) {
+    case 'null':
+      return null;
+    case 'bool':
+    case 'string':
+      return value;
+    case 'byte':
+    case 'short':
+    case 'int':
+      return new SizedInt(value, IntSizes[type]);
+    case 'long':
+      return new SizedInt(longFromJSON(value), 8);
+    case 'float':
+      return new SizedFloat(floatFromJSON(value), 4);
+    case 'double':
+      return new SizedFloat(floatFromJSON(value), 8);
+    case 'byteArray':
+      return Buffer.from(value, 'hex');
+    case 'intArray':
+      return Int32Array.from(value);
+    case 'stringArray':
+      return [...value];
+    case 'objectArray':
+      return ObjectArray.from(value, valueFromJSON);
+    case 'array':
+      return new ProtocolArray(typeCode(json.elementType), value.map(valueFromJSON));
+    case 'hashtable':
+      return new ProtocolHashtable(value.map(([key, val]) => [valueFromJSON(key), valueFromJSON(val)]));
+    case 'dictionary':
+      return new ProtocolDictionary(
+        typeCode(json.keyType),
+        typeCode(json.valueType),
+        new Map(value.map(([key, val]) => [valueFromJSON(key), valueFromJSON(val)]))
+      );
+    case 'custom':
+      return CustomData.fromBytes(json.code, Buffer.from(value, 'hex'));
+    case 'operationRequest':
+    case 'operationResponse':
+    case 'event':
+      return packetFromJSON({ ...value, packet: type });
+  }
+
+  const custom = CustomTypes.find(({ tag }) => tag === type);
+  if (custom) return custom.fromJSON(value);
+  throw new Error(`Unknown typed-JSON type '${type}'`);
+}
+
+function packetToJSON(packet) {
+  if (packet instanceof InitPacket) {
+    return {
+      packet: 'init',
+      appId: packet.appID.toString('utf8'),
+      isIpv6: packet.isIpv6,
+      protocolVersion: [...packet.protocolVersion],
+      clientVersion: [...packet.clientVersion],
+      clientSdkId: packet.clientSdkId
+    };
+  }
+  if (packet instanceof InitResponse) {
+    return { packet: 'initResponse' };
+  }
+  if (packet instanceof OperationRequest) {
+    return { packet: 'operationRequest', code: packet.code, params: parametersToJSON(packet.params) };
+  }
+  if (packet instanceof Event) {
+    return { packet: 'event', code: packet.code, params: parametersToJSON(packet.params) };
+  }
+  if (packet instanceof InternalOperationRequest) {
+    return { packet: 'internalOperationRequest', code: packet.code, params: parametersToJSON(packet.params) };
+  }
+  if (packet instanceof OperationResponse || packet instanceof InternalOperationResponse) {
+    return {
+      packet: packet instanceof OperationResponse ? 'operationResponse' : 'internalOperationResponse',
+      code: packet.code,
+      returnCode: packet.returnCode,
+      debugMessage: valueToJSON(packet.debugMessage),
+      params: parametersToJSON(packet.params)
+    };
+  }
+  if (packet instanceof DisconnectMessage) {
+    return {
+      packet: 'disconnect',
+      code: packet.code,
+      debugMessage: valueToJSON(packet.debugMessage),
+      params: parametersToJSON(packet.params)
+    };
+  }
+  if (packet instanceof Message) {
+    return { packet: 'message', value: valueToJSON(packet.value) };
+  }
+  if (packet instanceof RawMessage) {
+    return { packet: 'rawMessage', data: packet.data.toString('hex') };
+  }
+  throw new Error(`Cannot convert ${packet?.constructor?.name ?? packet} to typed JSON`);
+}
+
+function packetFromJSON(json) {
+  switch (json.packet) {
+    case 'init':
+      return new InitPacket(json.appId, {
+        isIpv6: json.isIpv6,
+        protocolVersion: json.protocolVersion,
+        clientVersion: json.clientVersion,
+        clientSdkId: json.clientSdkId
+      });
+    case 'initResponse':
+      return new InitResponse();
+    case 'operationRequest':
+      return new OperationRequest(json.code, parametersFromJSON(json.params));
+    case 'event':
+      return new Event(json.code, parametersFromJSON(json.params));
+    case 'internalOperationRequest':
+      return new InternalOperationRequest(json.code, parametersFromJSON(json.params));
+    case 'operationResponse':
+      return new OperationResponse(json.code, valueFromJSON(json.debugMessage), json.returnCode, parametersFromJSON(json.params));
+    case 'internalOperationResponse':
+      return new InternalOperationResponse(json.code, valueFromJSON(json.debugMessage), json.returnCode, parametersFromJSON(json.params));
+    case 'disconnect':
+      return new DisconnectMessage(json.code, valueFromJSON(json.debugMessage), parametersFromJSON(json.params));
+    case 'message':
+      return new Message(valueFromJSON(json.value));
+    case 'rawMessage':
+      return new RawMessage(Buffer.from(json.data, 'hex'));
+    default:
+      throw new Error(`Unknown typed-JSON packet '${json.packet}'`);
+  }
+}
+
+/**
+ * Converts a packet or a value to typed JSON
+ * @param {*} value - A packet from protocol_reader/types/packets, or any value a ProtocolWriter can write
+ * @returns {object} JSON-safe object, see the format above
+ */
+function toTypedJSON(value) {
+  const isPacket = value instanceof PacketWithPayload || value instanceof Message || value instanceof RawMessage;
+  return isPacket ? packetToJSON(value) : valueToJSON(value);
+}
+
+/**
+ * Converts typed JSON back into a packet (`{ packet }`) or a value (`{ type }`)
+ * @param {object|string} json - Typed JSON, parsed or as a string
+ * @returns {*} Packet or value that writes the same bytes it was converted from
+ */
+function fromTypedJSON(json) {
+  if (typeof json === 'string') json = JSON.parse(json);
+  return json.packet !== undefined ? packetFromJSON(json) : valueFromJSON(json);
+}
+
+module.exports = { toTypedJSON, fromTypedJSON };
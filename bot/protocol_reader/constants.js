@@ -21,6 +21,56 @@ class DataType {
     static ObjectArray = 122;
   }
   
+  // Protocol18 (GpBinaryV18) type codes
+  class DataTypeV18 {
+    static Unknown = 0; // "object" in a Dictionary header
+    static Boolean = 2;
+    static Byte = 3;
+    static Short = 4;
+    static Float = 5;
+    static Double = 6;
+    static String = 7;
+    static Null = 8;
+    static CompressedInt = 9;
+    static CompressedLong = 10;
+    static Int1 = 11;
+    static Int1_ = 12;
+    static Int2 = 13;
+    static Int2_ = 14;
+    static L1 = 15;
+    static L1_ = 16;
+    static L2 = 17;
+    static L2_ = 18;
+    static Custom = 19;
+    static Dictionary = 20;
+    static Hashtable = 21;
+    static ObjectArray = 23;
+    static OperationRequest = 24;
+    static OperationResponse = 25;
+    static EventData = 26;
+    static BooleanFalse = 27;
+    static BooleanTrue = 28;
+    static ShortZero = 29;
+    static IntZero = 30;
+    static LongZero = 31;
+    static FloatZero = 32;
+    static DoubleZero = 33;
+    static ByteZero = 34;
+    static Array = 64; // also the flag OR'd onto an element type for typed arrays
+    static BooleanArray = 66;
+    static ByteArray = 67;
+    static ShortArray = 68;
+    static FloatArray = 69;
+    static DoubleArray = 70;
+    static StringArray = 71;
+    static CompressedIntArray = 73;
+    static CompressedLongArray = 74;
+    static CustomTypeArray = 83;
+    static DictionaryArray = 84;
+    static HashtableArray = 85;
+    static CustomTypeSlim = 128; // 128 + custom type code, for codes below 100
+  }
+  
   class PacketType {
     static Init = 0;
     static InitResponse = 1;
@@ -39,6 +89,12 @@ class DataType {
     static Ping = 1;
   }
   
+  // parameters of the InitEncryption internal operation
+  class InternalParameterCode {
+    static ClientKey = 1;
+    static ServerKey = 1;
+  }
+  
   class OperationCode {
     static GetGameList = 217;
     static ServerSettings = 218;
@@ -152,11 +208,38 @@ class DataType {
     static RoomName = 255;
   }
   
+  // keys of the game properties hashtable (ParameterCode.GameProperties)
+  class GamePropertyKey {
+    static EmptyRoomTtl = 245;
+    static PlayerTtl = 246;
+    static ExpectedUsers = 247;
+    static MasterClientId = 248;
+    static CleanupCacheOnLeave = 249;
+    static PropsListedInLobby = 250;
+    static Removed = 251;
+    static PlayerCount = 252;
+    static IsOpen = 253;
+    static IsVisible = 254;
+    static MaxPlayers = 255;
+  }
+  
+  // values of ParameterCode.JoinMode
+  class JoinMode {
+    static Default = 0;
+    static CreateIfNotExists = 1;
+    static JoinOrRejoin = 2;
+    static RejoinOnly = 3;
+  }
+  
   module.exports = {
     DataType,
+    DataTypeV18,
     PacketType,
     InternalOperationCode,
+    InternalParameterCode,
     OperationCode,
     EventCode,
-    ParameterCode
+    ParameterCode,
+    GamePropertyKey,
+    JoinMode
   };
\ No newline at end of file
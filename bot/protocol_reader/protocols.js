@@ -0,0 +1,39 @@
+const ProtocolReader = require('./ProtocolReader');
+const ProtocolWriter = require('./ProtocolWriter');
+const Protocol18Reader = require('./Protocol18Reader');
+const Protocol18Writer = require('./Protocol18Writer');
+
+// WebSocket subprotocol name -> codec
+const Codecs = {
+  GpBinaryV16: { Reader: ProtocolReader, Writer: ProtocolWriter },
+  GpBinaryV18: { Reader: Protocol18Reader, Writer: Protocol18Writer },
+};
+
+const DefaultSubprotocol = 'GpBinaryV16';
+
+// offered in order of preference when opening a socket
+const Subprotocols = ['GpBinaryV16', 'GpBinaryV18'];
+
+/**
+ * Looks up the reader/writer pair for a negotiated subprotocol.
+ * Sockets that haven't negotiated anything (or haven't opened yet) get the default.
+ * @param {string} [subprotocol] - `socket.protocol`
+ * @returns {{ Reader: typeof ProtocolReader, Writer: typeof ProtocolWriter }}
+ */
+function getCodec(subprotocol) {
+  if (!subprotocol) {
+    return Codecs[DefaultSubprotocol];
+  }
+  const codec = Codecs[subprotocol];
+  if (!codec) {
+    throw new Error(`Unsupported subprotocol ${subprotocol}`);
+  }
+  return codec;
+}
+
+module.exports = {
+  Codecs,
+  DefaultSubprotocol,
+  Subprotocols,
+  getCodec
+};
@@ -0,0 +1,95 @@
+// Return codes of OperationResponse and InternalOperationResponse, 0 is success.
+// Negative codes come from the Photon core, the 0x7FFF range from the LoadBalancing (Realtime) servers.
+class ErrorCode {
+  static Ok = 0;
+  static InvalidRequestParameters = -6;
+  static ArgumentOutOfRange = -4;
+  static OperationNotAllowedInCurrentState = -3;
+  static InvalidOperation = -2;
+  static InternalServerError = -1;
+  static InvalidAuthentication = 32767;
+  static GameIdAlreadyExists = 32766;
+  static GameFull = 32765;
+  static GameClosed = 32764;
+  static AlreadyMatched = 32763;
+  static ServerFull = 32762;
+  static UserBlocked = 32761;
+  static NoRandomMatchFound = 32760;
+  static GameDoesNotExist = 32758;
+  static MaxCcuReached = 32757;
+  static InvalidRegion = 32756;
+  static CustomAuthenticationFailed = 32755;
+  static AuthenticationTicketExpired = 32753;
+  static PluginReportedError = 32752;
+  static PluginMismatch = 32751;
+  static JoinFailedPeerAlreadyJoined = 32750;
+  static JoinFailedFoundInactiveJoiner = 32749;
+  static JoinFailedWithRejoinerNotFound = 32748;
+  static JoinFailedFoundExcludedUserId = 32747;
+  static JoinFailedFoundActiveJoiner = 32746;
+  static HttpLimitReached = 32745;
+  static ExternalHttpCallFailed = 32744;
+  static OperationLimitReached = 32743;
+  static SlotError = 32742;
+  static InvalidEncryptionParameters = 32741;
+}
+
+const Descriptions = {
+  [ErrorCode.Ok]: "The operation succeeded",
+  [ErrorCode.InvalidRequestParameters]: "The operation is missing parameters or has parameters of the wrong type",
+  [ErrorCode.ArgumentOutOfRange]: "A parameter is out of range",
+  [ErrorCode.OperationNotAllowedInCurrentState]: "The operation isn't allowed in the current state, e.g. joining before authenticating",
+  [ErrorCode.InvalidOperation]: "The server doesn't know the operation or it isn't available on this server",
+  [ErrorCode.InternalServerError]: "The server failed to handle the operation",
+  [ErrorCode.InvalidAuthentication]: "Authentication failed, e.g. an unknown app id or an invalid token",
+  [ErrorCode.GameIdAlreadyExists]: "A game with this name already exists",
+  [ErrorCode.GameFull]: "The game is full",
+  [ErrorCode.GameClosed]: "The game is closed and can't be joined",
+  [ErrorCode.AlreadyMatched]: "The player is already matched into a game",
+  [ErrorCode.ServerFull]: "The server is full",
+  [ErrorCode.UserBlocked]: "The user is blocked",
+  [ErrorCode.NoRandomMatchFound]: "No open game matched the random join",
+  [ErrorCode.GameDoesNotExist]: "The game doesn't exist, it may have closed already",
+  [ErrorCode.MaxCcuReached]: "The app reached its peak of concurrent users",
+  [ErrorCode.InvalidRegion]: "The region isn't available for this app",
+  [ErrorCode.CustomAuthenticationFailed]: "The custom authentication service rejected the user",
+  [ErrorCode.AuthenticationTicketExpired]: "The authentication ticket expired, authenticate again",
+  [ErrorCode.PluginReportedError]: "A server plugin failed the operation",
+  [ErrorCode.PluginMismatch]: "The game was created with a different server plugin",
+  [ErrorCode.JoinFailedPeerAlreadyJoined]: "The peer already joined the game",
+  [ErrorCode.JoinFailedFoundInactiveJoiner]: "The user id is inactive in the game, rejoin instead",
+  [ErrorCode.JoinFailedWithRejoinerNotFound]: "Rejoining failed, the user id isn't in the game",
+  [ErrorCode.JoinFailedFoundExcludedUserId]: "The user id is excluded from the game",
+  [ErrorCode.JoinFailedFoundActiveJoiner]: "The user id is already active in the game",
+  [ErrorCode.HttpLimitReached]: "Too many WebRPC or webhook calls",
+  [ErrorCode.ExternalHttpCallFailed]: "A WebRPC or webhook call failed",
+  [ErrorCode.OperationLimitReached]: "Too many operations or too much data in a short time",
+  [ErrorCode.SlotError]: "Reserving slots for expected users failed",
+  [ErrorCode.InvalidEncryptionParameters]: "The encryption parameters are invalid",
+};
+
+const Names = Object.fromEntries(Object.entries(ErrorCode).map(([name, code]) => [code, name]));
+
+/**
+ * Looks up a return code
+ * @param {number} code - Return code of a response
+ * @returns {{ code: number, name: string, description: string }} "Unknown" for codes that aren't in the catalog
+ */
+function describeReturnCode(code) {
+  return {
+    code,
+    name: Names[code] ?? "Unknown",
+    description: Descriptions[code] ?? "Unknown return code",
+  };
+}
+
+/**
+ * Renders a return code for logs and messages, e.g. "GameFull (32765)"
+ * @param {number} code - Return code of a response
+ * @returns {string}
+ */
+function formatReturnCode(code) {
+  return code in Names ? `${Names[code]} (${code})` : String(code);
+}
+
+module.exports = { ErrorCode, describeReturnCode, formatReturnCode };
@@ -9,11 +9,14 @@ class ProtocolArray extends Serializable {
   }
 
   static read(reader) {
-    const len = reader.readUint16();
+    // untyped nulls take no bytes at all
+    const len = reader.checkCollectionSize(reader.readUint16(), 0);
     const innerDataType = reader.readUint8();
     const data = new Array(len);
     for (let i = 0; i < len; i++) {
+      reader.pushIndex(i);
       data[i] = reader.readValue(innerDataType);
+      reader.popPath();
     }
     return new ProtocolArray(innerDataType, data);
   }
@@ -23,7 +26,7 @@ class ProtocolArray extends Serializable {
   }
 
   writeValue(writer) {
-    writer.writeUint16(this.data.length);
+    writer.writeUint16(writer.checkLength(this.data.length, 'Array'));
     writer.writeUint8(this.innerDataType);
     for (const obj of this.data) {
       writer.writeValue(obj, false);
@@ -1,28 +1,136 @@
 const { DataType } = require('../constants');
 const Serializable = require('./Serializable');
-const ProtocolWriter = require('../ProtocolWriter');
 
 class CustomData extends Serializable {
+  static #registrations = null;
+  // constructor -> registration (or null), filled by registrationOf and dropped when the registry changes
+  static #byConstructor = new Map();
+  // reused for payloads that can't be written into the writer itself, see payloadView
+  static #payloadWriter = null;
+  // initial writer size for payloads, the built-in types fit in 16 bytes
+  static PayloadCapacity = 32;
+
   constructor() {
     super();
   }
 
+  // the built-in types extend CustomData, so they are registered on first use rather than required up front
+  static get #registry() {
+    if (!CustomData.#registrations) {
+      CustomData.#registrations = { byCode: new Map(), byType: new Map() };
+      for (const Type of [
+        require('./Vector3').Vector3,
+        require('./Quaternion').Quaternion,
+        require('./Vector2').Vector2,
+        require('./PhotonPlayer').PhotonPlayer
+      ]) {
+        CustomData.register(Type.TypeCode, Type);
+      }
+    }
+    return CustomData.#registrations;
+  }
+
+  /**
+   * Registers a custom type, shared by every codec. Replaces any type registered under the same code.
+   * @param {number} typeCode - Custom type code (0-255), the byte Photon's RegisterType was given
+   * @param {Function} Type - Class the values are instances of, a CustomData subclass or any other class
+   * @param {Object} [options]
+   * @param {Function} [options.read] - `(reader) => value`, reads the payload (big endian). Defaults to `Type.read`
+   * @param {Function} [options.write] - `(writer, value) => void`, writes the payload. Defaults to `value.write(writer)`
+   */
+  static register(typeCode, Type, { read = (reader) => Type.read(reader), write = (writer, value) => value.write(writer) } = {}) {
+    if (!Number.isInteger(typeCode) || typeCode < 0 || typeCode > 0xFF) {
+      throw new Error(`Custom type code ${typeCode} is not a byte`);
+    }
+    CustomData.unregister(typeCode);
+    const registration = { typeCode, Type, read, write };
+    CustomData.#registry.byCode.set(typeCode, registration);
+    CustomData.#registry.byType.set(Type, registration);
+    CustomData.#byConstructor.clear();
+  }
+
+  static unregister(typeCode) {
+    const registration = CustomData.#registry.byCode.get(typeCode);
+    if (!registration) return false;
+    CustomData.#registry.byCode.delete(typeCode);
+    CustomData.#registry.byType.delete(registration.Type);
+    CustomData.#byConstructor.clear();
+    return true;
+  }
+
+  static getRegistration(typeCode) {
+    return CustomData.#registry.byCode.get(typeCode) ?? null;
+  }
+
+  // the registration of the value's class (or the closest registered base class), null when there is none.
+  // Writers ask for every value they write, so the answer is cached by constructor
+  static registrationOf(value) {
+    const Type = Object.getPrototypeOf(Object(value))?.constructor;
+    if (!Type) return null;
+
+    let registration = CustomData.#byConstructor.get(Type);
+    if (registration === undefined) {
+      registration = null;
+      const { byType } = CustomData.#registry;
+      for (let proto = Type.prototype; proto && !registration; proto = Object.getPrototypeOf(proto)) {
+        registration = byType.get(proto.constructor) ?? null;
+      }
+      CustomData.#byConstructor.set(Type, registration);
+    }
+    return registration;
+  }
+
+  // whether writers should write the value as a custom type
+  static isCustom(value) {
+    return value instanceof CustomData || CustomData.registrationOf(value) !== null;
+  }
+
+  static typeCodeOf(value) {
+    return value instanceof CustomData ? value.typeCode : CustomData.registrationOf(value)?.typeCode;
+  }
+
+  // custom type payloads are produced by the type's own serializer (big endian), independent of the protocol version
+  static writePayload(writer, value) {
+    const registration = CustomData.registrationOf(value);
+    if (registration) {
+      registration.write(writer, value);
+    } else {
+      value.write(writer);
+    }
+  }
+
+  // the payload in a reused writer, only valid until the next call; for writers that can't take the payload
+  // themselves (Protocol18Writer is little endian and prefixes a variable-length size)
+  static payloadView(value) {
+    CustomData.#payloadWriter ??= new (require('../ProtocolWriter'))(CustomData.PayloadCapacity);
+    CustomData.writePayload(CustomData.#payloadWriter.reset(), value);
+    return CustomData.#payloadWriter.toView();
+  }
+
+  // a copy of the payload
+  static toBytes(value) {
+    return Buffer.from(CustomData.payloadView(value));
+  }
+
   static read(reader) {
     const typeCode = reader.readUint8();
     const len = reader.readUint16();
     const data = reader.read(len);
-    const tempReader = new (require('../ProtocolReader'))(data);
-
-    switch (typeCode) {
-      case 86: // Vector3.TypeCode
-        const { Vector3 } = require('./Vector3');
-        return Vector3.read(tempReader);
-      case 81: // Quaternion.TypeCode
-        const { Quaternion } = require('./Quaternion');
-        return Quaternion.read(tempReader);
-      default:
-        const { UnimplementedCustomData } = require('./UnimplementedCustomData');
-        return new UnimplementedCustomData(typeCode, data);
+    return CustomData.fromBytes(typeCode, data);
+  }
+
+  static fromBytes(typeCode, data) {
+    const registration = CustomData.getRegistration(typeCode);
+    if (!registration) {
+      const { UnimplementedCustomData } = require('./UnimplementedCustomData');
+      return new UnimplementedCustomData(typeCode, data);
+    }
+
+    try {
+      return registration.read(new (require('../ProtocolReader'))(data));
+    } catch (error) {
+      // rethrown as a plain error so the outer reader reports it with its own offset and path
+      throw new Error(`Malformed custom type ${typeCode}: ${error.reason ?? error.message}`);
     }
   }
 
@@ -31,10 +139,17 @@ class CustomData extends Serializable {
   }
 
   writeValue(writer) {
-    writer.writeUint8(this.typeCode);
-    const data = this.getBytes();
-    writer.writeUint16(data.length);
-    writer.write(data);
+    CustomData.writeCustom(writer, this);
+  }
+
+  // type code, length and payload of any custom value, for values that aren't CustomData instances too.
+  // The payload goes straight into the (big endian) writer, the length is patched in once it is known
+  static writeCustom(writer, value) {
+    writer.writeUint8(CustomData.typeCodeOf(value));
+    const lengthAt = writer.length;
+    writer.writeUint16(0);
+    CustomData.writePayload(writer, value);
+    writer.patchUint16(lengthAt, writer.length - lengthAt - 2);
   }
 
   write(writer) {
@@ -42,9 +157,7 @@ class CustomData extends Serializable {
   }
 
   getBytes() {
-    const writer = new ProtocolWriter();
-    this.write(writer);
-    return writer.toBytes();
+    return CustomData.toBytes(this);
   }
 
   toString() {
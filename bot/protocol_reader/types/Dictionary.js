@@ -0,0 +1,107 @@
+const { DataType } = require('../constants');
+const Serializable = require('./Serializable');
+const { keyId } = require('./Hashtable');
+
+// Photon writes 0 (and older peers 42) as the key/value type of a Dictionary<object, ...>,
+// in which case every entry carries its own type byte
+const isWildcardType = (type) => type === 0 || type === DataType.NullValue;
+
+// Map of a dictionary's keys as read to their values, indexed by keyId so typed keys are found by value.
+// Like ProtocolHashtable, keys that stand for the same value replace each other.
+class DictionaryData extends Map {
+  #index = new Map();
+
+  constructor(entries = []) {
+    // Map's constructor would call set() before #index exists
+    super();
+    for (const [key, value] of entries) this.set(key, value);
+  }
+
+  set(key, value) {
+    const id = keyId(key);
+    const existing = this.#index.get(id);
+    if (existing !== undefined && existing !== key) super.delete(existing);
+    this.#index.set(id, key);
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    const existing = this.#index.get(keyId(key));
+    if (existing === undefined) return false;
+    this.#index.delete(keyId(key));
+    return super.delete(existing);
+  }
+
+  clear() {
+    this.#index.clear();
+    super.clear();
+  }
+
+  // the stored key that stands for key
+  find(key) {
+    return this.#index.get(keyId(key));
+  }
+}
+
+/**
+ * Dictionary (0x44) with a fixed key and value type (or per-entry types, see isWildcardType).
+ * `data` maps the keys as read to their values. Lookups take typed keys like ProtocolHashtable's:
+ * `get(SizedInt.byte(1))` finds a key read from the wire.
+ */
+class ProtocolDictionary extends Serializable {
+  constructor(keyType, valueType, data = new Map()) {
+    super();
+    this.keyType = keyType;
+    this.valueType = valueType;
+    this.data = data instanceof DictionaryData ? data : new DictionaryData(data);
+  }
+
+  static read(reader) {
+    const keyType = reader.readUint8();
+    const valueType = reader.readUint8();
+    const len = reader.checkCollectionSize(reader.readInt16(), 0);
+    const data = new DictionaryData();
+    for (let i = 0; i < len; i++) {
+      const key = reader.readValue(isWildcardType(keyType) ? null : keyType);
+      reader.pushKey(key);
+      data.set(key, reader.readValue(isWildcardType(valueType) ? null : valueType));
+      reader.popPath();
+    }
+    return new ProtocolDictionary(keyType, valueType, data);
+  }
+
+  get(key) {
+    const found = this.data.find(key);
+    return found === undefined ? undefined : this.data.get(found);
+  }
+
+  has(key) {
+    return this.data.find(key) !== undefined;
+  }
+
+  get size() {
+    return this.data.size;
+  }
+
+  writeType(writer) {
+    writer.writeUint8(DataType.Dictionary);
+  }
+
+  writeValue(writer) {
+    const size = writer.checkLength(this.data.size, 'Dictionary');
+    writer.writeUint8(this.keyType);
+    writer.writeUint8(this.valueType);
+    writer.writeInt16(size);
+    for (const [key, val] of this.data) {
+      writer.writeValue(key, isWildcardType(this.keyType));
+      writer.writeValue(val, isWildcardType(this.valueType));
+    }
+  }
+
+  toString() {
+    const entries = Array.from(this.data, ([k, v]) => `${k}: ${v}`).join(', ');
+    return `ProtocolDictionary ${this.keyType}/${this.valueType}: {${entries}}`;
+  }
+}
+
+module.exports = { ProtocolDictionary };
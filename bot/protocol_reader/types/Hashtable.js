@@ -0,0 +1,111 @@
+const { DataType } = require('../constants');
+const Serializable = require('./Serializable');
+const { SizedInt } = require('./SizedInt');
+const { SizedFloat } = require('./SizedFloat');
+
+// SizedInt/SizedFloat keys are compared by size and value, so `get(SizedInt.byte(255))` finds a key that was
+// read from the wire. Anything else that isn't a primitive is compared by identity.
+function keyId(key) {
+  if (key instanceof SizedInt) return `int${key.size * 8} ${key.value}`;
+  if (key instanceof SizedFloat) return `float${key.size * 8} ${key.value}`;
+  if (typeof key === 'string') return `string ${key}`;
+  if (key === null || key === undefined) return 'null';
+  if (typeof key === 'boolean') return `bool ${key}`;
+  return key;
+}
+
+/**
+ * Hashtable (0x68) that keeps its keys' Photon types, so byte 255 and the string "255" stay different keys
+ * and the table re-encodes exactly as it was read. Lookups take the typed key: `get(SizedInt.byte(255))`, `get('rank')`.
+ */
+class ProtocolHashtable extends Serializable {
+  constructor(entries = []) {
+    super();
+    this.data = new Map();
+    for (const [key, value] of entries) {
+      this.set(key, value);
+    }
+  }
+
+  // builds a table from a ProtocolHashtable, a Map, [key, value] pairs or a plain object (string keys)
+  static from(value) {
+    if (value instanceof ProtocolHashtable) return value;
+    if (value instanceof Map || Array.isArray(value)) return new ProtocolHashtable(value);
+    return new ProtocolHashtable(Object.entries(value));
+  }
+
+  get(key) {
+    return this.data.get(keyId(key))?.[1];
+  }
+
+  set(key, value) {
+    this.data.set(keyId(key), [key, value]);
+    return this;
+  }
+
+  has(key) {
+    return this.data.has(keyId(key));
+  }
+
+  delete(key) {
+    return this.data.delete(keyId(key));
+  }
+
+  clear() {
+    this.data.clear();
+  }
+
+  get size() {
+    return this.data.size;
+  }
+
+  *keys() {
+    for (const [key] of this.data.values()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.data.values()) yield value;
+  }
+
+  *entries() {
+    yield* this.data.values();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.data.values()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  writeType(writer) {
+    writer.writeUint8(DataType.Hashtable);
+  }
+
+  writeValue(writer) {
+    writer.writeInt16(writer.checkLength(this.data.size, 'Hashtable'));
+    for (const [key, value] of this.data.values()) {
+      writer.writeValue(key);
+      writer.writeValue(value);
+    }
+  }
+
+  // logs and JSON output use the stringified keys, like the plain objects hashtables used to be read into
+  toJSON() {
+    const obj = {};
+    for (const [key, value] of this.data.values()) {
+      obj[String(key)] = value;
+    }
+    return obj;
+  }
+
+  toString() {
+    const entries = Array.from(this.data.values(), ([k, v]) => `${k}: ${v}`).join(', ');
+    return `ProtocolHashtable {${entries}}`;
+  }
+}
+
+module.exports = { ProtocolHashtable, keyId };
@@ -0,0 +1,29 @@
+const { DataType } = require('../constants');
+
+// object[] (0x7A). Kept as its own Array subclass so an object array that happens to hold only
+// strings (or nothing at all) is not re-encoded as a StringArray
+class ObjectArray extends Array {
+  static read(reader) {
+    const len = reader.checkCollectionSize(reader.readUint16());
+    const list = new ObjectArray();
+    for (let i = 0; i < len; i++) {
+      reader.pushIndex(i);
+      list.push(reader.readValue());
+      reader.popPath();
+    }
+    return list;
+  }
+
+  writeType(writer) {
+    writer.writeUint8(DataType.ObjectArray);
+  }
+
+  writeValue(writer) {
+    writer.writeInt16(writer.checkLength(this.length, 'ObjectArray'));
+    for (const item of this) {
+      writer.writeValue(item);
+    }
+  }
+}
+
+module.exports = { ObjectArray };
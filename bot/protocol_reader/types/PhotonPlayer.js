@@ -0,0 +1,28 @@
+const { CustomData } = require('./CustomData.js');
+
+class PhotonPlayer extends CustomData {
+  static TypeCode = 80;
+
+  constructor(actorNr) {
+    super();
+    this.actorNr = actorNr;
+  }
+
+  get typeCode() {
+    return PhotonPlayer.TypeCode;
+  }
+
+  static read(reader) {
+    return new PhotonPlayer(reader.readInt32());
+  }
+
+  write(writer) {
+    writer.writeInt32(this.actorNr);
+  }
+
+  toString() {
+    return `PhotonPlayer(${this.actorNr})`;
+  }
+}
+
+module.exports = { PhotonPlayer };
@@ -101,11 +101,23 @@ class SizedInt extends Serializable {
     if (this.size === 4 && (this.value > 0x7FFFFFFF || this.value < -0x80000000)) {
       throw new Error(`Value ${this.value} is out of range for an int`);
     }
+    // longs are BigInt, or Numbers as long as they are exact
+    if (this.size === 8 && typeof this.value === 'number' && !Number.isSafeInteger(this.value)) {
+      throw new Error(`Value ${this.value} is not an exact integer, use a BigInt for longs beyond 2^53`);
+    }
+    if (this.size === 8 && BigInt.asIntN(64, BigInt(this.value)) !== BigInt(this.value)) {
+      throw new Error(`Value ${this.value} is out of range for a long`);
+    }
   }
 
   toString() {
     return `int${this.size * 8} ${this.value}`;
   }
+
+  // JSON.stringify can't serialize BigInt, so BigInt longs are written as a decimal string
+  toJSON() {
+    return { value: typeof this.value === 'bigint' ? String(this.value) : this.value, size: this.size };
+  }
 }
 
 module.exports = { SizedInt };
\ No newline at end of file
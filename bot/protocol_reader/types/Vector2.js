@@ -0,0 +1,32 @@
+const { CustomData } = require('./CustomData.js');
+
+class Vector2 extends CustomData {
+  static TypeCode = 87;
+
+  constructor(x, y) {
+    super();
+    this.x = x;
+    this.y = y;
+  }
+
+  get typeCode() {
+    return Vector2.TypeCode;
+  }
+
+  static read(reader) {
+    const x = reader.readFloat32();
+    const y = reader.readFloat32();
+    return new Vector2(x, y);
+  }
+
+  write(writer) {
+    writer.writeFloat32(this.x);
+    writer.writeFloat32(this.y);
+  }
+
+  toString() {
+    return `Vector2(${this.x},${this.y})`;
+  }
+}
+
+module.exports = { Vector2 };
@@ -1,6 +1,12 @@
-const { PacketType } = require('../constants');
+const { DataType, PacketType } = require('../constants');
+const { formatReturnCode } = require('../returnCodes');
 const Serializable = require('./Serializable');
 
+// Parameter tables are plain objects keyed by parameter code, which always enumerate integer keys
+// in ascending order. The order they were read in (or added in) is kept under this symbol so a
+// table re-encodes in its original wire order.
+const ParameterOrder = Symbol('ParameterOrder');
+
 class PacketWithPayload extends Serializable {
   constructor(code, params = {}) {
     super();
@@ -19,10 +25,35 @@ class InitPacket extends PacketWithPayload {
   static clientSdkId = 15;
   static clientSdkIdShifted = this.clientSdkId << 1;
 
-  constructor(appID, { isIpv6 = false } = {}) {
+  constructor(appID, {
+    isIpv6 = false,
+    protocolVersion = InitPacket.protocolVersion,
+    clientVersion = InitPacket.clientVersion,
+    clientSdkId = InitPacket.clientSdkId
+  } = {}) {
     super();
     this.appID = Buffer.from(appID);
     this.isIpv6 = isIpv6;
+    this.protocolVersion = protocolVersion;
+    this.clientVersion = clientVersion;
+    this.clientSdkId = clientSdkId;
+  }
+
+  static read(reader) {
+    const protocolVersion = [reader.readUint8(), reader.readUint8()];
+    const clientSdkId = reader.readUint8() >> 1;
+
+    const versionBitField = reader.readUint8();
+    const isIpv6 = (versionBitField & 0x80) !== 0;
+    const clientVersion = [(versionBitField >> 4) & 0x07, versionBitField & 0x0F, reader.readUint8(), reader.readUint8()];
+    reader.readUint8();
+
+    // the app id is zero padded to 32 bytes
+    const appIDBuffer = reader.read(32);
+    const end = appIDBuffer.indexOf(0);
+    const appID = end === -1 ? appIDBuffer : appIDBuffer.subarray(0, end);
+
+    return new InitPacket(appID, { isIpv6, protocolVersion, clientVersion, clientSdkId });
   }
 
   writeType(writer) {
@@ -30,22 +61,26 @@ class InitPacket extends PacketWithPayload {
   }
 
   writeValue(writer) {
-    writer.writeUint8(InitPacket.protocolVersion[0]);
-    writer.writeUint8(InitPacket.protocolVersion[1]);
-    writer.writeUint8(InitPacket.clientSdkIdShifted);
+    writer.writeUint8(this.protocolVersion[0]);
+    writer.writeUint8(this.protocolVersion[1]);
+    writer.writeUint8(this.clientSdkId << 1);
 
-    let versionBitField = (InitPacket.clientVersion[0] << 4) | InitPacket.clientVersion[1];
+    let versionBitField = (this.clientVersion[0] << 4) | this.clientVersion[1];
     versionBitField = this.isIpv6 ? (versionBitField | 0x80) : (versionBitField & 0x7F);
 
     writer.writeUint8(versionBitField);
-    writer.writeUint8(InitPacket.clientVersion[2]);
-    writer.writeUint8(InitPacket.clientVersion[3]);
+    writer.writeUint8(this.clientVersion[2]);
+    writer.writeUint8(this.clientVersion[3]);
     writer.writeUint8(0);
 
     const appIDBuffer = Buffer.alloc(32);
     this.appID.copy(appIDBuffer, 0, 0, Math.min(this.appID.length, 32));
     writer.write(appIDBuffer);
   }
+
+  toString() {
+    return `InitPacket ${this.appID.toString('utf8')} (protocol ${this.protocolVersion.join('.')}, client ${this.clientVersion.join('.')}, sdk ${this.clientSdkId}${this.isIpv6 ? ', ipv6' : ''})`;
+  }
 }
 
 class InitResponse extends PacketWithPayload {
@@ -56,7 +91,7 @@ class InitResponse extends PacketWithPayload {
   static read(reader) {
     const code = reader.readInt8();
     if (code !== 0) {
-      throw new Error(`Invalid InitResponse code: ${code}`);
+      throw reader.decodeError(`Invalid InitResponse code: ${code}`, 'InitResponse');
     }
     return new InitResponse();
   }
@@ -89,6 +124,10 @@ class OperationRequest extends PacketWithPayload {
     writer.writeUint8(PacketType.Operation);
   }
 
+  writeDataType(writer) {
+    writer.writeUint8(DataType.OperationRequest);
+  }
+
   writeValue(writer) {
     writer.writeUint8(this.code);
     writer.writeParameterTable(this.params);
@@ -114,6 +153,10 @@ class OperationResponse extends PacketWithPayload {
     writer.writeUint8(PacketType.OperationResponse);
   }
 
+  writeDataType(writer) {
+    writer.writeUint8(DataType.OperationResponse);
+  }
+
   writeValue(writer) {
     writer.writeUint8(this.code);
     writer.writeInt16(this.returnCode);
@@ -122,7 +165,7 @@ class OperationResponse extends PacketWithPayload {
   }
 
   toString() {
-    return `OperationResponse ${this.code} (return=${this.returnCode}, msg=${this.debugMessage}): ${JSON.stringify(this.params)}`;
+    return `OperationResponse ${this.code} (return=${formatReturnCode(this.returnCode)}, msg=${this.debugMessage}): ${JSON.stringify(this.params)}`;
   }
 }
 
@@ -141,6 +184,10 @@ class Event extends PacketWithPayload {
     writer.writeUint8(PacketType.Event);
   }
 
+  writeDataType(writer) {
+    writer.writeUint8(DataType.EventData);
+  }
+
   writeValue(writer) {
     writer.writeUint8(this.code);
     writer.writeParameterTable(this.params);
@@ -195,11 +242,88 @@ class InternalOperationResponse extends PacketWithPayload {
   }
 
   toString() {
-    return `InternalOperationResponse ${this.code} (return=${this.returnCode}, msg=${this.debugMessage}): ${JSON.stringify(this.params)}`;
+    return `InternalOperationResponse ${this.code} (return=${formatReturnCode(this.returnCode)}, msg=${this.debugMessage}): ${JSON.stringify(this.params)}`;
+  }
+}
+
+class DisconnectMessage extends PacketWithPayload {
+  constructor(code, debugMessage, params) {
+    super(code, params);
+    this.debugMessage = debugMessage;
+  }
+
+  static read(reader) {
+    const code = reader.readInt16();
+    const debugMessage = reader.readValue();
+    const params = reader.readParameterTable();
+    return new DisconnectMessage(code, debugMessage, params);
+  }
+
+  writeType(writer) {
+    writer.writeUint8(PacketType.Disconnect);
+  }
+
+  writeValue(writer) {
+    writer.writeInt16(this.code);
+    writer.writeValue(this.debugMessage);
+    writer.writeParameterTable(this.params);
+  }
+
+  toString() {
+    return `DisconnectMessage ${this.code} (msg=${this.debugMessage}): ${JSON.stringify(this.params)}`;
+  }
+}
+
+// a single serialized value, sent with PhotonPeer.SendMessage
+class Message extends Serializable {
+  constructor(value) {
+    super();
+    this.value = value;
+  }
+
+  static read(reader) {
+    return new Message(reader.readValue());
+  }
+
+  writeType(writer) {
+    writer.writeUint8(PacketType.Message);
+  }
+
+  writeValue(writer) {
+    writer.writeValue(this.value);
+  }
+
+  toString() {
+    return `Message: ${JSON.stringify(this.value)}`;
+  }
+}
+
+// the rest of the frame as bytes, not serialized by the protocol
+class RawMessage extends Serializable {
+  constructor(data) {
+    super();
+    this.data = Buffer.from(data);
+  }
+
+  static read(reader) {
+    return new RawMessage(reader.read(reader.buffer.length - reader.offset));
+  }
+
+  writeType(writer) {
+    writer.writeUint8(PacketType.RawMessage);
+  }
+
+  writeValue(writer) {
+    writer.write(this.data);
+  }
+
+  toString() {
+    return `RawMessage: ${this.data.toString('hex')}`;
   }
 }
 
 module.exports = {
+  ParameterOrder,
   PacketWithPayload,
   InitPacket,
   InitResponse,
@@ -207,5 +331,8 @@ module.exports = {
   OperationResponse,
   Event,
   InternalOperationRequest,
-  InternalOperationResponse
+  InternalOperationResponse,
+  DisconnectMessage,
+  Message,
+  RawMessage
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BotState, InvalidTransitionError } = require('../BotState');
+const PhotonBot = require('../PhotonBot');
+const PhotonClient = require('../PhotonClient');
+
+function createBot() {
+  const bot = new PhotonBot();
+  bot.botLog = () => {};
+  return bot;
+}
+
+// walks the bot through the join without connecting anywhere
+function enterRoom(bot) {
+  for (const state of [BotState.ConnectingNameServer, BotState.Authenticating, BotState.InLobby, BotState.JoiningGame, BotState.ConnectingGameServer, BotState.InRoom]) {
+    bot.transition(state);
+  }
+}
+
+test('transitions are validated and emitted', () => {
+  const bot = createBot();
+  const changes = [];
+  bot.on('stateChange', (state, previous) => changes.push([previous, state]));
+
+  bot.transition(BotState.ConnectingNameServer);
+  assert.throws(() => bot.transition(BotState.InRoom), (error) => error instanceof InvalidTransitionError
+    && error.from === BotState.ConnectingNameServer && error.to === BotState.InRoom);
+  assert.strictEqual(bot.state, BotState.ConnectingNameServer);
+
+  bot.disconnect();
+  bot.disconnect();
+  assert.deepStrictEqual(changes, [
+    [BotState.Disconnected, BotState.ConnectingNameServer],
+    [BotState.ConnectingNameServer, BotState.Disconnected],
+  ]);
+});
+
+test('resources are torn down when the bot leaves their states', () => {
+  const bot = createBot();
+  const torn = [];
+  bot.transition(BotState.ConnectingNameServer);
+  bot.own(() => torn.push('connecting'));
+  bot.own(() => torn.push('lobby'), PhotonBot.NameServerStates);
+
+  bot.transition(BotState.Authenticating);
+  assert.deepStrictEqual(torn, ['connecting']);
+  bot.transition(BotState.InLobby);
+  bot.transition(BotState.JoiningGame);
+  assert.deepStrictEqual(torn, ['connecting']);
+  bot.transition(BotState.ConnectingGameServer);
+  assert.deepStrictEqual(torn, ['connecting', 'lobby']);
+  assert.strictEqual(bot.resources.length, 0);
+});
+
+test('state timers stop on disconnect', async () => {
+  const bot = createBot();
+  let ticks = 0;
+  enterRoom(bot);
+  bot.setStateInterval(() => ticks++, 1);
+  bot.players.push({ 1: { name: 'Host' } });
+  assert.ok(bot.isInRoom && bot.isInGame);
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  bot.disconnect();
+  const stopped = ticks;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.ok(stopped > 0);
+  assert.strictEqual(ticks, stopped);
+  assert.deepStrictEqual(bot.players, []);
+  assert.ok(!bot.isInRoom && !bot.isInGame);
+});
+
+test('leaving a room waits for the Leave response, then disconnects', async () => {
+  const bot = createBot();
+  const sent = [];
+  const socket = { protocol: 'GpBinaryV16', send: (bytes) => sent.push(bytes) };
+  enterRoom(bot);
+  bot.gameSocket = socket;
+  bot.photonClient = new PhotonClient(socket);
+
+  const left = bot.leaveRoom();
+  assert.strictEqual(bot.state, BotState.Leaving);
+  assert.strictEqual(sent.length, 1);
+  bot.photonClient.emit('response:254');
+  await left;
+  assert.strictEqual(bot.state, BotState.Disconnected);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { InternalOperationRequest, InternalOperationResponse } = require('../protocol_reader/types/packets');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const ClockSync = require('../ClockSync');
+const PhotonBot = require('../PhotonBot');
+const PhotonClient = require('../PhotonClient');
+const LocalPhotonServer = require('../PhotonUtils/LocalPhotonServer');
+const WebSocket = require('ws');
+
+test('the first sample sets the RTT and the offset', () => {
+  const clock = new ClockSync();
+  assert.strictEqual(clock.serverTime(1000), 1000);
+
+  // sent at 1000, answered at server tick 50000, back at 1100: the server read it at 1050
+  assert.ok(clock.addSample(1000, 50000, 1100));
+  assert.strictEqual(clock.rtt, 100);
+  assert.strictEqual(clock.offset, 50000 + 50 - 1100);
+  assert.strictEqual(clock.serverTime(2000), 50950);
+});
+
+test('later samples are smoothed', () => {
+  const clock = new ClockSync();
+  clock.addSample(0, 10000, 100);
+  clock.addSample(1000, 11050, 1180);
+  assert.strictEqual(clock.rtt, 100 + (180 - 100) / 8);
+  assert.strictEqual(clock.jitter, 80 / 4);
+  assert.strictEqual(clock.offset, 9950 + Math.round((11050 + 90 - 1180 - 9950) / 8));
+  assert.deepStrictEqual({ ...clock.toJSON(), lastSampleAt: null }, { rtt: 110, jitter: 20, offset: 9951, samples: 2, lastSampleAt: null });
+});
+
+test('ticks wrap around like int32', () => {
+  const clock = new ClockSync();
+  clock.addSample(0x7FFFFFF0, -2147483600, -2147483640);
+  assert.strictEqual(clock.rtt, 24);
+  assert.strictEqual(clock.serverTime(-2147483640), -2147483588);
+  assert.strictEqual(clock.serverTime(0x7FFFFFFF), -2147483597);
+
+  assert.ok(!clock.addSample(5000, 0, 4000));
+  assert.strictEqual(clock.samples, 1);
+});
+
+test('the bot syncs its clock from ping answers and 0xF0 time packets', () => {
+  const bot = new PhotonBot();
+  const client = new PhotonClient({ protocol: 'GpBinaryV16', send() {} });
+  bot.trackPings(client);
+  const sentAt = bot._tickCount();
+
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(new InternalOperationResponse(1, null, 0, { 1: SizedInt.int(sentAt), 2: SizedInt.int(-2093112318) }));
+  client.ReadMessage(writer.toBytes());
+  assert.strictEqual(bot.clock.samples, 1);
+  assert.ok(Math.abs(((bot.serverTime() - -2093112318) | 0)) < 1000);
+
+  const ping = Buffer.alloc(9);
+  ping.writeUint8(0xF0, 0);
+  ping.writeUint32BE(12345, 1);
+  ping.writeUint32BE(sentAt, 5);
+  client.ReadMessage(ping);
+  assert.strictEqual(bot.clock.samples, 2);
+});
+
+test('pings are internal operation requests, the stand-in server answers them with a time sample', async () => {
+  const sent = [];
+  const bot = new PhotonBot();
+  bot.sendPing({ protocol: 'GpBinaryV16', send: (frame) => sent.push(Buffer.from(frame)) });
+  const request = new Codecs.GpBinaryV16.Reader(sent[0]).readPacket();
+  assert.ok(request instanceof InternalOperationRequest);
+  assert.strictEqual(request.code, 1);
+
+  const server = new LocalPhotonServer();
+  const address = await server.listen();
+  const socket = new WebSocket(address, bot.subprotocols);
+  try {
+    const client = new PhotonClient(socket);
+    bot.trackPings(client);
+    await new Promise((resolve) => socket.once('open', resolve));
+    const answered = new Promise((resolve) => client.once('internalResponse:1', resolve));
+    bot.sendPing(socket);
+    await answered;
+    assert.strictEqual(bot.clock.samples, 1);
+    assert.ok(bot.clock.rtt >= 0);
+  } finally {
+    socket.close();
+    await server.close();
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { CustomData } = require('../protocol_reader/types/CustomData');
+const { Vector3 } = require('../protocol_reader/types/Vector3');
+
+const bytesOf = (codec, value) => {
+  const writer = new Codecs[codec].Writer();
+  writer.writeValue(value);
+  return writer.toBytes();
+};
+const roundTrip = (codec, value) => new Codecs[codec].Reader(bytesOf(codec, value)).readValue();
+
+class Color {
+  constructor(r, g, b) {
+    Object.assign(this, { r, g, b });
+  }
+}
+class DarkColor extends Color {}
+const register = () => CustomData.register(200, Color, {
+  read: (reader) => new Color(reader.readUint8(), reader.readUint8(), reader.readUint8()),
+  write: (writer, { r, g, b }) => [r, g, b].forEach((channel) => writer.writeUint8(channel)),
+});
+
+test('custom payloads are written in place with their length', () => {
+  // type, type code, length 12, three big endian floats
+  assert.strictEqual(bytesOf('GpBinaryV16', new Vector3(1, 2, 3)).toString('hex'), '6356000c3f8000004000000040400000');
+  for (const codec of ['GpBinaryV16', 'GpBinaryV18']) {
+    const values = Array.from(roundTrip(codec, [new Vector3(1, 2, 3), 'between', new Vector3(-1, 0.5, 8)]));
+    assert.deepStrictEqual(values.map(String), ['Vector3(1,2,3)', 'between', 'Vector3(-1,0.5,8)']);
+  }
+  assert.deepStrictEqual(CustomData.toBytes(new Vector3(1, 2, 3)), Buffer.from('3f8000004000000040400000', 'hex'));
+});
+
+test('the type lookup follows registering and unregistering', () => {
+  assert.ok(!CustomData.isCustom(new DarkColor(1, 2, 3)));
+  register();
+  try {
+    assert.ok(CustomData.isCustom(new DarkColor(1, 2, 3)));
+    assert.strictEqual(CustomData.typeCodeOf(new Color(0, 0, 0)), 200);
+    for (const codec of ['GpBinaryV16', 'GpBinaryV18']) {
+      assert.deepStrictEqual(roundTrip(codec, new DarkColor(10, 20, 30)), new Color(10, 20, 30));
+    }
+  } finally {
+    CustomData.unregister(200);
+  }
+  assert.ok(!CustomData.isCustom(new Color(1, 2, 3)));
+  assert.ok(!CustomData.isCustom(Object.create(null)));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { CustomData } = require('../protocol_reader/types/CustomData');
+const { Vector2 } = require('../protocol_reader/types/Vector2');
+const { PhotonPlayer } = require('../protocol_reader/types/PhotonPlayer');
+const { UnimplementedCustomData } = require('../protocol_reader/types/UnimplementedCustomData');
+const DecodeError = require('../protocol_reader/DecodeError');
+
+const bytesOf = (codec, value) => {
+  const writer = new Codecs[codec].Writer();
+  writer.writeValue(value);
+  return writer.toBytes();
+};
+const roundTrip = (codec, value) => new Codecs[codec].Reader(bytesOf(codec, value)).readValue();
+
+class Color {
+  constructor(r, g, b) {
+    Object.assign(this, { r, g, b });
+  }
+}
+const register = () => CustomData.register(200, Color, {
+  read: (reader) => new Color(reader.readUint8(), reader.readUint8(), reader.readUint8()),
+  write: (writer, { r, g, b }) => [r, g, b].forEach((channel) => writer.writeUint8(channel)),
+});
+
+test('Vector2 and PhotonPlayer are built in', () => {
+  // type, 'W', length 8, two big endian floats
+  assert.strictEqual(bytesOf('GpBinaryV16', new Vector2(1, -2)).toString('hex'), '635700083f800000c0000000');
+  // type, 'P', length 4, big endian int
+  assert.strictEqual(bytesOf('GpBinaryV16', new PhotonPlayer(7)).toString('hex'), '6350000400000007');
+  for (const codec of ['GpBinaryV16', 'GpBinaryV18']) {
+    assert.deepStrictEqual(roundTrip(codec, new Vector2(1, -2)), new Vector2(1, -2));
+    assert.deepStrictEqual(roundTrip(codec, new PhotonPlayer(7)), new PhotonPlayer(7));
+  }
+});
+
+test('unregistered codes are kept as bytes and written back unchanged', () => {
+  const bytes = Buffer.from('63c80003010203', 'hex');
+  const value = new Codecs.GpBinaryV16.Reader(bytes).readValue();
+  assert.ok(value instanceof UnimplementedCustomData);
+  assert.strictEqual(value.typeCode, 200);
+  assert.deepStrictEqual(bytesOf('GpBinaryV16', value), bytes);
+
+  // the same bytes read as the registered type once there is one
+  register();
+  try {
+    assert.deepStrictEqual(new Codecs.GpBinaryV16.Reader(bytes).readValue(), new Color(1, 2, 3));
+  } finally {
+    CustomData.unregister(200);
+  }
+});
+
+test('registering checks the code and a bad payload is a decode error', () => {
+  assert.throws(() => CustomData.register(256, Color), /Custom type code 256 is not a byte/);
+  assert.throws(() => CustomData.register(-1, Color), /is not a byte/);
+
+  // a PhotonPlayer payload one byte short
+  assert.throws(() => new Codecs.GpBinaryV16.Reader(Buffer.from('63500003000000', 'hex')).readValue(), (error) => {
+    assert.ok(error instanceof DecodeError);
+    assert.match(error.message, /Malformed custom type 80/);
+    return true;
+  });
+});
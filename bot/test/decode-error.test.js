@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { Event } = require('../protocol_reader/types/packets');
+const DecodeError = require('../protocol_reader/DecodeError');
+
+const hex = (string) => Buffer.from(string, 'hex');
+const readValue = (bytes, options, codec = 'GpBinaryV16') => new Codecs[codec].Reader(bytes, options).readValue();
+
+// asserts a DecodeError with exactly these details
+const decodeError = ({ reason, offset, expected, path }) => (error) => {
+  assert.ok(error instanceof DecodeError, error);
+  assert.deepStrictEqual({ reason: error.reason, offset: error.offset, expected: error.expected, path: error.path }, { reason, offset, expected, path });
+  return true;
+};
+
+test('truncated values report the offset, the type and where they sit in the packet', () => {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(new Event(200, { 249: new ProtocolHashtable([[SizedInt.int(3), new ProtocolHashtable([['rank', 'abcdef']])]]) }));
+  const frame = writer.toBytes();
+
+  assert.throws(() => new Codecs.GpBinaryV16.Reader(frame.subarray(0, frame.length - 2)).readPacket(), decodeError({
+    reason: 'Unexpected end of data, needed 6 bytes but 4 are left', offset: 27, expected: 'String', path: 'params[249]["int32 3"].rank',
+  }));
+  assert.throws(() => readValue(hex('7300056865')), decodeError({
+    reason: 'Unexpected end of data, needed 5 bytes but 2 are left', offset: 3, expected: 'String', path: '<root>',
+  }));
+  assert.throws(() => readValue(hex('0705686566'), {}, 'GpBinaryV18'), DecodeError);
+});
+
+test('unknown types, bad headers and trailing bytes are decode errors', () => {
+  assert.throws(() => readValue(hex('01')), decodeError({ reason: 'Unknown data type 1', offset: 1, expected: 'type 1', path: '<root>' }));
+  assert.throws(() => new Codecs.GpBinaryV16.Reader(hex('f48300')).readPacket(), decodeError({
+    reason: 'Invalid magic byte: 244', offset: 1, expected: 'packet', path: '<root>',
+  }));
+
+  const reader = new Codecs.GpBinaryV16.Reader(hex('f30100ff'));
+  reader.readPacket();
+  assert.throws(() => reader.expectEnd(), decodeError({ reason: '1 trailing bytes', offset: 3, expected: 'end of packet', path: '<root>' }));
+});
+
+test('declared lengths are checked against the limits and the bytes left', () => {
+  assert.throws(() => readValue(hex('68ffff')), decodeError({ reason: 'Negative length -1', offset: 3, expected: 'Hashtable', path: '<root>' }));
+  assert.throws(() => readValue(hex('6e7fffffff')), decodeError({
+    reason: `Length ${0x7FFFFFFF} exceeds the limit of ${1 << 20}`, offset: 5, expected: 'IntegerArray', path: '<root>',
+  }));
+  // three ints that are all there, but more than the reader allows
+  assert.throws(() => readValue(hex('6e00000003000000010000000200000003'), { maxCollectionSize: 2 }), decodeError({
+    reason: 'Length 3 exceeds the limit of 2', offset: 5, expected: 'IntegerArray', path: '<root>',
+  }));
+  assert.throws(() => readValue(hex('7a00017a00017a0001'), { maxDepth: 2 }), decodeError({
+    reason: 'Values nested deeper than 2 levels', offset: 7, expected: 'ObjectArray', path: '[0][0]',
+  }));
+});
+
+test('longs read as Numbers when they fit and are decode errors when they do not', () => {
+  assert.strictEqual(readValue(hex('6c001fffffffffffff'), { longs: 'number' }).value, Number.MAX_SAFE_INTEGER);
+  assert.strictEqual(readValue(hex('6cffe0000000000001'), { longs: 'number' }).value, Number.MIN_SAFE_INTEGER);
+  assert.strictEqual(readValue(hex('6c0020000000000000')).value, 2n ** 53n);
+  assert.throws(() => readValue(hex('6c0020000000000000'), { longs: 'number' }), decodeError({
+    reason: `Long ${2n ** 53n} does not fit in a Number without losing precision`, offset: 1, expected: 'Long', path: '<root>',
+  }));
+  assert.throws(() => readValue(hex('6c00'), { longs: 'double' }), /Unknown long mode 'double'/);
+});
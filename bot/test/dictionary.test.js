@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { DataType } = require('../protocol_reader/constants');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { ProtocolDictionary } = require('../protocol_reader/types/Dictionary');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { OperationRequest } = require('../protocol_reader/types/packets');
+
+const roundTrip = (value) => {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writeValue(value);
+  return new Codecs.GpBinaryV16.Reader(writer.toBytes()).readValue();
+};
+
+test('dictionaries round-trip with their key and value types', () => {
+  const dictionary = new ProtocolDictionary(DataType.Byte, DataType.String, new Map([[SizedInt.byte(1), 'one'], [SizedInt.byte(2), 'two']]));
+  const read = roundTrip(dictionary);
+  assert.ok(read instanceof ProtocolDictionary);
+  assert.deepStrictEqual([read.keyType, read.valueType, read.size], [DataType.Byte, DataType.String, 2]);
+  assert.deepStrictEqual(Array.from(read.data.values()), ['one', 'two']);
+
+  // object keys and values carry their own types
+  const mixed = roundTrip(new ProtocolDictionary(0, 0, new Map([['a', SizedInt.int(1)], [SizedInt.short(2), 'b']])));
+  assert.deepStrictEqual(mixed.get('a'), SizedInt.int(1));
+  assert.strictEqual(mixed.get(SizedInt.short(2)), 'b');
+});
+
+test('lookups take typed keys', () => {
+  const dictionary = roundTrip(new ProtocolDictionary(0, DataType.String, new Map([
+    [SizedInt.byte(255), 'byte'], ['255', 'string'], [SizedInt.long(5n), 'long'],
+  ])));
+  assert.strictEqual(dictionary.get(SizedInt.byte(255)), 'byte');
+  assert.strictEqual(dictionary.get('255'), 'string');
+  assert.strictEqual(dictionary.get(SizedInt.int(255)), undefined);
+  assert.strictEqual(dictionary.get(SizedInt.long(5)), 'long');
+  assert.ok(dictionary.has(SizedInt.long(5n)) && !dictionary.has(SizedInt.long(6n)));
+
+  dictionary.data.delete(SizedInt.byte(255));
+  dictionary.data.set(SizedInt.byte(7), 'added');
+  assert.ok(!dictionary.has(SizedInt.byte(255)));
+  assert.strictEqual(dictionary.get(SizedInt.byte(7)), 'added');
+});
+
+test('a dictionary too large for the size field is refused when writing', () => {
+  const entries = (count) => new Map(Array.from({ length: count }, (_, i) => [SizedInt.int(i), null]));
+  assert.strictEqual(roundTrip(new ProtocolDictionary(DataType.Integer, 0, entries(0x7FFF))).size, 0x7FFF);
+
+  const writer = new Codecs.GpBinaryV16.Writer();
+  assert.throws(() => writer.writeValue(new ProtocolDictionary(DataType.Integer, 0, entries(0x8000))), /32768 entries, at most 32767/);
+});
+
+test('strings, arrays, hashtables and parameter tables are held to the same limits', () => {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  const list = (count, item = null) => Array.from({ length: count }, () => item);
+  assert.strictEqual(roundTrip('a'.repeat(0x7FFF)).length, 0x7FFF);
+  assert.strictEqual(roundTrip(new ProtocolHashtable(list(0x7FFF).map((_, i) => [SizedInt.int(i), null]))).size, 0x7FFF);
+  assert.strictEqual(roundTrip(list(0x7FFF)).length, 0x7FFF);
+
+  assert.throws(() => writer.writeValue('a'.repeat(0x8000)), /String of 32768 bytes, at most 32767/);
+  assert.throws(() => writer.writeValue(list(0x8000, 'a')), /StringArray of 32768 entries, at most 32767/);
+  assert.throws(() => writer.writeValue(list(0x8000)), /ObjectArray of 32768 entries, at most 32767/);
+  assert.throws(() => writer.writeValue(new ProtocolArray(DataType.Byte, list(0x8000, 0))), /Array of 32768 entries, at most 32767/);
+  assert.throws(() => writer.writeValue(new Map(list(0x8000).map((_, i) => [i, null]))), /Hashtable of 32768 entries, at most 32767/);
+  assert.throws(() => writer.writeValue(Object.fromEntries(list(0x8000).map((_, i) => [`k${i}`, null]))), /Hashtable of 32768 entries/);
+  assert.throws(() => writer.writeValue(new ProtocolHashtable(list(0x8000).map((_, i) => [SizedInt.int(i), null]))), /Hashtable of 32768 entries/);
+
+  const params = Object.fromEntries(list(256).map((_, i) => [i, null]));
+  assert.throws(() => new Codecs.GpBinaryV18.Writer().writePacket(new OperationRequest(1, params)), /parameter table of 256 parameters, at most 255/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { Subprotocols } = require('../protocol_reader/protocols');
+const { OperationCode, InternalOperationCode } = require('../protocol_reader/constants');
+const { OperationResponse, InternalOperationRequest } = require('../protocol_reader/types/packets');
+const DiffieHellmanCryptoProvider = require('../protocol_reader/DiffieHellmanCryptoProvider');
+const LocalPhotonServer = require('../PhotonUtils/LocalPhotonServer');
+const PhotonClient = require('../PhotonClient');
+const PhotonPacket = require('../PhotonUtils/PhotonPacket');
+const DecodeError = require('../protocol_reader/DecodeError');
+const { types } = require('../PhotonUtils/PhotonPacketBuilder');
+
+test('both sides of the key exchange derive the same key', () => {
+  const client = new DiffieHellmanCryptoProvider();
+  const server = new DiffieHellmanCryptoProvider();
+  client.deriveSharedKey(server.publicKey);
+  server.deriveSharedKey(client.publicKey);
+  assert.deepStrictEqual(client.key, server.key);
+
+  const frame = Buffer.from([0xF3, 0x02, 0xE6, 0x00, 0x01, 0xDD, 0x73, 0x00, 0x01, 0x61]);
+  const encrypted = client.encryptFrame(frame);
+  assert.ok(DiffieHellmanCryptoProvider.isEncryptedFrame(encrypted));
+  assert.deepStrictEqual(encrypted.subarray(0, 2), Buffer.from([0xF3, 0x82]));
+  assert.deepStrictEqual(server.decryptFrame(encrypted), frame);
+});
+
+test('a PhotonPacket that fails to decrypt is a DecodeError for the whole frame', () => {
+  const client = new DiffieHellmanCryptoProvider();
+  const server = new DiffieHellmanCryptoProvider();
+  client.deriveSharedKey(server.publicKey);
+  server.deriveSharedKey(client.publicKey);
+  const encrypted = client.encryptFrame(Buffer.from([0xF3, 0x02, 0xE6, 0x00, 0x00]));
+  assert.deepStrictEqual(new PhotonPacket(new Uint8Array(encrypted).buffer, server).sections, []);
+
+  // the padding no longer checks out once the last block is cut off
+  const truncated = new Uint8Array(encrypted.subarray(0, encrypted.length - 16)).buffer;
+  assert.throws(() => new PhotonPacket(truncated, server), (error) => {
+    assert.ok(error instanceof DecodeError, error);
+    assert.match(error.reason, /^Decrypting failed: /);
+    assert.deepStrictEqual([error.offset, error.expected, error.path], [0, 'encrypted frame', '<root>']);
+    assert.ok(error.cause instanceof Error);
+    return true;
+  });
+});
+
+test('an encrypted operation round-trips through the stand-in server', async () => {
+  const server = new LocalPhotonServer()
+    .handle(OperationCode.Authenticate, (request) => new OperationResponse(OperationCode.Authenticate, null, 0, { 221: `token for ${request.params[221]}` }));
+  const address = await server.listen();
+  const socket = new WebSocket(address, Subprotocols);
+  const frames = [];
+  socket.on('message', (data) => frames.push(Buffer.from(data)));
+
+  try {
+    const client = new PhotonClient(socket);
+    await client.EstablishEncryption();
+    assert.ok(client.cryptoProvider.isInitialized);
+    assert.deepStrictEqual(client.cryptoProvider.key, [...server.connections][0].cryptoProvider.key);
+
+    const response = await client.request(OperationCode.Authenticate, { 221: types.string('tester') }, {
+      sendOptions: { Encrypt: true },
+    });
+    assert.strictEqual(response.params[221], 'token for tester');
+
+    const [exchange, authenticate] = server.received;
+    assert.ok(exchange.packet instanceof InternalOperationRequest && exchange.packet.code === InternalOperationCode.InitEncryption);
+    assert.ok(!exchange.encrypted);
+    assert.strictEqual(authenticate.packet.code, OperationCode.Authenticate);
+    assert.ok(authenticate.encrypted);
+    // the key exchange answer is in the clear, the response is encrypted
+    assert.deepStrictEqual(frames.map((frame) => DiffieHellmanCryptoProvider.isEncryptedFrame(frame)), [false, true]);
+    assert.deepStrictEqual(server.errors, []);
+  } finally {
+    socket.close();
+    await server.close();
+  }
+});
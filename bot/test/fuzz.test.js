@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Codecs } = require('../protocol_reader/protocols');
+const { toTypedJSON } = require('../protocol_reader/TypedJSON');
+const { DataType } = require('../protocol_reader/constants');
+const DecodeError = require('../protocol_reader/DecodeError');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { SizedFloat } = require('../protocol_reader/types/SizedFloat');
+const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { ProtocolDictionary } = require('../protocol_reader/types/Dictionary');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { ObjectArray } = require('../protocol_reader/types/ObjectArray');
+const { Vector2 } = require('../protocol_reader/types/Vector2');
+const { Vector3 } = require('../protocol_reader/types/Vector3');
+const { Quaternion } = require('../protocol_reader/types/Quaternion');
+const { PhotonPlayer } = require('../protocol_reader/types/PhotonPlayer');
+const { OperationRequest } = require('../protocol_reader/types/packets');
+const PhotonPacket = require('../PhotonUtils/PhotonPacket');
+
+/*
+ * Seeded fuzzing of our own codecs, fully offline.
+ *  - generative: random typed values must decode to what was encoded, and re-encode to the same bytes
+ *  - mutation: corrupted corpus frames must either decode or throw a DecodeError, nothing else
+ * FUZZ_SEED picks the seed (printed on failure to reproduce it), FUZZ_ITERATIONS scales the runs.
+ */
+
+const Seed = Number(process.env.FUZZ_SEED ?? 0x5EED);
+const Iterations = Number(process.env.FUZZ_ITERATIONS ?? 300);
+const CorpusDir = path.join(__dirname, 'corpus');
+
+// mulberry32
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[int(0, items.length - 1)];
+  return { next, int, pick };
+}
+
+const Characters = ['a', 'Z', '0', ' ', '_', '[', ']', '#', 'é', 'ß', '中', '😀', '\u0000', '\n'];
+const SpecialFloats = [0, -0, 1, -1, NaN, Infinity, -Infinity, 3.4028234663852886e38, 1.401298464324817e-45];
+
+function randomString(random) {
+  return Array.from({ length: random.int(0, 12) }, () => random.pick(Characters)).join('');
+}
+
+function randomFloat(random, size) {
+  const value = random.next() < 0.2 ? random.pick(SpecialFloats) : (random.next() - 0.5) * 10 ** random.int(-5, 8);
+  return size === 4 ? Math.fround(value) : value;
+}
+
+// any int64, from two random 32 bit halves, or a small one now and then for the short Protocol18 forms
+function randomLong(random) {
+  if (random.next() < 0.3) return BigInt(random.int(-0xFFFF, 0xFFFF));
+  return BigInt.asIntN(64, (BigInt(random.int(0, 0xFFFFFFFF)) << 32n) | BigInt(random.int(0, 0xFFFFFFFF)));
+}
+
+// element types a ProtocolArray can be generated with, and how to make one element
+const ArrayElements = new Map([
+  [DataType.Bool, (random) => random.next() < 0.5],
+  [DataType.Byte, (random) => SizedInt.byte(random.int(0, 0xFF))],
+  [DataType.Short, (random) => SizedInt.short(random.int(-0x8000, 0x7FFF))],
+  [DataType.Integer, (random) => SizedInt.int(random.int(-0x80000000, 0x7FFFFFFF))],
+  [DataType.Long, (random) => SizedInt.long(randomLong(random))],
+  [DataType.Float, (random) => SizedFloat.float(randomFloat(random, 4))],
+  [DataType.Double, (random) => SizedFloat.double(randomFloat(random, 8))],
+  [DataType.String, (random) => randomString(random)],
+  [DataType.Custom, (random) => new Vector3(randomFloat(random, 4), randomFloat(random, 4), randomFloat(random, 4))],
+]);
+
+// Protocol18 has one wire type for byte[]/int[]/string[] and the ProtocolArray of the same element type
+const Protocol18AmbiguousArrays = [DataType.Byte, DataType.Integer, DataType.String];
+
+function randomKey(random) {
+  return random.pick([
+    () => SizedInt.byte(random.int(0, 0xFF)),
+    () => SizedInt.short(random.int(-0x8000, 0x7FFF)),
+    () => SizedInt.int(random.int(-0x80000000, 0x7FFFFFFF)),
+    () => randomString(random),
+  ])();
+}
+
+function randomValue(random, options, depth = 0) {
+  const leaves = [
+    () => null,
+    () => random.next() < 0.5,
+    () => randomString(random),
+    () => ArrayElements.get(DataType.Byte)(random),
+    () => ArrayElements.get(DataType.Short)(random),
+    () => ArrayElements.get(DataType.Integer)(random),
+    () => ArrayElements.get(DataType.Long)(random),
+    () => ArrayElements.get(DataType.Float)(random),
+    () => ArrayElements.get(DataType.Double)(random),
+    () => Buffer.from(Array.from({ length: random.int(0, 16) }, () => random.int(0, 0xFF))),
+    () => Int32Array.from({ length: random.int(0, 8) }, () => random.int(-0x80000000, 0x7FFFFFFF)),
+    () => Array.from({ length: random.int(0, 5) }, () => randomString(random)),
+    () => new Vector2(randomFloat(random, 4), randomFloat(random, 4)),
+    () => new Vector3(randomFloat(random, 4), randomFloat(random, 4), randomFloat(random, 4)),
+    () => new Quaternion(randomFloat(random, 4), randomFloat(random, 4), randomFloat(random, 4), randomFloat(random, 4)),
+    () => new PhotonPlayer(random.int(-0x80000000, 0x7FFFFFFF)),
+  ];
+  if (depth >= 4) return random.pick(leaves)();
+
+  const child = () => randomValue(random, options, depth + 1);
+  const containers = [
+    () => ObjectArray.from({ length: random.int(0, 4) }, child),
+    () => {
+      const elementTypes = Array.from(ArrayElements.keys())
+        .filter(type => !options.protocol18 || !Protocol18AmbiguousArrays.includes(type));
+      const elementType = random.pick(elementTypes);
+      return new ProtocolArray(elementType, Array.from({ length: random.int(0, 5) }, () => ArrayElements.get(elementType)(random)));
+    },
+    () => new ProtocolHashtable(Array.from({ length: random.int(0, 4) }, () => [randomKey(random), child()])),
+    () => {
+      // a Dictionary<string, object>
+      const data = new Map(Array.from({ length: random.int(0, 4) }, () => [randomString(random), child()]));
+      return new ProtocolDictionary(DataType.String, 0, data);
+    },
+    () => {
+      // a Dictionary<object, int>
+      const data = new Map(Array.from({ length: random.int(0, 4) }, () => [randomKey(random), ArrayElements.get(DataType.Integer)(random)]));
+      return new ProtocolDictionary(0, DataType.Integer, data);
+    },
+  ];
+  return random.next() < 0.6 ? random.pick(leaves)() : random.pick(containers)();
+}
+
+function randomRequest(random, options) {
+  const params = {};
+  for (let i = random.int(0, 6); i > 0; i--) {
+    params[random.int(0, 0xFF)] = randomValue(random, options);
+  }
+  return new OperationRequest(random.int(0, 0xFF), params);
+}
+
+function encode(Writer, packet) {
+  const writer = new Writer();
+  writer.writePacket(packet);
+  return writer.toBytes();
+}
+
+for (const [name, options] of [['GpBinaryV16', {}], ['GpBinaryV18', { protocol18: true }]]) {
+  const { Reader, Writer } = Codecs[name];
+
+  test(`${name}: random values survive encode -> decode (seed ${Seed})`, () => {
+    const random = createRandom(Seed);
+    for (let i = 0; i < Iterations; i++) {
+      const packet = randomRequest(random, options);
+      const bytes = encode(Writer, packet);
+      const context = `iteration ${i}, frame ${bytes.toString('hex')}`;
+
+      const reader = new Reader(bytes);
+      const decoded = reader.readPacket();
+      reader.expectEnd();
+      assert.deepStrictEqual(toTypedJSON(decoded), toTypedJSON(packet), context);
+      assert.strictEqual(encode(Writer, decoded).toString('hex'), bytes.toString('hex'), context);
+    }
+  });
+}
+
+const Mutations = [
+  // flip one bit
+  (random, frame) => {
+    const index = random.int(0, frame.length - 1);
+    frame[index] ^= 1 << random.int(0, 7);
+    return frame;
+  },
+  // overwrite a byte, favouring the values length and type fields trip over
+  (random, frame) => {
+    frame[random.int(0, frame.length - 1)] = random.pick([0x00, 0x01, 0x7F, 0x80, 0xFF, random.int(0, 0xFF)]);
+    return frame;
+  },
+  // truncate
+  (random, frame) => frame.subarray(0, random.int(0, frame.length - 1)),
+  // insert random bytes
+  (random, frame) => {
+    const index = random.int(0, frame.length);
+    const inserted = Buffer.from(Array.from({ length: random.int(1, 4) }, () => random.int(0, 0xFF)));
+    return Buffer.concat([frame.subarray(0, index), inserted, frame.subarray(index)]);
+  },
+  // repeat a slice
+  (random, frame) => {
+    const start = random.int(0, frame.length - 1);
+    const slice = frame.subarray(start, random.int(start + 1, frame.length));
+    return Buffer.concat([frame.subarray(0, start), slice, frame.subarray(start)]);
+  },
+];
+
+const Decoders = {
+  GpBinaryV16: (frame) => new Codecs.GpBinaryV16.Reader(frame).readPacket(),
+  GpBinaryV18: (frame) => new Codecs.GpBinaryV18.Reader(frame).readPacket(),
+  PhotonPacket: (frame) => new PhotonPacket(new Uint8Array(frame).buffer),
+};
+
+test(`corrupted corpus frames decode or throw a DecodeError (seed ${Seed})`, () => {
+  const random = createRandom(Seed);
+  const frames = fs.readdirSync(CorpusDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => Buffer.from(JSON.parse(fs.readFileSync(path.join(CorpusDir, name), 'utf8')).frame, 'hex'));
+
+  for (let i = 0; i < Iterations; i++) {
+    let frame = Buffer.from(random.pick(frames));
+    for (let count = random.int(1, 3); count > 0 && frame.length > 0; count--) {
+      frame = random.pick(Mutations)(random, frame);
+    }
+
+    for (const [name, decode] of Object.entries(Decoders)) {
+      try {
+        decode(frame);
+      } catch (error) {
+        if (!(error instanceof DecodeError)) {
+          assert.fail(`${name} threw ${error?.name}: ${error?.message} (iteration ${i}, frame ${frame.toString('hex')})`);
+        }
+      }
+    }
+  }
+});
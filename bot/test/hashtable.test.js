@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { SizedFloat } = require('../protocol_reader/types/SizedFloat');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+
+const roundTrip = (codec, value) => {
+  const writer = new Codecs[codec].Writer();
+  writer.writeValue(value);
+  return new Codecs[codec].Reader(writer.toBytes()).readValue();
+};
+
+test('keys of different types stay different keys', () => {
+  const table = new ProtocolHashtable([
+    [SizedInt.byte(255), 'byte'],
+    [SizedInt.int(255), 'int'],
+    ['255', 'string'],
+    [SizedFloat.float(1), 'float'],
+    [true, 'bool'],
+  ]);
+  assert.strictEqual(table.size, 5);
+  assert.strictEqual(table.get(SizedInt.byte(255)), 'byte');
+  assert.strictEqual(table.get(SizedInt.int(255)), 'int');
+  assert.strictEqual(table.get('255'), 'string');
+  assert.strictEqual(table.get(SizedFloat.float(1)), 'float');
+  assert.strictEqual(table.get(SizedFloat.double(1)), undefined);
+  assert.strictEqual(table.get(true), 'bool');
+
+  // equal keys replace the entry and keep its place
+  table.set(SizedInt.byte(255), 'replaced');
+  assert.deepStrictEqual(Array.from(table.values()), ['replaced', 'int', 'string', 'float', 'bool']);
+  assert.ok(table.delete(SizedInt.int(255)));
+  assert.ok(!table.has(SizedInt.int(255)));
+});
+
+test('typed keys and their order survive a round trip', () => {
+  const table = new ProtocolHashtable([['rank', SizedInt.byte(9)], [SizedInt.byte(255), 'name'], [SizedInt.short(3), null]]);
+  for (const codec of ['GpBinaryV16', 'GpBinaryV18']) {
+    const read = roundTrip(codec, table);
+    assert.ok(read instanceof ProtocolHashtable, codec);
+    assert.deepStrictEqual(Array.from(read.keys(), String), Array.from(table.keys(), String), codec);
+    assert.strictEqual(read.get(SizedInt.byte(255)), 'name');
+    assert.strictEqual(read.get('255'), undefined);
+    assert.strictEqual(read.get('rank').value, 9);
+  }
+});
+
+test('tables are built from Maps, pairs and plain objects', () => {
+  const table = new ProtocolHashtable([['a', 1]]);
+  assert.strictEqual(ProtocolHashtable.from(table), table);
+  assert.strictEqual(ProtocolHashtable.from(new Map([[SizedInt.byte(1), 'x']])).get(SizedInt.byte(1)), 'x');
+  assert.strictEqual(ProtocolHashtable.from({ rank: 4 }).get('rank'), 4);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(new ProtocolHashtable([[SizedInt.byte(255), 'name']]))), { [String(SizedInt.byte(255))]: 'name' });
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { OperationCode, EventCode } = require('../protocol_reader/constants');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { OperationResponse, InternalOperationResponse, Event } = require('../protocol_reader/types/packets');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { OperationError, OperationTimeoutError } = require('../OperationError');
+const { ErrorCode, describeReturnCode, formatReturnCode } = require('../protocol_reader/returnCodes');
+const { BotState, InvalidTransitionError } = require('../BotState');
+const {
+  JoinError, GameDoesNotExistError, GameFullError, GameClosedError, AuthFailedError, JoinTimeoutError, joinErrorFor, fromRequestError,
+} = require('../JoinError');
+const PhotonBot = require('../PhotonBot');
+const PhotonClient = require('../PhotonClient');
+const LocalPhotonServer = require('../PhotonUtils/LocalPhotonServer');
+
+function frameOf(packet) {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(packet);
+  return writer.toBytes();
+}
+
+// bot whose lobby connection is a fake socket, receive() feeds it packets, the region is pinned
+function createBot() {
+  const bot = new PhotonBot();
+  bot.botLog = () => {};
+  bot.account = { username: 'tester' };
+  bot.region = 'eu';
+  const listeners = {};
+  const socket = {
+    protocol: 'GpBinaryV16',
+    send() {},
+    close() {},
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+  };
+  bot.openSocket = (address, states) => {
+    const client = new PhotonClient(socket);
+    bot.own(() => client.removeAllListeners(), states);
+    return { socket, client };
+  };
+  const receive = (packet) => listeners.message({ data: frameOf(packet) });
+  return { bot, receive };
+}
+
+// LocalPhotonServer standing in for the name server and the game server: it logs the bot in, lists
+// room (#1234) once per connection (the bot asks for the lobby again after every GameList) and
+// answers JoinGame with joinGame(request, address)
+async function startStandIn({ joinGame }) {
+  const server = new LocalPhotonServer();
+  const address = await server.listen();
+  const listed = new WeakSet();
+  server
+    .handle(OperationCode.Authenticate, () => new OperationResponse(OperationCode.Authenticate, null, 0, { 221: 'token' }))
+    .handle(OperationCode.JoinLobby, (request, connection) => {
+      if (!listed.has(connection)) {
+        listed.add(connection);
+        connection.send(new Event(EventCode.GameList, { 222: new ProtocolHashtable([['room (#1234)', new ProtocolHashtable()]]) }));
+      }
+      return new OperationResponse(OperationCode.JoinLobby, null, 0, {});
+    })
+    .handle(OperationCode.JoinGame, (request) => joinGame(request, address));
+  return { server, address };
+}
+
+// bot whose name server is the stand-in at address, the region is pinned
+function createStandInBot(address) {
+  const bot = new PhotonBot();
+  bot.botLog = () => {};
+  bot.account = { username: 'tester' };
+  bot.region = 'eu';
+  bot.nameServerAddress = address;
+  return bot;
+}
+
+test('return codes map to join errors', () => {
+  const cases = [
+    [OperationCode.JoinGame, 32758, GameDoesNotExistError, 'GameDoesNotExist'],
+    [OperationCode.JoinGame, 32765, GameFullError, 'GameFull'],
+    [OperationCode.JoinGame, 32764, GameClosedError, 'GameClosed'],
+    [OperationCode.Authenticate, 32767, AuthFailedError, 'AuthFailed'],
+    [OperationCode.Authenticate, -2, AuthFailedError, 'AuthFailed'],
+    [OperationCode.JoinGame, -2, JoinError, 'OperationFailed'],
+  ];
+  for (const [operationCode, returnCode, type, reason] of cases) {
+    const error = joinErrorFor(operationCode, returnCode, 'msg');
+    assert.ok(error instanceof type);
+    assert.strictEqual(error.reason, reason);
+    assert.strictEqual(error.returnCode, returnCode);
+  }
+
+  assert.ok(fromRequestError(new OperationTimeoutError(OperationCode.JoinGame, 5)) instanceof JoinTimeoutError);
+  const refused = fromRequestError(new OperationError(OperationCode.JoinGame, 32765, 'Game full'));
+  assert.ok(refused instanceof GameFullError && refused.cause instanceof OperationError);
+  assert.strictEqual(fromRequestError(new Error('Connection closed (1006)')).reason, 'Disconnected');
+});
+
+test('joinRoom rejects with AuthFailedError when the name server refuses the login', async () => {
+  const { bot, receive } = createBot();
+  const joined = bot.joinRoom('room (#1234)');
+  await new Promise(setImmediate);
+
+  receive(new InternalOperationResponse(1, null, 0, {}));
+  receive(new OperationResponse(OperationCode.Authenticate, 'Invalid app id', 32767, {}));
+  await assert.rejects(joined, AuthFailedError);
+  assert.strictEqual(bot.state, BotState.Disconnected);
+});
+
+test('joinRoom rejects with the lobby refusal and disconnects', async () => {
+  const { server, address } = await startStandIn({
+    joinGame: () => new OperationResponse(OperationCode.JoinGame, 'Game does not exists', 32758, {}),
+  });
+  const bot = createStandInBot(address);
+  const states = [];
+  bot.on('stateChange', (state) => states.push(state));
+
+  await assert.rejects(bot.joinRoom('room (#1234)'), (error) => error instanceof GameDoesNotExistError && error.debugMessage === 'Game does not exists');
+  assert.ok(states.includes(BotState.JoiningGame));
+  assert.strictEqual(bot.state, BotState.Disconnected);
+  await server.close();
+});
+
+test('joinRoom resolves with the room once the actor number is assigned', async () => {
+  // the name server's JoinGame sends the bot to the game server, which is the same stand-in
+  const { server, address } = await startStandIn({
+    joinGame: (request, address) => (request.params[249]
+      ? new OperationResponse(OperationCode.JoinGame, null, 0, { 254: SizedInt.int(7) })
+      : new OperationResponse(OperationCode.JoinGame, null, 0, { 230: address })),
+  });
+  const bot = createStandInBot(address);
+  const states = [];
+  bot.on('stateChange', (state) => states.push(state));
+
+  assert.deepStrictEqual(await bot.joinRoom('room (#1234)'), { roomName: 'room (#1234)', actorNr: 7, serverAddress: address, players: [] });
+  assert.deepStrictEqual(states, [
+    BotState.ConnectingNameServer, BotState.Authenticating, BotState.InLobby, BotState.JoiningGame,
+    BotState.ConnectingGameServer, BotState.InRoom,
+  ]);
+  const joins = server.received.filter(({ packet }) => packet.code === OperationCode.JoinGame);
+  assert.deepStrictEqual(joins.map(({ packet }) => packet.params[255]), ['room (#1234)', 'room (#1234)']);
+
+  bot.disconnect();
+  await server.close();
+});
+
+test('return codes are named from the catalog', () => {
+  assert.deepStrictEqual(describeReturnCode(ErrorCode.SlotError), { code: 32742, name: 'SlotError', description: 'Reserving slots for expected users failed' });
+  assert.strictEqual(describeReturnCode(1234).name, 'Unknown');
+  assert.strictEqual(formatReturnCode(ErrorCode.MaxCcuReached), 'MaxCcuReached (32757)');
+  assert.strictEqual(formatReturnCode(1234), '1234');
+
+  const response = new OperationResponse(OperationCode.JoinGame, 'full', ErrorCode.GameFull, {});
+  assert.match(response.toString(), /return=GameFull \(32765\)/);
+  assert.match(new OperationError(OperationCode.CreateGame, ErrorCode.GameIdAlreadyExists, null).message, /GameIdAlreadyExists/);
+  assert.strictEqual(joinErrorFor(OperationCode.JoinGame, ErrorCode.GameFull).returnCodeName, 'GameFull');
+});
+
+test('the join-room endpoint answers every failure with JSON', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { app, botInstances } = require('../../server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const join = async (error) => {
+    const bot = new PhotonBot();
+    bot.joinRoom = async () => { throw error; };
+    botInstances.set(bot.botId, bot);
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/bots/${bot.botId}/join-room`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ roomName: 'room (#1234)' }),
+    });
+    botInstances.delete(bot.botId);
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const refused = await join(joinErrorFor(OperationCode.JoinGame, ErrorCode.GameFull, 'full'));
+    assert.deepStrictEqual([refused.status, refused.body.reason], [409, 'GameFull']);
+
+    const busy = await join(new InvalidTransitionError(BotState.InRoom, BotState.ConnectingNameServer));
+    assert.deepStrictEqual([busy.status, busy.body.error], [409, "Can't go from InRoom to ConnectingNameServer"]);
+
+    const broken = await join(new TypeError('boom'));
+    assert.deepStrictEqual([broken.status, broken.body.error], [500, 'boom']);
+  } finally {
+    server.close();
+  }
+});
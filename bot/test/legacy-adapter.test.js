@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataType } = require('../protocol_reader/constants');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { ProtocolDictionary } = require('../protocol_reader/types/Dictionary');
+const { Vector2 } = require('../protocol_reader/types/Vector2');
+const { PhotonPlayer } = require('../protocol_reader/types/PhotonPlayer');
+const { OperationRequest, OperationResponse } = require('../protocol_reader/types/packets');
+const ProtocolWriter = require('../protocol_reader/ProtocolWriter');
+const { fromTypedValue, toTypedValue, toCanonicalPacket, toLegacyPacket } = require('../PhotonUtils/LegacyAdapter');
+const PhotonPacketBuilder = require('../PhotonUtils/PhotonPacketBuilder');
+const { types } = PhotonPacketBuilder;
+
+test('built packets encode like the canonical packet', () => {
+  const built = PhotonPacketBuilder.createRequest(226)
+    .addParam(1, types.string('room'))
+    .addParam(2, types.hashTable([[types.string('rank'), types.byte(5)], [types.byte(255), types.string('name')]]))
+    .addParam(3, types.boolean(true));
+  const canonical = new OperationRequest(226, {
+    1: 'room',
+    2: new ProtocolHashtable([['rank', SizedInt.byte(5)], [SizedInt.byte(255), 'name']]),
+    3: true,
+  });
+
+  const writer = new ProtocolWriter();
+  writer.writePacket(canonical);
+  assert.deepStrictEqual(Buffer.from(built.toBuffer()), writer.toBytes());
+});
+
+test('integers wrap to their wire size', () => {
+  assert.strictEqual(fromTypedValue(types.byte(0x1FF)).value, 0xFF);
+  assert.strictEqual(fromTypedValue(types.short(0x18000)).value, -32768);
+  assert.strictEqual(fromTypedValue(types.integer(2 ** 32 + 5)).value, 5);
+  assert.strictEqual(fromTypedValue(types.long(2n ** 64n - 1n)).value, -1n);
+});
+
+test('values convert to the canonical model and back', () => {
+  assert.ok(fromTypedValue(types.vector2(1, 2)) instanceof Vector2);
+  assert.deepStrictEqual(toTypedValue(fromTypedValue(types.vector2(1, 2))), types.vector2(1, 2));
+  assert.ok(fromTypedValue(types.player(4)) instanceof PhotonPlayer);
+  assert.deepStrictEqual(toTypedValue(fromTypedValue(types.player(4))), types.player(4));
+
+  const dictionary = fromTypedValue(types.dictionary(DataType.String, DataType.Integer, [[types.string('a'), types.integer(1)]]));
+  assert.ok(dictionary instanceof ProtocolDictionary);
+  assert.strictEqual(dictionary.get('a').value, 1);
+
+  // typed keys are looked up by type and data, not identity
+  const table = toTypedValue(new ProtocolHashtable([[SizedInt.byte(1), 'byte'], [SizedInt.int(1), 'int']]));
+  assert.strictEqual(table.type, DataType.Hashtable);
+  assert.deepStrictEqual(table.data.get(types.byte(1)), types.string('byte'));
+  assert.deepStrictEqual(table.data.get(types.integer(1)), types.string('int'));
+
+  // canonical values pass through
+  const value = SizedInt.short(3);
+  assert.strictEqual(fromTypedValue(value), value);
+  assert.throws(() => fromTypedValue({ type: 0x01, data: null }), /Unknown Photon type 1/);
+});
+
+test('legacy packets convert to protocol_reader packets and back', () => {
+  const packet = new OperationResponse(226, 'full', 32765, { 1: SizedInt.int(9) });
+  const legacy = toLegacyPacket(packet);
+  assert.deepStrictEqual(
+    { type: legacy.type, op_code: legacy.op_code, return_code: legacy.return_code, debug_message: legacy.debug_message },
+    { type: 3, op_code: 226, return_code: 32765, debug_message: types.string('full') },
+  );
+  assert.deepStrictEqual(legacy.sections, [[1, types.integer(9)]]);
+
+  const canonical = toCanonicalPacket(legacy);
+  assert.ok(canonical instanceof OperationResponse);
+  assert.deepStrictEqual([canonical.code, canonical.debugMessage, canonical.returnCode, canonical.params[1].value], [226, 'full', 32765, 9]);
+  assert.throws(() => toCanonicalPacket({ magic: 0xF3, type: 12 }), /packet type 12/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { DataType } = require('../protocol_reader/constants');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { Event, OperationRequest, OperationResponse } = require('../protocol_reader/types/packets');
+const PhotonPacket = require('../PhotonUtils/PhotonPacket');
+
+const bytesOf = (codec, write) => {
+  const writer = new Codecs[codec].Writer();
+  write(writer);
+  return writer.toBytes();
+};
+
+test('nested operation requests are written as values', () => {
+  // type, code 5, one parameter: 1 -> byte 2
+  const bytes = bytesOf('GpBinaryV16', (writer) => writer.writeValue(new OperationRequest(5, { 1: SizedInt.byte(2) })));
+  assert.strictEqual(bytes.toString('hex'), '71050001016202');
+});
+
+test('events, requests and responses nested in each other survive a round trip', () => {
+  const packet = new Event(200, {
+    1: new OperationResponse(226, 'ok', 0, { 254: SizedInt.int(7), 3: new Event(255, { 1: 'inner' }) }),
+    2: new OperationRequest(253, { 244: SizedInt.byte(1) }),
+  });
+  for (const codec of ['GpBinaryV16', 'GpBinaryV18']) {
+    const read = new Codecs[codec].Reader(bytesOf(codec, (writer) => writer.writePacket(packet))).readPacket();
+
+    assert.ok(read instanceof Event, codec);
+    const response = read.params[1];
+    assert.ok(response instanceof OperationResponse, codec);
+    assert.deepStrictEqual([response.code, response.debugMessage, response.returnCode], [226, 'ok', 0]);
+    assert.strictEqual(response.params[254].value, 7);
+    assert.ok(response.params[3] instanceof Event);
+    assert.strictEqual(response.params[3].params[1], 'inner');
+    assert.ok(read.params[2] instanceof OperationRequest);
+    assert.strictEqual(read.params[2].params[244].value, 1);
+  }
+});
+
+test('PhotonPacket keeps nested values typed and re-encodes them unchanged', () => {
+  const frame = bytesOf('GpBinaryV16', (writer) => writer.writePacket(new Event(200, { 5: new Event(201, { 1: SizedInt.short(-2) }) })));
+  const packet = new PhotonPacket(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length));
+
+  const [[key, nested]] = packet.sections;
+  assert.strictEqual(key, 5);
+  assert.strictEqual(nested.type, DataType.EventData);
+  assert.strictEqual(nested.data.code, 201);
+  assert.deepStrictEqual(nested.data.params.get(1), { type: DataType.Short, data: -2 });
+  assert.ok(packet.verify());
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const {
+  InitPacket, InitResponse, DisconnectMessage, Message, RawMessage,
+} = require('../protocol_reader/types/packets');
+const DecodeError = require('../protocol_reader/DecodeError');
+const PhotonClient = require('../PhotonClient');
+const PhotonPacket = require('../PhotonUtils/PhotonPacket');
+
+const frameOf = (packet) => {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(packet);
+  return writer.toBytes();
+};
+const read = (frame) => new Codecs.GpBinaryV16.Reader(frame).readPacket();
+const arrayBufferOf = (frame) => frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length);
+
+test('Init packets carry the versions and the zero padded app id', () => {
+  const frame = frameOf(new InitPacket('my-app', { isIpv6: true, clientVersion: [4, 1, 6, 10] }));
+  // magic, type, protocol 1.6, sdk id << 1, ipv6 | 4.1, 6, 10, 0, app id padded to 32 bytes
+  assert.strictEqual(frame.subarray(0, 9).toString('hex'), 'f30001061ec1060a00');
+  assert.strictEqual(frame.length, 9 + 32);
+
+  const packet = read(frame);
+  assert.ok(packet instanceof InitPacket);
+  assert.deepStrictEqual(
+    [packet.appID.toString(), packet.isIpv6, packet.protocolVersion, packet.clientVersion, packet.clientSdkId],
+    ['my-app', true, [1, 6], [4, 1, 6, 10], 15],
+  );
+});
+
+test('InitResponse, Disconnect, Message and RawMessage survive a round trip', () => {
+  assert.strictEqual(frameOf(new InitResponse()).toString('hex'), 'f30100');
+  assert.ok(read(frameOf(new InitResponse())) instanceof InitResponse);
+  assert.throws(() => read(Buffer.from('f30101', 'hex')), (error) => error instanceof DecodeError && /InitResponse code: 1/.test(error.message));
+
+  const disconnect = read(frameOf(new DisconnectMessage(-3, 'kicked', { 1: SizedInt.int(2) })));
+  assert.deepStrictEqual([disconnect.code, disconnect.debugMessage, disconnect.params[1].value], [-3, 'kicked', 2]);
+
+  const message = read(frameOf(new Message(['a', 'b'])));
+  assert.ok(message instanceof Message);
+  assert.deepStrictEqual(message.value, ['a', 'b']);
+
+  const raw = read(frameOf(new RawMessage(Buffer.from('00ff10', 'hex'))));
+  assert.ok(raw instanceof RawMessage);
+  assert.strictEqual(raw.data.toString('hex'), '00ff10');
+});
+
+test('PhotonClient emits init, disconnect and message', () => {
+  const listeners = {};
+  const client = new PhotonClient({ protocol: 'GpBinaryV16', send() {}, addEventListener: (type, listener) => { listeners[type] = listener; } });
+  const seen = [];
+  client.on('init', () => seen.push('init'));
+  client.on('disconnect', (packet) => seen.push(`disconnect ${packet.code}`));
+  client.on('message', (packet) => seen.push(packet.constructor.name));
+
+  for (const packet of [new InitResponse(), new DisconnectMessage(1, null, {}), new Message('hi'), new RawMessage(Buffer.alloc(2))]) {
+    listeners.message({ data: frameOf(packet) });
+  }
+  assert.deepStrictEqual(seen, ['init', 'disconnect 1', 'Message', 'RawMessage']);
+});
+
+test('PhotonPacket reads the new packet types and re-encodes them unchanged', () => {
+  for (const packet of [new InitPacket('app'), new DisconnectMessage(2, 'bye', {}), new Message(SizedInt.short(5)), new RawMessage(Buffer.from('beef', 'hex'))]) {
+    const parsed = new PhotonPacket(arrayBufferOf(frameOf(packet)));
+    assert.strictEqual(parsed.relay, false, packet.constructor.name);
+    assert.ok(parsed.verify(), packet.constructor.name);
+  }
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Codecs } = require('../protocol_reader/protocols');
+const { OperationCode, DataType } = require('../protocol_reader/constants');
+const { OperationResponse, Event, DisconnectMessage } = require('../protocol_reader/types/packets');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { OperationError, OperationTimeoutError } = require('../OperationError');
+const PhotonClient = require('../PhotonClient');
+const PhotonPacket = require('../PhotonUtils/PhotonPacket');
+const DecodeError = require('../protocol_reader/DecodeError');
+const DiffieHellmanCryptoProvider = require('../protocol_reader/DiffieHellmanCryptoProvider');
+const { types } = require('../PhotonUtils/PhotonPacketBuilder');
+
+function createClient() {
+  const sent = [];
+  const client = new PhotonClient({ protocol: 'GpBinaryV16', send: (bytes) => sent.push(Buffer.from(bytes)) });
+  return { client, sent };
+}
+
+function frameOf(packet) {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(packet);
+  return writer.toBytes();
+}
+
+// socket that hands its listeners to the test
+function createSocket() {
+  const listeners = {};
+  return {
+    protocol: 'GpBinaryV16',
+    send() {},
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    receive: (data) => listeners.message({ data }),
+    close: (code, reason) => listeners.close({ code, reason }),
+  };
+}
+
+function respond(client, code, returnCode = 0, params = {}, debugMessage = null) {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(new OperationResponse(code, debugMessage, returnCode, params));
+  return client.ReadMessage(writer.toBytes());
+}
+
+test('request resolves with the response to its operation', async () => {
+  const { client, sent } = createClient();
+  const joined = client.request(OperationCode.JoinGame, { 255: types.string('room') });
+  const authenticated = client.request(OperationCode.Authenticate, { 221: types.string('token') });
+  assert.strictEqual(sent.length, 2);
+
+  respond(client, OperationCode.Authenticate, 0, { 221: 'secret' });
+  respond(client, OperationCode.JoinGame, 0, { 254: SizedInt.int(3) });
+
+  assert.strictEqual((await authenticated).params[221], 'secret');
+  assert.strictEqual((await joined).params[254].value, 3);
+  assert.strictEqual(client.pendingRequests.size, 0);
+});
+
+test('requests with the same code are answered in order', async () => {
+  const { client } = createClient();
+  const first = client.request(OperationCode.SetProperties);
+  const second = client.request(OperationCode.SetProperties);
+
+  respond(client, OperationCode.SetProperties, 0, { 1: 'first' });
+  respond(client, OperationCode.SetProperties, 0, { 1: 'second' });
+
+  assert.strictEqual((await first).params[1], 'first');
+  assert.strictEqual((await second).params[1], 'second');
+});
+
+test('a non-zero return code rejects with an OperationError', async () => {
+  const { client } = createClient();
+  const joined = client.request(OperationCode.JoinGame);
+  respond(client, OperationCode.JoinGame, 32758, {}, 'Game does not exist');
+
+  await assert.rejects(joined, (error) => error instanceof OperationError
+    && error.operationCode === OperationCode.JoinGame
+    && error.returnCode === 32758
+    && error.debugMessage === 'Game does not exist');
+});
+
+test('requests time out and can be cancelled', async () => {
+  const { client } = createClient();
+  await assert.rejects(client.request(OperationCode.JoinGame, {}, { timeout: 5 }), OperationTimeoutError);
+  // the late response goes to the timed out request, not to the next one
+  const next = client.request(OperationCode.JoinGame);
+  respond(client, OperationCode.JoinGame, 0, { 255: 'late' });
+  respond(client, OperationCode.JoinGame, 0, { 255: 'on time' });
+  assert.strictEqual((await next).params[255], 'on time');
+  assert.strictEqual(client.pendingRequests.size, 0);
+
+  const pending = client.request(OperationCode.JoinGame);
+  client.cancelRequests(new Error('closed'));
+  await assert.rejects(pending, /closed/);
+
+  // a response nobody waits for anymore is still returned as usual
+  assert.ok(respond(client, OperationCode.JoinGame) instanceof OperationResponse);
+});
+
+test('an operation that is never answered gives up its place after the grace period', async () => {
+  const { client } = createClient();
+  client.responseGracePeriod = 10;
+  await assert.rejects(client.request(OperationCode.JoinGame, {}, { timeout: 5 }), OperationTimeoutError);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  const next = client.request(OperationCode.JoinGame);
+  respond(client, OperationCode.JoinGame, 0, { 255: 'next' });
+  assert.strictEqual((await next).params[255], 'next');
+  assert.strictEqual(client.pendingRequests.size, 0);
+});
+
+test('responses to operations nobody waits on are not handed to requests', async () => {
+  const { client } = createClient();
+  client.SendOperation(OperationCode.SetProperties, {});
+  const set = client.request(OperationCode.SetProperties);
+
+  respond(client, OperationCode.SetProperties, 0, { 1: 'fire and forget' });
+  respond(client, OperationCode.SetProperties, 0, { 1: 'requested' });
+  assert.strictEqual((await set).params[1], 'requested');
+  assert.strictEqual(client.pendingRequests.size, 0);
+});
+
+test('a request that fails to send rejects without waiting', async () => {
+  const { client } = createClient();
+  await assert.rejects(client.request(OperationCode.JoinGame, { 255: 'room' }, { schema: { 255: 'byte' } }), /not a valid byte/);
+  assert.strictEqual(client.pendingRequests.size, 0);
+});
+
+test('received frames are emitted by kind and code', () => {
+  const socket = createSocket();
+  const client = new PhotonClient(socket);
+  const seen = [];
+  client.on('event:255', (packet) => seen.push(['event:255', packet.params[254].value]));
+  client.on('event:*', (name) => seen.push(['event:*', name]));
+  client.on('response:226', (packet) => seen.push(['response:226', packet.returnCode]));
+  client.on('*', (name) => seen.push(['*', name]));
+  client.on('disconnect', () => seen.push(['disconnect']));
+
+  socket.receive(frameOf(new Event(255, { 254: SizedInt.int(4) })));
+  socket.receive(frameOf(new OperationResponse(226, null, 0, {})));
+  socket.receive(frameOf(new DisconnectMessage(0, null, {})));
+
+  assert.deepStrictEqual(seen, [
+    ['event:255', 4], ['event:*', 'event:255'], ['*', 'event:255'],
+    ['response:226', 0], ['*', 'response:226'],
+    ['disconnect'], ['*', 'disconnect'],
+  ]);
+});
+
+test('reader options apply to received frames and PhotonPacket', () => {
+  const frame = frameOf(new Event(1, { 1: SizedInt.long(42n) }));
+  const client = new PhotonClient({ protocol: 'GpBinaryV16', send() {} }, { reader: { longs: 'number' } });
+  assert.strictEqual(client.ReadMessage(frame).params[1].value, 42);
+  assert.strictEqual(new PhotonClient({ protocol: 'GpBinaryV16', send() {} }).ReadMessage(frame).params[1].value, 42n);
+
+  assert.deepStrictEqual(new PhotonPacket(frame, null, { longs: 'number' }).sections, [[1, { type: DataType.Long, data: 42 }]]);
+  assert.throws(() => new PhotonPacket(frameOf(new Event(1, { 1: SizedInt.long(2n ** 60n) })), null, { longs: 'number' }), DecodeError);
+});
+
+test('once handlers run for the first packet only', () => {
+  const socket = createSocket();
+  const client = new PhotonClient(socket);
+  const seen = [];
+  client.once('event:253', (packet) => seen.push(packet.params[253].value));
+
+  socket.receive(frameOf(new Event(253, { 253: SizedInt.int(1) })));
+  socket.receive(frameOf(new Event(253, { 253: SizedInt.int(2) })));
+  assert.deepStrictEqual(seen, [1]);
+});
+
+test('malformed frames and closing are emitted', async () => {
+  const socket = createSocket();
+  const client = new PhotonClient(socket);
+  const errors = [];
+  client.on('decodeError', (error, data) => errors.push([error.name, data.length]));
+  socket.receive(Buffer.from([0xF3, 0x04]));
+  assert.deepStrictEqual(errors, [['DecodeError', 2]]);
+
+  const pending = client.request(OperationCode.JoinGame);
+  const closed = new Promise((resolve) => client.once('close', resolve));
+  socket.close(1006, 'gone');
+  assert.deepStrictEqual(await closed, { code: 1006, reason: 'gone' });
+  await assert.rejects(pending, /Connection closed \(1006\)/);
+});
+
+test('frames that fail to decrypt are decode errors, not exceptions', () => {
+  const socket = createSocket();
+  const client = new PhotonClient(socket);
+  const errors = [];
+  client.on('decodeError', (error) => errors.push([error.name, error.reason]));
+
+  // encrypted before the key exchange
+  const encrypted = Buffer.from([0xF3, 0x83, ...Buffer.alloc(16)]);
+  assert.doesNotThrow(() => socket.receive(encrypted));
+
+  // bad padding once there is a key
+  const local = new DiffieHellmanCryptoProvider();
+  const remote = new DiffieHellmanCryptoProvider();
+  local.deriveSharedKey(remote.publicKey);
+  client.cryptoProvider = local;
+  const cipher = crypto.createCipheriv('aes-256-cbc', local.key, Buffer.alloc(16)).setAutoPadding(false);
+  const badPadding = Buffer.concat([cipher.update(Buffer.alloc(16)), cipher.final()]);
+  assert.doesNotThrow(() => socket.receive(Buffer.from([0xF3, 0x83, ...badPadding])));
+  assert.doesNotThrow(() => socket.receive(Buffer.from([0xF3, 0x83, 1, 2, 3])));
+
+  assert.deepStrictEqual(errors.map(([name]) => name), ['DecodeError', 'DecodeError', 'DecodeError']);
+  assert.match(errors[0][1], /before encryption was established/);
+  assert.match(errors[1][1], /^Decrypting failed/);
+});
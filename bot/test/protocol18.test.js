@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs, getCodec } = require('../protocol_reader/protocols');
+const { DataType, OperationCode } = require('../protocol_reader/constants');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { SizedFloat } = require('../protocol_reader/types/SizedFloat');
+const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { ProtocolDictionary } = require('../protocol_reader/types/Dictionary');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { OperationRequest, OperationResponse } = require('../protocol_reader/types/packets');
+const ProtocolReader = require('../protocol_reader/ProtocolReader');
+const Protocol18Reader = require('../protocol_reader/Protocol18Reader');
+const PhotonClient = require('../PhotonClient');
+const PhotonPacketBuilder = require('../PhotonUtils/PhotonPacketBuilder');
+const { types } = PhotonPacketBuilder;
+
+const hexOf = (value) => {
+  const writer = new Codecs.GpBinaryV18.Writer();
+  writer.writeValue(value);
+  return writer.toBytes().toString('hex');
+};
+const roundTrip = (value) => {
+  const writer = new Codecs.GpBinaryV18.Writer();
+  writer.writeValue(value);
+  return new Protocol18Reader(writer.toBytes()).readValue();
+};
+
+test('integers take their most compact form', () => {
+  assert.strictEqual(hexOf(SizedInt.int(0)), '1e');
+  assert.strictEqual(hexOf(SizedInt.int(5)), '0b05');
+  assert.strictEqual(hexOf(SizedInt.int(-5)), '0c05');
+  assert.strictEqual(hexOf(SizedInt.int(300)), '0d2c01');
+  // zigzag varint
+  assert.strictEqual(hexOf(SizedInt.int(100000)), '09c09a0c');
+  assert.strictEqual(hexOf(SizedInt.long(0n)), '1f');
+  assert.strictEqual(hexOf(SizedInt.byte(0)), '22');
+  assert.strictEqual(hexOf(true) + hexOf(false), '1c1b');
+  assert.strictEqual(hexOf(null), '08');
+});
+
+test('values survive a round trip', () => {
+  assert.strictEqual(roundTrip(SizedInt.int(-100000)).value, -100000);
+  assert.strictEqual(BigInt(roundTrip(SizedInt.long(2n ** 40n)).value), 2n ** 40n);
+  assert.strictEqual(roundTrip(SizedFloat.float(1.5)).value, 1.5);
+  assert.strictEqual(roundTrip('héllo'), 'héllo');
+  assert.deepStrictEqual(roundTrip(['a', 'b']), ['a', 'b']);
+
+  const floats = roundTrip(new ProtocolArray(DataType.Float, [SizedFloat.float(1), SizedFloat.float(-2)]));
+  assert.strictEqual(floats.innerDataType, DataType.Float);
+  assert.deepStrictEqual(floats.data.map((item) => item.value), [1, -2]);
+
+  const dictionary = roundTrip(new ProtocolDictionary(DataType.String, DataType.Integer, new Map([['a', SizedInt.int(1)]])));
+  assert.strictEqual(dictionary.get('a').value, 1);
+
+  const table = roundTrip(new ProtocolHashtable([[SizedInt.byte(1), 'byte key'], ['name', SizedInt.short(-3)]]));
+  assert.strictEqual(table.get(SizedInt.byte(1)), 'byte key');
+  assert.strictEqual(table.get('name').value, -3);
+});
+
+test('the codec follows the negotiated subprotocol', () => {
+  assert.strictEqual(getCodec(undefined).Reader, ProtocolReader);
+  assert.strictEqual(getCodec('').Reader, ProtocolReader);
+  assert.strictEqual(getCodec('GpBinaryV18').Reader, Protocol18Reader);
+  assert.throws(() => getCodec('GpBinaryV99'), /Unsupported subprotocol GpBinaryV99/);
+});
+
+test('built packets are written with the codec of the subprotocol', () => {
+  const packet = PhotonPacketBuilder.createRequest(OperationCode.JoinGame).addParam(255, types.string('room')).addParam(252, types.integer(7));
+  const request = new Protocol18Reader(Buffer.from(packet.toBuffer('GpBinaryV18'))).readPacket();
+  assert.ok(request instanceof OperationRequest);
+  assert.deepStrictEqual([request.code, request.params[255], request.params[252].value], [OperationCode.JoinGame, 'room', 7]);
+  assert.ok(new ProtocolReader(Buffer.from(packet.toBuffer())).readPacket() instanceof OperationRequest);
+});
+
+test('PhotonClient speaks Protocol18 on a GpBinaryV18 socket', async () => {
+  const listeners = {};
+  const sent = [];
+  const socket = {
+    protocol: 'GpBinaryV18',
+    send: (bytes) => sent.push(Buffer.from(bytes)),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+  };
+  const client = new PhotonClient(socket);
+  const joined = client.request(OperationCode.JoinGame, { 255: types.string('room'), 252: types.integer(7) });
+
+  const request = new Protocol18Reader(sent[0]).readPacket();
+  assert.ok(request instanceof OperationRequest);
+  assert.deepStrictEqual([request.code, request.params[255], request.params[252].value], [OperationCode.JoinGame, 'room', 7]);
+
+  const writer = new Codecs.GpBinaryV18.Writer();
+  writer.writePacket(new OperationResponse(OperationCode.JoinGame, null, 0, { 254: SizedInt.int(3) }));
+  listeners.message({ data: writer.toBytes() });
+  assert.strictEqual((await joined).params[254].value, 3);
+});
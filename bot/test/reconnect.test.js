@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BotState } = require('../BotState');
+const { JoinError, GameDoesNotExistError } = require('../JoinError');
+const { ErrorCode } = require('../protocol_reader/returnCodes');
+const { ParameterCode, JoinMode } = require('../protocol_reader/constants');
+const { types } = require('../PhotonUtils/PhotonPacketBuilder');
+const PhotonBot = require('../PhotonBot');
+const PhotonClient = require('../PhotonClient');
+
+function createBot(policy = { baseDelay: 1, jitter: 0 }) {
+  const bot = new PhotonBot();
+  bot.botLog = () => {};
+  bot.reconnectPolicy = policy;
+  const events = [];
+  for (const name of ['reconnecting', 'reconnectAttempt', 'reconnected', 'reconnectFailed', 'reconnectGaveUp']) {
+    bot.on(name, (details) => events.push([name, details]));
+  }
+  return { bot, events };
+}
+
+// walks the bot into a room on a fake game connection, close() drops it
+function enterRoom(bot, { actorNr = 3, playerTtl = 0 } = {}) {
+  for (const state of [BotState.ConnectingNameServer, BotState.Authenticating, BotState.InLobby, BotState.JoiningGame, BotState.ConnectingGameServer]) {
+    bot.transition(state);
+  }
+  const listeners = {};
+  const socket = { protocol: 'GpBinaryV16', send() {}, addEventListener: (type, listener) => { listeners[type] = listener; } };
+  bot.gameSocket = socket;
+  bot.photonClient = new PhotonClient(socket);
+  bot.gameRoomName = 'room (#1234)';
+  bot.setupGameSocket();
+  bot.transition(BotState.InRoom);
+  bot.lastActorNr = actorNr;
+  bot.playerTtl = playerTtl;
+  return { close: () => listeners.close({ code: 1006, reason: '' }) };
+}
+
+const until = (bot, name) => new Promise((resolve) => bot.once(name, resolve));
+
+test('a dropped connection rejoins as the same actor while the room keeps it', async () => {
+  const { bot, events } = createBot();
+  const joins = [];
+  bot.joinRoom = async (roomName, options) => {
+    joins.push([roomName, options]);
+    return { roomName, actorNr: options.rejoinActorNr };
+  };
+
+  enterRoom(bot, { actorNr: 3, playerTtl: 60000 }).close();
+  assert.strictEqual(bot.state, BotState.Disconnected);
+  assert.deepStrictEqual(bot.reconnecting, { attempt: 1, delay: 1, roomName: 'room (#1234)' });
+
+  await until(bot, 'reconnected');
+  assert.deepStrictEqual(joins, [['room (#1234)', { rejoinActorNr: 3 }]]);
+  assert.deepStrictEqual(events.map(([name]) => name), ['reconnecting', 'reconnectAttempt', 'reconnected']);
+  assert.deepStrictEqual(events[2][1], { attempt: 1, rejoined: true, room: { roomName: 'room (#1234)', actorNr: 3 } });
+  assert.strictEqual(bot.reconnecting, null);
+});
+
+test('a refused rejoin falls back to joining again, with growing delays', async () => {
+  const { bot, events } = createBot({ baseDelay: 2, jitter: 0 });
+  const joins = [];
+  bot.joinRoom = async (roomName, options) => {
+    joins.push(options.rejoinActorNr);
+    if (joins.length === 1) throw new JoinError('rejoin refused', { returnCode: ErrorCode.JoinFailedWithRejoinerNotFound, reason: 'OperationFailed' });
+    if (joins.length === 2) throw new JoinError('Disconnected before joining the room');
+    return { roomName };
+  };
+
+  enterRoom(bot, { playerTtl: -1 }).close();
+  await until(bot, 'reconnected');
+  assert.deepStrictEqual(joins, [3, null, null]);
+  assert.deepStrictEqual(events.filter(([name]) => name === 'reconnecting').map(([, { delay }]) => delay), [2, 4, 8]);
+});
+
+test('reconnecting gives up when the room is gone or the attempts run out', async () => {
+  const gone = createBot();
+  gone.bot.joinRoom = async () => { throw new GameDoesNotExistError(); };
+  enterRoom(gone.bot).close();
+  const { attempts, error } = await until(gone.bot, 'reconnectGaveUp');
+  assert.strictEqual(attempts, 1);
+  assert.ok(error instanceof GameDoesNotExistError);
+
+  const unlucky = createBot({ baseDelay: 1, jitter: 0, maxAttempts: 2 });
+  unlucky.bot.joinRoom = async () => { throw new JoinError('Timed out joining the room', { reason: 'Timeout' }); };
+  enterRoom(unlucky.bot).close();
+  assert.strictEqual((await until(unlucky.bot, 'reconnectGaveUp')).attempts, 2);
+});
+
+test('disconnect cancels a scheduled reconnect, no policy means no reconnect', async () => {
+  const { bot, events } = createBot({ baseDelay: 1000 });
+  bot.joinRoom = async () => assert.fail('should not reconnect');
+  enterRoom(bot).close();
+  assert.ok(bot.reconnecting);
+  const delay = bot.reconnecting.delay;
+  assert.ok(delay >= 500 && delay <= 1000);
+
+  bot.disconnect();
+  assert.strictEqual(bot.reconnecting, null);
+  assert.strictEqual(bot.resources.length, 0);
+
+  const off = createBot(null);
+  enterRoom(off.bot).close();
+  assert.strictEqual(off.bot.reconnecting, null);
+  assert.deepStrictEqual(off.events, []);
+});
+
+test('rejoining asks for the previous actor', () => {
+  const bot = new PhotonBot();
+  assert.strictEqual(bot.addRejoinParams(new Map()).size, 0);
+  bot.rejoinActorNr = 3;
+  const params = bot.addRejoinParams(new Map());
+  assert.deepStrictEqual(params.get(ParameterCode.JoinMode), types.byte(JoinMode.RejoinOnly));
+  assert.deepStrictEqual(params.get(ParameterCode.ActorNr), types.integer(3));
+});
+
+test('joining a room by hand cancels a scheduled reconnect', async () => {
+  const { bot, events } = createBot({ baseDelay: 1000 });
+  enterRoom(bot).close();
+  assert.ok(bot.reconnecting);
+
+  bot.openSocket = () => ({ socket: { send() {}, close() {} }, client: new PhotonClient({ send() {} }) });
+  bot.account = { username: 'tester' };
+  bot.joinRoom('other room (#5678)').catch(() => {});
+  await new Promise(setImmediate);
+  assert.strictEqual(bot.state, BotState.ConnectingNameServer);
+  assert.strictEqual(bot.reconnecting, null);
+  bot.disconnect();
+  assert.deepStrictEqual(events.map(([name]) => name), ['reconnecting']);
+});
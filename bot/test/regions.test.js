@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { Codecs } = require('../protocol_reader/protocols');
+const { OperationCode, ParameterCode } = require('../protocol_reader/constants');
+const { OperationResponse, InternalOperationResponse } = require('../protocol_reader/types/packets');
+const { regionsOf, pickBestRegion, authRegion } = require('../Regions');
+const PhotonBot = require('../PhotonBot');
+
+PhotonBot.RegionPing = { pings: 2, timeout: 300 };
+
+function frameOf(packet) {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  writer.writePacket(packet);
+  return writer.toBytes();
+}
+
+// Local stand-in for the name server and the regions' master servers, all on one port.
+// The path picks the server: /ns lists the regions, /<region> answers pings after pingDelays[region] ms
+// (never when it's null). Authenticate requests are recorded and answered through onAuthenticate.
+async function startStandIn({ regions, pingDelays, getRegionsReturnCode = 0 }) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0, handleProtocols: () => 'GpBinaryV16' });
+  await new Promise((resolve) => server.once('listening', resolve));
+  const address = `ws://127.0.0.1:${server.address().port}`;
+  const received = [];
+  const authenticated = [];
+  let onAuthenticate = () => {};
+
+  server.on('connection', (socket, request) => {
+    const path = request.url.split('/')[1].split('?')[0];
+    socket.on('message', (data) => {
+      const packet = new Codecs.GpBinaryV16.Reader(data).readPacket();
+      received.push([path, packet.code]);
+
+      if (packet.code === 1 && path !== 'ns') {
+        const delay = pingDelays[path];
+        if (delay !== null) setTimeout(() => socket.send(frameOf(new InternalOperationResponse(1, null, 0, {}))), delay);
+      } else if (packet.code === 1) {
+        socket.send(frameOf(new InternalOperationResponse(1, null, 0, {})));
+      } else if (packet.code === OperationCode.GetRegions) {
+        socket.send(frameOf(new OperationResponse(OperationCode.GetRegions, null, getRegionsReturnCode, {
+          [ParameterCode.Region]: regions,
+          [ParameterCode.Address]: regions.map((region) => `${address}/${region}`),
+        })));
+      } else if (packet.code === OperationCode.Authenticate) {
+        authenticated.push(packet.params[ParameterCode.Region]);
+        onAuthenticate();
+      }
+    });
+  });
+
+  return {
+    address,
+    received,
+    authenticated,
+    // resolves with the Authenticate region once the bot authenticates
+    nextAuthenticate: () => new Promise((resolve) => { onAuthenticate = () => resolve(authenticated.at(-1)); }),
+    close: () => new Promise((resolve) => {
+      for (const client of server.clients) client.terminate();
+      server.close(resolve);
+    }),
+  };
+}
+
+function createBot(nameServerAddress) {
+  const bot = new PhotonBot();
+  bot.botLog = () => {};
+  bot.account = { username: 'tester' };
+  bot.nameServerAddress = `${nameServerAddress}/ns`;
+  return bot;
+}
+
+// joins until the bot authenticates, then disconnects
+async function authenticate(bot, standIn) {
+  const authenticated = standIn.nextAuthenticate();
+  const joined = bot.joinRoom('room (#1234)');
+  const region = await authenticated;
+  bot.disconnect();
+  await assert.rejects(joined);
+  return region;
+}
+
+test('regions are read from GetRegions and the fastest one wins', () => {
+  const response = new OperationResponse(OperationCode.GetRegions, null, 0, {
+    210: ['eu', 'us', 'asia'],
+    230: ['wss://eu.example', 'wss://us.example'],
+  });
+  assert.deepStrictEqual(regionsOf(response), [
+    { region: 'eu', address: 'wss://eu.example' },
+    { region: 'us', address: 'wss://us.example' },
+  ]);
+  assert.deepStrictEqual(regionsOf(new OperationResponse(OperationCode.GetRegions, null, 0, {})), []);
+
+  assert.strictEqual(pickBestRegion([{ region: 'eu', rtt: 40 }, { region: 'us', rtt: 12 }, { region: 'asia', rtt: 12 }]).region, 'us');
+  assert.strictEqual(pickBestRegion([{ region: 'eu', rtt: null }]), null);
+  assert.strictEqual(authRegion('eu'), 'eu/*');
+  assert.strictEqual(authRegion('eu/cluster'), 'eu/cluster');
+});
+
+test('the bot authenticates in the region with the lowest ping', async () => {
+  const standIn = await startStandIn({ regions: ['eu', 'us', 'asia'], pingDelays: { eu: 60, us: 0, asia: null } });
+  try {
+    const bot = createBot(standIn.address);
+    assert.strictEqual(await authenticate(bot, standIn), 'us/*');
+
+    const { region, pinned, regions, error } = bot.regionInfo;
+    assert.deepStrictEqual({ region, pinned, error }, { region: 'us', pinned: false, error: null });
+    assert.deepStrictEqual(regions.map(({ region, pings }) => [region, pings]), [['eu', 2], ['us', 2], ['asia', 0]]);
+    assert.ok(regions[0].rtt >= regions[1].rtt);
+    assert.strictEqual(regions[2].rtt, null);
+
+    // the region is kept for later joins, e.g. to rejoin the same room
+    const asked = standIn.received.filter(([, code]) => code === OperationCode.GetRegions).length;
+    assert.strictEqual(await authenticate(bot, standIn), 'us/*');
+    assert.strictEqual(standIn.received.filter(([, code]) => code === OperationCode.GetRegions).length, asked);
+  } finally {
+    await standIn.close();
+  }
+});
+
+test('a pinned region skips discovery, a failed discovery falls back to the default region', async () => {
+  const standIn = await startStandIn({ regions: ['us'], pingDelays: { us: 0 }, getRegionsReturnCode: -2 });
+  try {
+    const pinned = createBot(standIn.address);
+    pinned.region = 'eu/cluster';
+    assert.strictEqual(await authenticate(pinned, standIn), 'eu/cluster');
+    assert.deepStrictEqual(pinned.regionInfo, { region: 'eu/cluster', pinned: true, regions: [], error: null });
+    assert.ok(!standIn.received.some(([, code]) => code === OperationCode.GetRegions));
+
+    const unlucky = createBot(standIn.address);
+    assert.strictEqual(await authenticate(unlucky, standIn), `${PhotonBot.DefaultRegion}/*`);
+    assert.strictEqual(unlucky.regionInfo.region, PhotonBot.DefaultRegion);
+    assert.match(unlucky.regionInfo.error, /InvalidOperation/);
+  } finally {
+    await standIn.close();
+  }
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SendQueue = require('../SendQueue');
+const PhotonClient = require('../PhotonClient');
+const PhotonBot = require('../PhotonBot');
+const { OperationCode } = require('../protocol_reader/constants');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createSocket() {
+  const sent = [];
+  return { sent, bufferedAmount: 0, send: (frame) => sent.push(Buffer.from(frame).toString()) };
+}
+
+const frame = (text) => Buffer.from(text);
+
+test('frames within the budget are sent right away, the rest at the configured rate', async () => {
+  const socket = createSocket();
+  const queue = new SendQueue(socket, { messagesPerSecond: 100, burst: 2 });
+  for (const text of ['a', 'b', 'c', 'd']) queue.enqueue(frame(text));
+  assert.deepStrictEqual(socket.sent, ['a', 'b']);
+  assert.strictEqual(queue.pending, 2);
+
+  await sleep(40);
+  assert.deepStrictEqual(socket.sent, ['a', 'b', 'c', 'd']);
+  assert.deepStrictEqual(queue.toJSON(), {
+    sent: 4, bytesSent: 4, queued: 2, dropped: 0, throttled: queue.metrics.throttled, backpressured: 0, maxPending: 2, pending: 0, tokens: 0,
+  });
+  assert.ok(queue.metrics.throttled > 0);
+});
+
+test('channels keep their order and take turns', () => {
+  const socket = createSocket();
+  const queue = new SendQueue(socket, { messagesPerSecond: 1, burst: 5 });
+  queue.tokens = 0;
+  queue.enqueue(frame('0a'));
+  queue.enqueue(frame('0b'));
+  queue.enqueue(frame('1a'), { channel: 1 });
+  queue.enqueue(frame('0c'));
+  queue.enqueue(frame('1b'), { channel: 1 });
+
+  queue.tokens = 5;
+  queue.flush();
+  assert.deepStrictEqual(socket.sent, ['0a', '1a', '0b', '1b', '0c']);
+  queue.clear();
+});
+
+test('sending waits while the socket buffer is full', async () => {
+  const socket = createSocket();
+  const queue = new SendQueue(socket, { maxBufferedAmount: 10, backpressureDelay: 5 });
+  socket.bufferedAmount = 11;
+  queue.enqueue(frame('a'));
+  assert.deepStrictEqual(socket.sent, []);
+
+  socket.bufferedAmount = 0;
+  await sleep(30);
+  assert.deepStrictEqual(socket.sent, ['a']);
+  assert.ok(queue.metrics.backpressured > 0);
+});
+
+test('unreliable frames that waited too long are dropped', async () => {
+  const socket = createSocket();
+  const queue = new SendQueue(socket, { messagesPerSecond: 50, burst: 1, unreliableTimeout: 5 });
+  queue.tokens = 0;
+  queue.enqueue(frame('position'), { reliable: false });
+  queue.enqueue(frame('rpc'));
+
+  await sleep(60);
+  assert.deepStrictEqual(socket.sent, ['rpc']);
+  assert.strictEqual(queue.metrics.dropped, 1);
+});
+
+test('PhotonClient applies SendOptions and drops the queue when the socket closes', () => {
+  const listeners = {};
+  const socket = { ...createSocket(), protocol: 'GpBinaryV16', addEventListener: (type, listener) => { listeners[type] = listener; } };
+  const client = new PhotonClient(socket, { sendQueue: { burst: 1 } });
+
+  client.SendOperation(OperationCode.RaiseEvent, { 244: 1 });
+  client.SendOperation(OperationCode.RaiseEvent, { 244: 2 }, { Channel: 3, Reliability: false });
+  assert.strictEqual(socket.sent.length, 1);
+  assert.deepStrictEqual(Array.from(client.sendQueue.channels.keys()), [3]);
+
+  listeners.close({ code: 1000, reason: '' });
+  assert.strictEqual(client.sendQueue.pending, 0);
+  assert.strictEqual(client.sendQueue.metrics.dropped, 1);
+});
+
+test('immediate frames skip the queue and the budget once the socket is open', async () => {
+  const socket = { ...createSocket(), readyState: 0 };
+  const queue = new SendQueue(socket, { messagesPerSecond: 1, burst: 1 });
+  queue.enqueue(frame('early'), { immediate: true });
+  assert.deepStrictEqual(socket.sent, []);
+
+  socket.readyState = 1;
+  queue.tokens = 0;
+  queue.enqueue(frame('a'));
+  queue.enqueue(frame('ping'), { immediate: true });
+  assert.deepStrictEqual(socket.sent, ['ping']);
+  assert.ok(queue.tokens < 1);
+  assert.strictEqual(queue.pending, 2);
+  queue.clear();
+});
+
+test('bot pings are not held back by the rate limit', () => {
+  const bot = new PhotonBot();
+  const socket = { ...createSocket(), protocol: 'GpBinaryV16', readyState: 1 };
+  bot.photonClient = new PhotonClient(socket, { sendQueue: { burst: 1 } });
+  bot.photonClient.sendQueue.tokens = 0;
+
+  bot.sendPing(socket);
+  assert.strictEqual(socket.sent.length, 1);
+  assert.strictEqual(bot.photonClient.sendQueue.pending, 0);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PhotonPacketBuilder = require('../PhotonUtils/PhotonPacketBuilder');
+const PhotonSerializer = require('../PhotonUtils/PhotonSerializer');
+const { types } = PhotonPacketBuilder;
+
+const hexOf = (buffer) => Buffer.from(buffer).toString('hex');
+
+test('serializers created before serializing write their own frames', () => {
+  const first = new PhotonSerializer(PhotonPacketBuilder.createRequest(1).addParam(1, types.integer(5)), 'GpBinaryV16');
+  const second = new PhotonSerializer(PhotonPacketBuilder.createRequest(2).addParam(1, types.integer(6)), 'GpBinaryV16');
+
+  assert.strictEqual(hexOf(first.serialize()), 'f302010001016900000005');
+  assert.strictEqual(hexOf(second.serialize()), 'f302020001016900000006');
+  // and again, in the other order
+  assert.strictEqual(hexOf(second.serialize()), 'f302020001016900000006');
+  assert.strictEqual(hexOf(first.serialize()), 'f302010001016900000005');
+});
+
+test('a packet built while another is serialized keeps both intact', () => {
+  const ping = PhotonPacketBuilder.createPing(1, 2);
+  const pending = new PhotonSerializer(ping, 'GpBinaryV18');
+  const request = PhotonPacketBuilder.createRequest(3).addParam(2, types.string('a'));
+  const frame = request.toBuffer('GpBinaryV18');
+
+  assert.strictEqual(hexOf(pending.serialize()), 'f00000000100000002');
+  assert.deepStrictEqual(request.toBuffer('GpBinaryV18'), frame);
+});
+
+test('an unknown packet kind throws an Error', () => {
+  assert.throws(() => new PhotonSerializer({ magic: 0xAB }, 'GpBinaryV16').serialize(), { name: 'Error', message: /magic 171/ });
+});
+
+test('single values can be serialized before any packet', () => {
+  const serializer = new PhotonSerializer(PhotonPacketBuilder.createPing(1, 2), 'GpBinaryV16');
+  serializer.serializePhotonType(types.integer(5));
+  serializer.serializePhotonType(types.string('a'), false);
+  assert.strictEqual(hexOf(serializer.writer.toBytes()), '6900000005000161');
+
+  const v18 = new PhotonSerializer(PhotonPacketBuilder.createPing(1, 2), 'GpBinaryV18');
+  v18.serializePhotonType(types.integer(5));
+  assert.strictEqual(hexOf(v18.writer.toBytes()), '0b05');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PhotonPacketBuilder = require('../PhotonUtils/PhotonPacketBuilder');
+const { types } = PhotonPacketBuilder;
+const { toPhotonType, toPhotonParameters, PhotonTypeError } = require('../PhotonUtils/PhotonTypeSchema');
+
+// a hashTable's entries by plain key
+const entriesOf = (table) => Object.fromEntries(Array.from(table.data, ([key, value]) => [key.data, value]));
+
+test('schemas pick the wire types', () => {
+  const value = toPhotonType(
+    { teamNumber: 1, maxPing: 300, perks: [1, 2], position: { x: 1, y: 2, z: 3 }, kills: [4, 5] },
+    { teamNumber: 'byte', maxPing: 'short', perks: 'byteArray', position: 'vector3', kills: ['short'] },
+  );
+  assert.deepStrictEqual(entriesOf(value), {
+    teamNumber: types.byte(1),
+    maxPing: types.short(300),
+    perks: types.byteArray([1, 2]),
+    position: types.vector3(1, 2, 3),
+    kills: types.objectArray([types.short(4), types.short(5)]),
+  });
+});
+
+test('values without a schema are inferred, hints are kept', () => {
+  assert.deepStrictEqual(toPhotonType(7), types.integer(7));
+  assert.deepStrictEqual(toPhotonType(1.5), types.float(1.5));
+  assert.deepStrictEqual(toPhotonType(2n ** 60n), types.long(2n ** 60n));
+  assert.deepStrictEqual(toPhotonType(['a', 'b']), types.stringArray(['a', 'b']));
+  assert.deepStrictEqual(entriesOf(toPhotonType({ teamNumber: types.byte(1) })).teamNumber, types.byte(1));
+});
+
+test('mismatches throw a PhotonTypeError with the path', () => {
+  const cases = [
+    [{ teamNumber: 300 }, { teamNumber: 'byte' }, '<root>.teamNumber'],
+    [{ teamNumber: types.short(1) }, { teamNumber: 'byte' }, '<root>.teamNumber'],
+    [{ perks: types.byte(256) }, undefined, '<root>.perks'],
+    [[1, 'x'], ['integer'], '<root>[1]'],
+    ['1', 'integer', '<root>'],
+    [2 ** 40, undefined, '<root>'],
+    [() => {}, undefined, '<root>'],
+    [1, 'int8', '<root>'],
+  ];
+  for (const [value, schema, path] of cases) {
+    assert.throws(() => toPhotonType(value, schema), (error) => error instanceof PhotonTypeError && error.path === path);
+  }
+});
+
+test('parameters are converted per code', () => {
+  const params = toPhotonParameters({ 255: 'name', 249: { rank: 5 }, 250: types.boolean(true) }, { 249: { rank: 'byte' } });
+  assert.deepStrictEqual(params.get(255), types.string('name'));
+  assert.deepStrictEqual(entriesOf(params.get(249)).rank, types.byte(5));
+  assert.deepStrictEqual(params.get(250), types.boolean(true));
+  assert.throws(() => toPhotonParameters({ 249: { rank: -1 } }, { 249: { rank: 'byte' } }), /at params\[249\]\.rank/);
+});
+
+test('strict serialization rejects values that would be wrapped or truncated', () => {
+  const send = (value, subprotocol) => PhotonPacketBuilder.createRequest(253).addParam(245, value).toBuffer(subprotocol, null, { strict: true });
+  const cases = [
+    [types.intArray([1, NaN]), 'params[245][1]'],
+    [types.hashTable([[types.string('team'), types.byte(292)]]), 'params[245].team'],
+    [types.objectArray([types.string('x'.repeat(0x8000))]), 'params[245][0]'],
+    [types.array(0x69, [types.integer(1), types.short(2)]), 'params[245][1]'],
+    [types.dictionary(0x73, 0x69, [[types.integer(1), types.integer(2)]]), 'params[245]["1"]'],
+    [types.float(1e39), 'params[245]'],
+    [{ type: 7, data: 1 }, 'params[245]'],
+  ];
+  for (const [value, path] of cases) {
+    assert.throws(() => send(value), (error) => error instanceof PhotonTypeError && error.path === path);
+  }
+
+  // Protocol18 counts string bytes in a varint, and without strict the old wrapping still applies
+  assert.ok(send(types.string('x'.repeat(0x8000)), 'GpBinaryV18'));
+  assert.ok(PhotonPacketBuilder.createRequest(253).addParam(245, types.byte(292)).toBuffer());
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codecs } = require('../protocol_reader/protocols');
+const { DataType } = require('../protocol_reader/constants');
+const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { SizedFloat } = require('../protocol_reader/types/SizedFloat');
+const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { ProtocolDictionary } = require('../protocol_reader/types/Dictionary');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
+const { Vector3 } = require('../protocol_reader/types/Vector3');
+const { PhotonPlayer } = require('../protocol_reader/types/PhotonPlayer');
+const { OperationResponse, Event } = require('../protocol_reader/types/packets');
+const { toTypedJSON, fromTypedJSON } = require('../protocol_reader/TypedJSON');
+const PhotonPacket = require('../PhotonUtils/PhotonPacket');
+const PhotonPacketBuilder = require('../PhotonUtils/PhotonPacketBuilder');
+const { types } = PhotonPacketBuilder;
+
+const bytesOf = (write) => {
+  const writer = new Codecs.GpBinaryV16.Writer();
+  write(writer);
+  return writer.toBytes();
+};
+
+test('values are tagged with their Photon type', () => {
+  assert.deepStrictEqual(toTypedJSON(null), { type: 'null' });
+  assert.deepStrictEqual(toTypedJSON(SizedInt.short(-3)), { type: 'short', value: -3 });
+  assert.deepStrictEqual(toTypedJSON(SizedInt.long(-(2n ** 53n) - 1n)), { type: 'long', value: '-9007199254740993' });
+  assert.deepStrictEqual(toTypedJSON(SizedFloat.float(NaN)), { type: 'float', value: 'NaN' });
+  assert.deepStrictEqual(toTypedJSON(SizedFloat.double(-0)), { type: 'double', value: '-0' });
+  assert.deepStrictEqual(toTypedJSON(Buffer.from('00ff', 'hex')), { type: 'byteArray', value: '00ff' });
+  assert.deepStrictEqual(toTypedJSON(new ProtocolArray(DataType.Integer, [SizedInt.int(1)])), {
+    type: 'array', elementType: 'int', value: [{ type: 'int', value: 1 }],
+  });
+  assert.deepStrictEqual(toTypedJSON(new Vector3(0, 1, 0)), { type: 'vector3', value: { x: 0, y: 1, z: 0 } });
+  assert.deepStrictEqual(toTypedJSON(new PhotonPlayer(3)), { type: 'photonPlayer', value: 3 });
+});
+
+test('values survive JSON text and write the bytes they were read from', () => {
+  const values = [
+    new ProtocolHashtable([[SizedInt.byte(255), 'name'], ['kd', SizedFloat.float(1.5)]]),
+    new ProtocolDictionary(DataType.String, 0, new Map([['a', SizedInt.int(1)], ['b', null]])),
+    SizedInt.long(2n ** 63n - 1n),
+    SizedFloat.double(-Infinity),
+    Int32Array.from([1, -2]),
+    ['a', 'b'],
+    new Event(200, { 1: 'nested' }),
+  ];
+  for (const value of values) {
+    const json = JSON.stringify(toTypedJSON(value));
+    assert.deepStrictEqual(bytesOf((writer) => writer.writeValue(fromTypedJSON(json))), bytesOf((writer) => writer.writeValue(value)), json);
+  }
+});
+
+test('packets keep their parameter order', () => {
+  // parameters out of numeric order, as a client may send them
+  const frame = Buffer.from(PhotonPacketBuilder.createEvent(200).addParam(254, types.integer(7)).addParam(1, types.string('last')).toBuffer());
+  const json = toTypedJSON(new Codecs.GpBinaryV16.Reader(frame).readPacket());
+
+  assert.deepStrictEqual(json, {
+    packet: 'event',
+    code: 200,
+    params: [[254, { type: 'int', value: 7 }], [1, { type: 'string', value: 'last' }]],
+  });
+  assert.deepStrictEqual(bytesOf((writer) => writer.writePacket(fromTypedJSON(json))), frame);
+
+  const response = toTypedJSON(new OperationResponse(226, 'msg', 32758, {}));
+  assert.deepStrictEqual(response, { packet: 'operationResponse', code: 226, returnCode: 32758, debugMessage: { type: 'string', value: 'msg' }, params: [] });
+  assert.throws(() => fromTypedJSON({ packet: 'bogus' }), /Unknown typed-JSON packet 'bogus'/);
+  assert.throws(() => fromTypedJSON({ type: 'bogus' }), /Unknown typed-JSON type 'bogus'/);
+});
+
+test('PhotonPacket describes pings and frames it can\'t decode', () => {
+  const ping = new PhotonPacket(Uint8Array.from([0xF0, 0, 0, 0, 1, 0, 0, 0, 2]).buffer);
+  assert.deepStrictEqual(ping.toTypedJSON(), { packet: 'ping', serverTime: 1, clientTime: 2 });
+
+  // an encrypted operation without a key to decrypt it
+  const opaque = new PhotonPacket(Uint8Array.from([0xF3, 0x82, 0xAA, 0xBB]).buffer);
+  assert.deepStrictEqual(opaque.toTypedJSON(), { packet: 'opaque', data: 'f382aabb' });
+});
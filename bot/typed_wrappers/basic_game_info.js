@@ -1,6 +1,7 @@
 const { DataType } = require('../protocol_reader/constants');
 const { SizedInt } = require('../protocol_reader/types/SizedInt');
 const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
 const deepEqual = require('deep-equal');
 
 class BasicGameInfo {
@@ -26,35 +27,37 @@ class BasicGameInfo {
     this._field255 = val - 1;
   }
 
+  // accepts a ProtocolHashtable, a Map or [key, value] pairs
   static fromMap(map) {
+    map = ProtocolHashtable.from(map);
     const info = new BasicGameInfo();
-    info.field253 = map[new SizedInt(253, 1)];
-    info.modeName = map['modeName'];
-    info.averageRank = map['averagerank']?.value;
-    info.switchingMap = map['switchingmap'];
-    info.roomName = map['roomName'];
-    info.allowedWeapons = map['allowedweapons']?.data?.map(d => d.value);
-    info.eventCode = map['eventcode']?.value;
-    info.dedicated = map['dedicated'];
-    info.password = map['password'];
-    info.mapName = map['mapName'];
-    info._field255 = map[new SizedInt(255, 1)]?.value;
+    info.field253 = map.get(new SizedInt(253, 1));
+    info.modeName = map.get('modeName');
+    info.averageRank = map.get('averagerank')?.value;
+    info.switchingMap = map.get('switchingmap');
+    info.roomName = map.get('roomName');
+    info.allowedWeapons = map.get('allowedweapons')?.data?.map(d => d.value);
+    info.eventCode = map.get('eventcode')?.value;
+    info.dedicated = map.get('dedicated');
+    info.password = map.get('password');
+    info.mapName = map.get('mapName');
+    info._field255 = map.get(new SizedInt(255, 1))?.value;
     return info;
   }
 
   toMap() {
-    const map = {};
-    map[new SizedInt(253, 1)] = this.field253;
-    map['modeName'] = this.modeName;
-    map['averagerank'] = new SizedInt(this.averageRank, 4);
-    map['switchingmap'] = this.switchingMap;
-    map['roomName'] = this.roomName;
-    map['allowedweapons'] = new ProtocolArray(DataType.Integer, this.allowedWeapons?.map(i => new SizedInt(i, 4)) || []);
-    map['eventcode'] = new SizedInt(this.eventCode, 4);
-    map['dedicated'] = this.dedicated;
-    map['password'] = this.password;
-    map['mapName'] = this.mapName;
-    map[new SizedInt(255, 1)] = new SizedInt(this._field255, 1);
+    const map = new ProtocolHashtable();
+    map.set(new SizedInt(253, 1), this.field253);
+    map.set('modeName', this.modeName);
+    map.set('averagerank', new SizedInt(this.averageRank, 4));
+    map.set('switchingmap', this.switchingMap);
+    map.set('roomName', this.roomName);
+    map.set('allowedweapons', new ProtocolArray(DataType.Integer, this.allowedWeapons?.map(i => new SizedInt(i, 4)) || []));
+    map.set('eventcode', new SizedInt(this.eventCode, 4));
+    map.set('dedicated', this.dedicated);
+    map.set('password', this.password);
+    map.set('mapName', this.mapName);
+    map.set(new SizedInt(255, 1), new SizedInt(this._field255, 1));
     return map;
   }
 
@@ -2,6 +2,7 @@ const { DataType } = require('../protocol_reader/constants');
 const { SizedInt } = require('../protocol_reader/types/SizedInt');
 const { SizedFloat } = require('../protocol_reader/types/SizedFloat');
 const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
 const { BasicGameInfo } = require('./basic_game_info');
 const deepEqual = require('deep-equal');
 
@@ -50,37 +51,38 @@ class GameProperties extends BasicGameInfo {
   }
 
   static fromMap(map) {
+    map = ProtocolHashtable.from(map);
     const props = new GameProperties();
     Object.assign(props, BasicGameInfo.fromMap(map));
-    props.bannedWeaponMessage = map['bannedweaponmessage'];
-    props.gunGamePreset = map['gunGamePreset']?.value;
-    props.hostId = map[new SizedInt(248, 1)]?.value;
-    props.field249 = map[new SizedInt(249, 1)];
-    props.field250 = map[new SizedInt(250, 1)]?.data;
-    props.field254 = map[new SizedInt(254, 1)];
-    props.matchCountdownTime = map['matchCountdownTime']?.value;
-    props.matchStarted = map['matchStarted'];
-    props.maxPing = map['maxPing']?.value;
-    props.roundStarted = map['roundStarted'];
-    props.scoreLimit = map['scorelimit']?.value;
-    props.timeScale = map['timeScale']?.value;
+    props.bannedWeaponMessage = map.get('bannedweaponmessage');
+    props.gunGamePreset = map.get('gunGamePreset')?.value;
+    props.hostId = map.get(new SizedInt(248, 1))?.value;
+    props.field249 = map.get(new SizedInt(249, 1));
+    props.field250 = map.get(new SizedInt(250, 1))?.data;
+    props.field254 = map.get(new SizedInt(254, 1));
+    props.matchCountdownTime = map.get('matchCountdownTime')?.value;
+    props.matchStarted = map.get('matchStarted');
+    props.maxPing = map.get('maxPing')?.value;
+    props.roundStarted = map.get('roundStarted');
+    props.scoreLimit = map.get('scorelimit')?.value;
+    props.timeScale = map.get('timeScale')?.value;
     return props;
   }
 
   toMap() {
     const map = super.toMap();
-    map['bannedweaponmessage'] = this.bannedWeaponMessage;
-    map['gunGamePreset'] = new SizedInt(this.gunGamePreset, 4);
-    if (this.hostId != null) map[new SizedInt(248, 1)] = new SizedInt(this.hostId, 4);
-    map[new SizedInt(249, 1)] = this.field249;
-    map[new SizedInt(250, 1)] = new ProtocolArray(DataType.String, this.field250 || []);
-    map[new SizedInt(254, 1)] = this.field254;
-    map['matchCountdownTime'] = new SizedFloat(this.matchCountdownTime, 4);
-    map['matchStarted'] = this.matchStarted;
-    map['maxPing'] = new SizedInt(this.maxPing, 2);
-    map['roundStarted'] = this.roundStarted;
-    map['scorelimit'] = new SizedInt(this.scoreLimit, 4);
-    map['timeScale'] = new SizedFloat(this.timeScale, 4);
+    map.set('bannedweaponmessage', this.bannedWeaponMessage);
+    map.set('gunGamePreset', new SizedInt(this.gunGamePreset, 4));
+    if (this.hostId != null) map.set(new SizedInt(248, 1), new SizedInt(this.hostId, 4));
+    map.set(new SizedInt(249, 1), this.field249);
+    map.set(new SizedInt(250, 1), new ProtocolArray(DataType.String, this.field250 || []));
+    map.set(new SizedInt(254, 1), this.field254);
+    map.set('matchCountdownTime', new SizedFloat(this.matchCountdownTime, 4));
+    map.set('matchStarted', this.matchStarted);
+    map.set('maxPing', new SizedInt(this.maxPing, 2));
+    map.set('roundStarted', this.roundStarted);
+    map.set('scorelimit', new SizedInt(this.scoreLimit, 4));
+    map.set('timeScale', new SizedFloat(this.timeScale, 4));
     return map;
   }
 
@@ -1,4 +1,5 @@
 const { SizedInt } = require('../protocol_reader/types/SizedInt');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
 const { BasicGameInfo } = require('./basic_game_info');
 
 class ListedGameInfo extends BasicGameInfo {
@@ -8,15 +9,16 @@ class ListedGameInfo extends BasicGameInfo {
   }
 
   static fromMap(map) {
+    map = ProtocolHashtable.from(map);
     const info = new ListedGameInfo();
     Object.assign(info, BasicGameInfo.fromMap(map));
-    info.playerCount = map[new SizedInt(252, 1)]?.value;
+    info.playerCount = map.get(new SizedInt(252, 1))?.value;
     return info;
   }
 
   toMap() {
     const map = super.toMap();
-    map[new SizedInt(252, 1)] = new SizedInt(this.playerCount, 1);
+    map.set(new SizedInt(252, 1), new SizedInt(this.playerCount, 1));
     return map;
   }
 
@@ -1,6 +1,7 @@
 const { DataType } = require('../protocol_reader/constants');
 const { SizedInt } = require('../protocol_reader/types/SizedInt');
 const { ProtocolArray } = require('../protocol_reader/types/Array');
+const { ProtocolHashtable } = require('../protocol_reader/types/Hashtable');
 const deepEqual = require('deep-equal');
 
 class PlayerProperties {
@@ -28,29 +29,31 @@ class PlayerProperties {
     return props;
   }
 
+  // accepts a ProtocolHashtable, a Map or [key, value] pairs
   static fromMap(map) {
+    map = ProtocolHashtable.from(map);
     const props = new PlayerProperties();
-    props.characterCamo = map['characterCamo']?.value;
-    props.unlockedWeapons = map['unlockedweapons']?.data?.map(d => d.value);
-    props.rank = map['rank']?.value;
-    props.killStreak = map['killstreak']?.value;
-    props.perks = map['perks'];
-    props.teamNumber = map['teamNumber']?.value;
-    props.name = map[new SizedInt(255, 1)];
-    props.model = map['model']?.value;
+    props.characterCamo = map.get('characterCamo')?.value;
+    props.unlockedWeapons = map.get('unlockedweapons')?.data?.map(d => d.value);
+    props.rank = map.get('rank')?.value;
+    props.killStreak = map.get('killstreak')?.value;
+    props.perks = map.get('perks');
+    props.teamNumber = map.get('teamNumber')?.value;
+    props.name = map.get(new SizedInt(255, 1));
+    props.model = map.get('model')?.value;
     return props;
   }
 
   toMap() {
-    const map = {};
-    map['characterCamo'] = new SizedInt(this.characterCamo, 1);
-    map['unlockedweapons'] = new ProtocolArray(DataType.Integer, this.unlockedWeapons?.map(w => new SizedInt(w, 4)) || []);
-    map['rank'] = new SizedInt(this.rank, 1);
-    map['killstreak'] = new SizedInt(this.killStreak, 1);
-    map['perks'] = this.perks;
-    map['teamNumber'] = new SizedInt(this.teamNumber, 1);
-    map['model'] = new SizedInt(this.model, 1);
-    map[new SizedInt(255, 1)] = this.name;
+    const map = new ProtocolHashtable();
+    map.set('characterCamo', new SizedInt(this.characterCamo, 1));
+    map.set('unlockedweapons', new ProtocolArray(DataType.Integer, this.unlockedWeapons?.map(w => new SizedInt(w, 4)) || []));
+    map.set('rank', new SizedInt(this.rank, 1));
+    map.set('killstreak', new SizedInt(this.killStreak, 1));
+    map.set('perks', this.perks);
+    map.set('teamNumber', new SizedInt(this.teamNumber, 1));
+    map.set('model', new SizedInt(this.model, 1));
+    map.set(new SizedInt(255, 1), this.name);
     return map;
   }
 
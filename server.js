@@ -5,6 +5,8 @@ const cors = require('cors'); // Add this import
 
 // Import PhotonBot class
 const PhotonBot = require('./bot/PhotonBot'); // Adjust path as needed
+const { BotState, InvalidTransitionError } = require('./bot/BotState');
+const { JoinError } = require('./bot/JoinError');
 
 const app = express();
 
@@ -46,6 +48,37 @@ app.get('/style.css', (req, res) => {
 // In-memory storage for bot instances
 const botInstances = new Map();
 
+// HTTP status for each JoinError reason
+const joinErrorStatus = {
+  GameDoesNotExist: 404,
+  GameFull: 409,
+  GameClosed: 409,
+  AuthFailed: 502,
+  Timeout: 504
+};
+
+// `reconnect` setting: true for PhotonBot.ReconnectPolicy, an object to override it, false to turn it off
+const toReconnectPolicy = (reconnect) => {
+  if (reconnect === true) return {};
+  return reconnect && typeof reconnect === 'object' ? reconnect : null;
+};
+
+// `region` setting: a region code (e.g. "eu") pins the bot to it, null discovers the best-ping region on the next join
+const setRegion = (bot, region) => {
+  bot.region = region || null;
+  bot.regionInfo = null;
+};
+
+// Logs a bot's reconnect events
+const watchBot = (bot) => {
+  bot.on('reconnectFailed', ({ attempt, error }) => {
+    console.error(`Bot ${bot.botId} reconnect attempt ${attempt} failed:`, error.message);
+  });
+  bot.on('reconnectGaveUp', ({ attempts, roomName }) => {
+    console.error(`Bot ${bot.botId} gave up reconnecting to ${roomName} after ${attempts} attempts`);
+  });
+};
+
 // Helper function to get bot instance
 const getBotInstance = (botId) => {
   const bot = botInstances.get(botId);
@@ -75,6 +108,15 @@ app.post('/api/bots', async (req, res) => {
       bot.showJoinMessageInChat = req.body.showJoinMessageInChat;
     }
     
+    if (req.body.reconnect !== undefined) {
+      bot.reconnectPolicy = toReconnectPolicy(req.body.reconnect);
+    }
+
+    if (req.body.region !== undefined) {
+      setRegion(bot, req.body.region);
+    }
+    watchBot(bot);
+    
     // Generate account for the bot
     const account = await bot.generateAccount();
     
@@ -101,6 +143,7 @@ app.get('/api/bots', (req, res) => {
     account: bot.account ? {
       username: bot.account.username
     } : null,
+    state: bot.state,
     isInGame: bot.isInGame,
     isInRoom: bot.isInRoom,
     gameRoomName: bot.gameRoomName,
@@ -124,6 +167,7 @@ app.get('/api/bots/:botId', (req, res) => {
       account: bot.account ? {
         username: bot.account.username
       } : null,
+      state: bot.state,
       isInGame: bot.isInGame,
       isInRoom: bot.isInRoom,
       gameRoomName: bot.gameRoomName,
@@ -140,40 +184,63 @@ app.get('/api/bots/:botId', (req, res) => {
   }
 });
 
-// Join a room with a specific bot
+// Join a room with a specific bot, responds once the bot is in the room or joining failed
 app.post('/api/bots/:botId/join-room', async (req, res) => {
+  let bot;
   try {
-    const bot = getBotInstance(req.params.botId);
-    const { roomName } = req.body;
-    
-    if (!roomName || roomName.trim() === '') {
-      return res.status(400).json({
-        error: 'Validation Error',
-        message: 'roomName is required'
-      });
-    }
-    
-    if (bot.isInRoom) {
-      return res.status(400).json({
-        error: 'Bot already in room',
-        message: `Bot is already in room: ${bot.gameRoomName}`
-      });
-    }
+    bot = getBotInstance(req.params.botId);
+  } catch (error) {
+    return res.status(404).json({
+      error: 'Bot not found',
+      message: error.message
+    });
+  }
+
+  const { roomName } = req.body;
     
-    // Start joining room (this is async)
-    bot.joinRoom(roomName).catch(error => {
-      console.error(`Bot ${bot.botId} failed to join room:`, error);
+  if (!roomName || roomName.trim() === '') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'roomName is required'
+    });
+  }
+  
+  if (bot.state !== BotState.Disconnected) {
+    return res.status(400).json({
+      error: 'Bot already in room',
+      message: `Bot is already in room: ${bot.gameRoomName} (${bot.state})`
     });
+  }
+  
+  try {
+    const room = await bot.joinRoom(roomName);
     
     res.json({
-      message: `Bot ${bot.botId} is joining room: ${roomName}`,
+      message: `Bot ${bot.botId} joined room: ${roomName}`,
       botId: bot.botId,
-      roomName: roomName
+      roomName: roomName,
+      room
     });
   } catch (error) {
-    res.status(404).json({
-      error: 'Bot not found',
-      message: error.message
+    console.error(`Bot ${bot.botId} failed to join room:`, error.message);
+
+    // the bot left Disconnected between the check above and joinRoom(), or joining broke
+    if (!(error instanceof JoinError)) {
+      return res.status(error instanceof InvalidTransitionError ? 409 : 500).json({
+        error: error.message,
+        botId: bot.botId,
+        roomName: roomName
+      });
+    }
+    
+    res.status(joinErrorStatus[error.reason] ?? 502).json({
+      error: 'Failed to join room',
+      reason: error.reason,
+      message: error.message,
+      returnCode: error.returnCode,
+      returnCodeName: error.returnCodeName,
+      botId: bot.botId,
+      roomName: roomName
     });
   }
 });
@@ -247,13 +314,8 @@ app.delete('/api/bots/:botId', (req, res) => {
   try {
     const bot = getBotInstance(req.params.botId);
     
-    // Clean up connections
-    if (bot.lobbySocket) {
-      bot.lobbySocket.close();
-    }
-    if (bot.gameSocket) {
-      bot.gameSocket.close();
-    }
+    // Clean up connections and timers
+    bot.disconnect();
     
     // Remove from storage
     botInstances.delete(req.params.botId);
@@ -279,11 +341,21 @@ app.patch('/api/bots/:botId', (req, res) => {
       bot.showJoinMessageInChat = req.body.showJoinMessageInChat;
     }
     
+    if (req.body.reconnect !== undefined) {
+      bot.reconnectPolicy = toReconnectPolicy(req.body.reconnect);
+    }
+
+    if (req.body.region !== undefined) {
+      setRegion(bot, req.body.region);
+    }
+    
     res.json({
       message: 'Bot settings updated successfully',
       botId: bot.botId,
       settings: {
-        showJoinMessageInChat: bot.showJoinMessageInChat
+        showJoinMessageInChat: bot.showJoinMessageInChat,
+        reconnectPolicy: bot.reconnectPolicy,
+        region: bot.region
       }
     });
   } catch (error) {
@@ -302,6 +374,7 @@ app.get('/api/bots/:botId/status', (req, res) => {
     res.json({
       botId: bot.botId,
       status: {
+        state: bot.state,
         isInGame: bot.isInGame,
         isInRoom: bot.isInRoom,
         alreadyJoined: bot.alreadyJoined,
@@ -310,7 +383,13 @@ app.get('/api/bots/:botId/status', (req, res) => {
         lastActorNr: bot.lastActorNr,
         playerCount: bot.players.length,
         uptime: Date.now() - bot._startTime.getTime(),
-        serverTime: bot.serverTime()
+        serverTime: bot.serverTime(),
+        reconnecting: bot.reconnecting,
+        // { region, pinned, regions: [{ region, address, rtt, pings }], error }, null until the first join
+        region: bot.regionInfo,
+        // rtt and jitter in ms, offset = server tick - local tick
+        ping: bot.clock.toJSON(),
+        sendQueue: bot.photonClient?.sendQueue.toJSON() ?? null
       }
     });
   } catch (error) {
@@ -326,24 +405,18 @@ app.post('/api/bots/:botId/leave-room', (req, res) => {
   try {
     const bot = getBotInstance(req.params.botId);
     
-    if (!bot.isInRoom && !bot.isInGame) {
+    if (!bot.isInRoom && !bot.reconnecting) {
       return res.status(400).json({
         error: 'Bot not in room',
         message: 'Bot is not currently in any room'
       });
     }
     
-    if (bot.gameSocket) {
-      bot.leaveRoom();
-    }
-    
-    // Reset bot state
-    bot.isInGame = false;
-    bot.isInRoom = false;
-    bot.alreadyJoined = false;
+    // Leaving disconnects, which resets the room state
     bot.gameRoomName = "";
-    bot.serverAddress = "";
-    bot.players = [];
+    bot.leaveRoom().catch(error => {
+      console.error(`Bot ${bot.botId} failed to leave the room:`, error);
+    });
     
     res.json({
       message: `Bot ${bot.botId} left the room successfully`,
@@ -374,8 +447,7 @@ const gracefulShutdown = async (signal) => {
   // Close all bot connections
   for (const [botId, bot] of botInstances.entries()) {
     try {
-      if (bot.lobbySocket) bot.lobbySocket.close();
-      if (bot.gameSocket) bot.gameSocket.close();
+      bot.disconnect();
     } catch (err) {
       console.error(`Error closing bot ${botId}:`, err);
     }
@@ -384,13 +456,13 @@ const gracefulShutdown = async (signal) => {
   process.exit(0);
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
 // Start server
 const start = () => {
   const port = process.env.PORT || 3000;
   const host = process.env.HOST || '0.0.0.0';
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
   
   app.listen(port, host, () => {
     console.log(`PhotonBot API Server is running on http://${host}:${port}`);
@@ -405,4 +477,9 @@ const start = () => {
   });
 };
 
-start();
\ No newline at end of file
+// only when run directly, tests require the app and botInstances
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, botInstances };